@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+/**
+ * Офлайн-оценка промпта анализа и рубрики на эталонных звонках (eval/golden.json)
+ *
+ * Прогоняет каждый звонок через тот же analyzeCall + scoreAnalysis, что и сервер,
+ * и сравнивает с оценкой РОПа: ошибка по блокам (MAE и смещение), precision/recall
+ * критических ошибок, точность флага записи и типа звонка.
+ *
+ *   npm run eval                                   — mock-модель: ответы из golden.json, без сети
+ *   npm run eval -- --mode real                    — модель из env (LLM_PROVIDER, LLM_LOCAL_URL, ...)
+ *   npm run eval -- --mode real --translate        — звонки с raw_turns сначала через переводчик
+ *   npm run eval -- --rubric my-rubric.json        — рубрика из файла ({ code, version, definition })
+ *   npm run eval -- --json out.json --compare prev.json --fail-on-mae 15
+ *
+ * Код выхода 1 — ошибка запуска или MAE по блокам выше --fail-on-mae.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function parseArgs(argv) {
+  const args = { mode: 'mock', golden: path.join(__dirname, 'golden.json'), translate: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (argv[i + 1] === undefined) throw new Error(`${arg}: нужно значение`);
+      return argv[++i];
+    };
+    if (arg === '--mode') args.mode = value();
+    else if (arg === '--golden') args.golden = value();
+    else if (arg === '--rubric') args.rubric = value();
+    else if (arg === '--only') args.only = value().split(',').map(s => s.trim()).filter(Boolean);
+    else if (arg === '--json') args.json = value();
+    else if (arg === '--compare') args.compare = value();
+    else if (arg === '--fail-on-mae') args.failOnMae = Number(value());
+    else if (arg === '--translate') args.translate = true;
+    else throw new Error(`Неизвестный аргумент: ${arg}`);
+  }
+  if (!['mock', 'real'].includes(args.mode)) throw new Error('--mode: mock | real');
+  if (args.failOnMae !== undefined && !Number.isFinite(args.failOnMae)) throw new Error('--fail-on-mae: число');
+  return args;
+}
+
+let args;
+try {
+  args = parseArgs(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+// Провайдер и уровень логов читаются при подключении модуля сервера
+if (args.mode === 'mock') process.env.LLM_PROVIDER = 'mock';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+// БД оценке не нужна, но клиент Supabase создаётся при подключении модуля
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'eval';
+
+const {
+  translateTurns, analyzeCall, scoreAnalysis, validateRubricDefinition, DEFAULT_RUBRIC, mockLLM
+} = require('../index');
+
+function loadRubric(file) {
+  if (!file) return { ...DEFAULT_RUBRIC, version: null };
+  const rubric = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const errors = validateRubricDefinition(rubric.definition || {});
+  if (errors.length) throw new Error(`Рубрика ${file}: ${errors.join('; ')}`);
+  return rubric;
+}
+
+function round1(value) {
+  return value === null ? null : Math.round(value * 10) / 10;
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+function ratio(numerator, denominator) {
+  return denominator ? round1(numerator / denominator * 100) : null;
+}
+
+// Эталонный итог: как в scoreAnalysis — по весам рубрики, критическая ошибка обнуляет
+function expectedTotal(expected, rubric) {
+  if (typeof expected.total_score === 'number') return expected.total_score;
+  if (expected.has_critical_error) return 0;
+  const blocks = rubric.definition.blocks;
+  if (!expected.blocks || blocks.some(b => typeof expected.blocks[b.key] !== 'number')) return null;
+  return Math.round(blocks.reduce((sum, b) => sum + expected.blocks[b.key] * b.weight, 0) / 100);
+}
+
+async function runCase(testCase, rubric) {
+  mockLLM.fixtures = Object.entries(testCase.mock || {}).map(([stage, response]) => ({ stage, response }));
+  try {
+    let turns = testCase.turns;
+    if (args.translate && testCase.raw_turns?.length) turns = await translateTurns(testCase.raw_turns, null);
+    if (!turns?.length) throw new Error('нет turns');
+
+    const analysis = await analyzeCall(turns.map(t => t.text).join('\n'), turns, rubric);
+    const scored = scoreAnalysis(analysis, rubric);
+    return {
+      id: testCase.id,
+      predicted: {
+        blocks: Object.fromEntries(scored.blockScores.map(b => [b.key, b.score])),
+        total_score: scored.totalScore,
+        has_critical_error: scored.hasCriticalError,
+        critical_error_type: scored.criticalErrorType,
+        is_successful: !!analysis.is_successful,
+        call_type: analysis.call_type
+      },
+      expected: { ...testCase.expected, total_score: expectedTotal(testCase.expected, rubric) }
+    };
+  } catch (error) {
+    return { id: testCase.id, error: error.message };
+  } finally {
+    mockLLM.fixtures = [];
+  }
+}
+
+function buildReport(results, rubric) {
+  const scored = results.filter(r => !r.error);
+
+  const blocks = rubric.definition.blocks.map(b => {
+    const diffs = scored
+      .filter(r => typeof r.expected.blocks?.[b.key] === 'number')
+      .map(r => r.predicted.blocks[b.key] - r.expected.blocks[b.key]);
+    return {
+      key: b.key,
+      name: b.name,
+      n: diffs.length,
+      mae: round1(mean(diffs.map(Math.abs))),
+      bias: round1(mean(diffs))
+    };
+  });
+  const allDiffs = scored.flatMap(r => Object.keys(r.predicted.blocks)
+    .filter(key => typeof r.expected.blocks?.[key] === 'number')
+    .map(key => r.predicted.blocks[key] - r.expected.blocks[key]));
+  const totalDiffs = scored
+    .filter(r => r.expected.total_score !== null)
+    .map(r => r.predicted.total_score - r.expected.total_score);
+
+  const critical = { tp: 0, fp: 0, fn: 0, tn: 0, type_matched: 0, type_checked: 0 };
+  for (const r of scored.filter(r => typeof r.expected.has_critical_error === 'boolean')) {
+    const predicted = r.predicted.has_critical_error;
+    const expected = r.expected.has_critical_error;
+    critical[predicted ? (expected ? 'tp' : 'fp') : (expected ? 'fn' : 'tn')]++;
+    if (predicted && expected && r.expected.critical_error_type) {
+      critical.type_checked++;
+      if (r.predicted.critical_error_type === r.expected.critical_error_type) critical.type_matched++;
+    }
+  }
+
+  const withSuccess = scored.filter(r => typeof r.expected.is_successful === 'boolean');
+  const withType = scored.filter(r => r.expected.call_type);
+
+  return {
+    generated_at: new Date().toISOString(),
+    mode: args.mode,
+    provider: process.env.LLM_PROVIDER || null,
+    model: process.env.LLM_PROVIDER === 'local' ? (process.env.LLM_LOCAL_MODEL || process.env.LLM_MODEL) : process.env.LLM_MODEL || null,
+    rubric: { code: rubric.code, version: rubric.version },
+    golden: path.relative(process.cwd(), args.golden),
+    translate: args.translate,
+    cases: results.length,
+    failed: results.length - scored.length,
+    block_mae: round1(mean(allDiffs.map(Math.abs))),
+    blocks,
+    total: { n: totalDiffs.length, mae: round1(mean(totalDiffs.map(Math.abs))), bias: round1(mean(totalDiffs)) },
+    critical: {
+      ...critical,
+      precision: ratio(critical.tp, critical.tp + critical.fp),
+      recall: ratio(critical.tp, critical.tp + critical.fn),
+      type_accuracy: ratio(critical.type_matched, critical.type_checked)
+    },
+    success: {
+      n: withSuccess.length,
+      accuracy: ratio(withSuccess.filter(r => r.predicted.is_successful === r.expected.is_successful).length, withSuccess.length)
+    },
+    call_type: {
+      n: withType.length,
+      accuracy: ratio(withType.filter(r => r.predicted.call_type === r.expected.call_type).length, withType.length)
+    },
+    results
+  };
+}
+
+// Метрики для сравнения с прошлым прогоном; lowerIsBetter — ошибки, остальное — доли в %
+function comparableMetrics(report) {
+  return [
+    { label: 'MAE блоков', value: report.block_mae, lowerIsBetter: true },
+    ...report.blocks.map(b => ({ label: `  ${b.key} MAE`, value: b.mae, lowerIsBetter: true })),
+    { label: 'MAE итога', value: report.total.mae, lowerIsBetter: true },
+    { label: 'Крит. precision %', value: report.critical.precision },
+    { label: 'Крит. recall %', value: report.critical.recall },
+    { label: 'Запись, точность %', value: report.success.accuracy },
+    { label: 'Тип, точность %', value: report.call_type.accuracy }
+  ];
+}
+
+function rubricLabel(rubric) {
+  return `${rubric?.code} ${rubric?.version ? `v${rubric.version}` : '(встроенная)'}`;
+}
+
+function printReport(report) {
+  const fmt = v => (v === null || v === undefined ? '—' : String(v));
+  console.log(`\nРубрика ${rubricLabel(report.rubric)} · режим ${report.mode}` +
+    `${report.provider ? ` (${report.provider})` : ''} · звонков ${report.cases}, с ошибкой ${report.failed}\n`);
+
+  console.log('Блок'.padEnd(14) + 'n'.padStart(4) + 'MAE'.padStart(8) + 'смещ.'.padStart(8) + '  название');
+  for (const b of report.blocks) {
+    console.log(b.key.padEnd(14) + String(b.n).padStart(4) + fmt(b.mae).padStart(8) + fmt(b.bias).padStart(8) + `  ${b.name}`);
+  }
+  console.log('все блоки'.padEnd(18) + fmt(report.block_mae).padStart(8));
+  console.log('итог'.padEnd(14) + String(report.total.n).padStart(4) + fmt(report.total.mae).padStart(8) + fmt(report.total.bias).padStart(8));
+
+  const c = report.critical;
+  console.log(`\nКритические ошибки: TP ${c.tp}, FP ${c.fp}, FN ${c.fn}, TN ${c.tn} · precision ${fmt(c.precision)}%, recall ${fmt(c.recall)}%` +
+    `, тип верный ${fmt(c.type_accuracy)}%`);
+  console.log(`Флаг записи: точность ${fmt(report.success.accuracy)}% (n=${report.success.n})`);
+  console.log(`Тип звонка: точность ${fmt(report.call_type.accuracy)}% (n=${report.call_type.n})`);
+
+  const misses = report.results.filter(r => r.error
+    || r.predicted.has_critical_error !== r.expected.has_critical_error
+    || (typeof r.expected.is_successful === 'boolean' && r.predicted.is_successful !== r.expected.is_successful));
+  if (misses.length) {
+    console.log('\nРасхождения:');
+    for (const r of misses) {
+      if (r.error) { console.log(`  ✖ ${r.id}: ${r.error}`); continue; }
+      const notes = [];
+      if (r.predicted.has_critical_error !== r.expected.has_critical_error) {
+        notes.push(`крит. ошибка ${r.predicted.has_critical_error ? `найдена (${r.predicted.critical_error_type})` : 'пропущена'}`);
+      }
+      if (r.predicted.is_successful !== r.expected.is_successful) notes.push(`запись: ${r.predicted.is_successful} вместо ${r.expected.is_successful}`);
+      console.log(`  • ${r.id}: ${notes.join('; ')}`);
+    }
+  }
+}
+
+function printComparison(report, previous) {
+  console.log(`\nСравнение с ${args.compare} (рубрика ${rubricLabel(previous.rubric)}, ${previous.generated_at}):`);
+  const before = Object.fromEntries(comparableMetrics(previous).map(m => [m.label, m.value]));
+  for (const metric of comparableMetrics(report)) {
+    const was = before[metric.label];
+    if (was === null || was === undefined || metric.value === null) continue;
+    const delta = round1(metric.value - was);
+    const verdict = delta === 0 ? '' : (delta < 0) === !!metric.lowerIsBetter ? '  лучше' : '  ХУЖЕ';
+    console.log(`${metric.label.padEnd(22)}${String(was).padStart(8)} → ${String(metric.value).padEnd(8)}${delta > 0 ? '+' : ''}${delta}${verdict}`);
+  }
+}
+
+async function main() {
+  const golden = JSON.parse(fs.readFileSync(args.golden, 'utf8'));
+  const rubric = loadRubric(args.rubric);
+  const cases = (golden.cases || []).filter(c => !args.only || args.only.includes(c.id));
+  if (!cases.length) throw new Error('Нет звонков для оценки');
+  if (args.mode === 'mock' && args.rubric) {
+    console.warn('⚠️ mock-ответы записаны под рубрику golden.json — с другой рубрикой блоки могут не совпасть по key');
+  }
+
+  const results = [];
+  for (const testCase of cases) {
+    results.push(await runCase(testCase, rubric));
+  }
+
+  const report = buildReport(results, rubric);
+  printReport(report);
+  if (args.compare) printComparison(report, JSON.parse(fs.readFileSync(args.compare, 'utf8')));
+  if (args.json) {
+    fs.writeFileSync(args.json, JSON.stringify(report, null, 2));
+    console.log(`\nОтчёт: ${args.json}`);
+  }
+
+  if (args.failOnMae !== undefined && (report.block_mae === null || report.block_mae > args.failOnMae)) {
+    console.error(`\nMAE блоков ${report.block_mae} выше порога ${args.failOnMae}`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error(`Оценка не выполнена: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -2,12 +2,20 @@ const express = require('express');
 const cors = require('cors');
 const { createClient } = require('@supabase/supabase-js');
 const axios = require('axios');
+const FormData = require('form-data');
+const Ajv = require('ajv');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const nodemailer = require('nodemailer');
 const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
 const winston = require('winston');
+const promClient = require('prom-client');
 const rateLimit = require('express-rate-limit');
+const jwt = require('jsonwebtoken');
 require('dotenv').config();
 
 // ==================== ЛОГИРОВАНИЕ ====================
@@ -48,6 +56,136 @@ if (!fs.existsSync('logs')) {
   fs.mkdirSync('logs');
 }
 
+// ==================== МЕТРИКИ (Prometheus) ====================
+// GET /metrics: этапы pipeline, ретраи внешних API, очередь анализа, отставание синхронизации.
+// Метки — только низкой кардинальности (этап, провайдер, id клиники), без id звонков
+const metricsRegistry = new promClient.Registry();
+promClient.collectDefaultMetrics({ register: metricsRegistry });
+
+const pipelineStageTotal = new promClient.Counter({
+  name: 'callmind_pipeline_stage_total',
+  help: 'Запуски этапов pipeline по исходу',
+  labelNames: ['stage', 'provider', 'status'],
+  registers: [metricsRegistry]
+});
+
+const pipelineStageDuration = new promClient.Histogram({
+  name: 'callmind_pipeline_stage_duration_seconds',
+  help: 'Длительность этапов pipeline',
+  labelNames: ['stage', 'provider'],
+  buckets: [0.1, 0.5, 1, 2, 5, 10, 30, 60, 120, 300, 600],
+  registers: [metricsRegistry]
+});
+
+const retryTotal = new promClient.Counter({
+  name: 'callmind_retry_total',
+  help: 'Повторы запросов в callWithRetry',
+  labelNames: ['operation'],
+  registers: [metricsRegistry]
+});
+
+const retryFailedTotal = new promClient.Counter({
+  name: 'callmind_retry_failed_total',
+  help: 'Запросы callWithRetry, упавшие окончательно',
+  labelNames: ['operation'],
+  registers: [metricsRegistry]
+});
+
+const analysisJobsFinishedTotal = new promClient.Counter({
+  name: 'callmind_analysis_jobs_finished_total',
+  help: 'Завершённые попытки задач анализа: done | retry | failed',
+  labelNames: ['status'],
+  registers: [metricsRegistry]
+});
+
+// Очередь и синхронизация считаются при запросе /metrics; БД недоступна — NaN, а не ложный ноль
+new promClient.Gauge({
+  name: 'callmind_analysis_queue_depth',
+  help: 'Задачи анализа в очереди и в работе',
+  labelNames: ['status'],
+  registers: [metricsRegistry],
+  async collect() {
+    for (const status of ACTIVE_JOB_STATUSES) {
+      const { count, error } = await supabase.from('analysis_jobs')
+        .select('id', { count: 'exact', head: true }).eq('status', status);
+      this.set({ status }, error ? NaN : count || 0);
+    }
+  }
+});
+
+new promClient.Gauge({
+  name: 'callmind_analysis_queue_oldest_seconds',
+  help: 'Сколько ждёт самая старая готовая к запуску задача (0 — очередь пуста)',
+  registers: [metricsRegistry],
+  async collect() {
+    const { data, error } = await supabase.from('analysis_jobs')
+      .select('next_run_at').eq('status', 'queued').lte('next_run_at', new Date().toISOString())
+      .order('next_run_at', { ascending: true }).limit(1);
+    if (error) return this.set(NaN);
+    this.set(data.length ? (Date.now() - new Date(data[0].next_run_at).getTime()) / 1000 : 0);
+  }
+});
+
+new promClient.Gauge({
+  name: 'callmind_analysis_workers_active',
+  help: 'Занятые воркеры анализа',
+  registers: [metricsRegistry],
+  collect() {
+    this.set(activeJobWorkers);
+  }
+});
+
+// Время последней успешной сверки с Битрикс по клиникам (до первой — время старта процесса)
+const lastSyncAt = new Map();
+const processStartedAt = Date.now();
+
+new promClient.Gauge({
+  name: 'callmind_sync_lag_seconds',
+  help: 'Секунд с последней успешной сверки звонков с Битрикс',
+  labelNames: ['clinic_id'],
+  registers: [metricsRegistry],
+  collect() {
+    this.reset();
+    for (const clinic of clinicsCache.values()) {
+      if (!clinic.is_active || !clinic.bitrix_tokens?.access_token) continue;
+      this.set({ clinic_id: clinic.id }, (Date.now() - (lastSyncAt.get(clinic.id) ?? processStartedAt)) / 1000);
+    }
+  }
+});
+
+const dependencyUp = new promClient.Gauge({
+  name: 'callmind_dependency_up',
+  help: 'Результат последней проверки /ready: 1 — доступна, 0 — нет',
+  labelNames: ['dependency', 'clinic_id'],
+  registers: [metricsRegistry]
+});
+
+/**
+ * Выполняет этап pipeline с замером длительности и исхода
+ *
+ * @param {string} stage - download | channel_split | stt | translate | analyze
+ * @param {Function} fn - этап (sync или async)
+ * @param {string} [provider] - STT/LLM провайдер этапа
+ */
+async function observeStage(stage, fn, provider = '') {
+  const end = pipelineStageDuration.startTimer({ stage, provider });
+  try {
+    const result = await fn();
+    pipelineStageTotal.inc({ stage, provider, status: 'ok' });
+    return result;
+  } catch (error) {
+    pipelineStageTotal.inc({ stage, provider, status: 'error' });
+    throw error;
+  } finally {
+    end();
+  }
+}
+
+// stt.yandex[пациент 3/12] → stt.yandex: канал и номер куска в метку не идут
+function retryOperationLabel(operationName) {
+  return operationName.replace(/\[.*\]$/, '');
+}
+
 // ==================== RETRY ЛОГИКА ====================
 /**
  * Retry функция с exponential backoff для OpenAI API
@@ -72,6 +210,7 @@ async function callWithRetry(requestFn, maxRetries = 3, operationName = 'API cal
       const isLastAttempt = attempt === maxRetries;
 
       if (!isRetryable || isLastAttempt) {
+        retryFailedTotal.inc({ operation: retryOperationLabel(operationName) });
         logger.error(`❌ ${operationName} failed after ${attempt} attempts`, {
           error: error.message,
           status: error.response?.status,
@@ -102,6 +241,7 @@ async function callWithRetry(requestFn, maxRetries = 3, operationName = 'API cal
         });
       }
 
+      retryTotal.inc({ operation: retryOperationLabel(operationName) });
       await new Promise(resolve => setTimeout(resolve, delayMs));
     }
   }
@@ -136,32 +276,124 @@ app.use(cors({
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Clinic-Id']
 }));
 
-app.use(express.json());
+// rawBody — для проверки подписи вебхука WhatsApp
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: true }));
 app.use('/api/', apiLimiter);
+app.use('/api/', authenticate);
+app.use('/api/', resolveClinic);
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_KEY
 );
 
+// Битрикс24 клиники по умолчанию (остальные клиники — в таблице clinics)
 const BITRIX_DOMAIN = process.env.BITRIX_DOMAIN;
 const BITRIX_CLIENT_ID = process.env.BITRIX_CLIENT_ID;
 const BITRIX_CLIENT_SECRET = process.env.BITRIX_CLIENT_SECRET;
+const BITRIX_APPLICATION_TOKEN = process.env.BITRIX_APPLICATION_TOKEN; // auth[application_token] событий портала по умолчанию
+// События — основной путь; опрос статистики только сверяет пропущенное
+const BITRIX_RECONCILE_MINUTES = parseInt(process.env.BITRIX_RECONCILE_MINUTES) || 30;
+const BITRIX_RECONCILE_HOURS = parseInt(process.env.BITRIX_RECONCILE_HOURS) || 2; // перекрытие сверки до high-water mark
+const BITRIX_PAGE_DELAY_MS = parseInt(process.env.BITRIX_PAGE_DELAY_MS) || 500; // пауза между страницами (лимит REST ~2 запроса/с)
+const PUBLIC_API_URL = (process.env.PUBLIC_API_URL
+  || (process.env.RAILWAY_PUBLIC_DOMAIN ? `https://${process.env.RAILWAY_PUBLIC_DOMAIN}` : '')).replace(/\/$/, '');
+const BITRIX_TASK_DEADLINE_HOURS = parseInt(process.env.BITRIX_TASK_DEADLINE_HOURS) || 24; // срок задачи на разбор звонка
 const GOOGLE_PROXY_URL = process.env.GOOGLE_PROXY_URL;
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 
+// LLM (перевод + анализ): proxy | openai | local (OpenAI-совместимый сервер: vLLM, llama.cpp, Ollama) | mock (eval, тесты)
+const LLM_PROVIDER = process.env.LLM_PROVIDER || (GOOGLE_PROXY_URL ? 'proxy' : 'openai');
+const LLM_MODEL = process.env.LLM_MODEL || 'gpt-4o';
+const LLM_LOCAL_URL = process.env.LLM_LOCAL_URL; // базовый URL, например http://llm:8000/v1
+const LLM_LOCAL_MODEL = process.env.LLM_LOCAL_MODEL || LLM_MODEL;
+const LLM_REPAIR_ATTEMPTS = parseInt(process.env.LLM_REPAIR_ATTEMPTS) || 2;
+
+// Авторизация дашборда (JWT) и сервисный ключ для скриптов (X-API-Key)
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '12h';
+const API_KEY = process.env.API_KEY;
+if (!process.env.JWT_SECRET) {
+  logger.warn('⚠️ JWT_SECRET не задан — сгенерирован временный, сессии сбросятся при рестарте');
+}
+
 // Yandex SpeechKit (для транскрибации казахского/русского)
 const YANDEX_API_KEY = process.env.YANDEX_API_KEY;
 const YANDEX_FOLDER_ID = process.env.YANDEX_FOLDER_ID;
 
-let bitrixTokens = { access_token: null, refresh_token: null };
-
-// In-memory кеш обрабатываемых звонков (защита от дубликатов)
-const processingCalls = new Set();
+// Распознавание речи: провайдер по умолчанию и порядок fallback ("" — без fallback)
+const STT_PROVIDER = process.env.STT_PROVIDER || 'yandex';
+const STT_FALLBACK = (process.env.STT_FALLBACK ?? 'yandex,openai,whisper_local')
+  .split(',').map(p => p.trim()).filter(Boolean);
+const OPENAI_STT_MODEL = process.env.OPENAI_STT_MODEL || 'gpt-4o-transcribe';
+const WHISPER_LOCAL_URL = process.env.WHISPER_LOCAL_URL; // whisper.cpp /inference или faster-whisper /v1/audio/transcriptions
+const WHISPER_LOCAL_MODEL = process.env.WHISPER_LOCAL_MODEL;
+
+// Архив записей звонков: supabase (Storage, приватный bucket) | local (диск)
+const RECORDINGS_STORAGE = process.env.RECORDINGS_STORAGE || 'supabase';
+const RECORDINGS_BUCKET = process.env.RECORDINGS_BUCKET || 'recordings';
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || path.join(__dirname, 'data', 'recordings');
+// Запись, которая не скачивается столько раз подряд, больше не догружается в архив
+const RECORDINGS_ARCHIVE_MAX_ATTEMPTS = parseInt(process.env.RECORDINGS_ARCHIVE_MAX_ATTEMPTS) || 5;
+
+// Отчёты: шрифт PDF с кириллицей (в Docker — fonts-dejavu-core), часовой пояс дат, лимит строк выгрузки
+const REPORT_FONT = process.env.REPORT_FONT || '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf';
+const REPORT_FONT_BOLD = process.env.REPORT_FONT_BOLD || '/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf';
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || 'Asia/Aqtobe';
+const REPORT_MAX_ROWS = parseInt(process.env.REPORT_MAX_ROWS) || 5000;
+
+// Дайджесты РОПу: после DIGEST_HOUR (по REPORT_TIMEZONE) — дневной, в DIGEST_WEEKDAY (1 = пн) — недельный.
+// Для локальной проверки: TELEGRAM_API_URL на HTTP-заглушку, SMTP_HOST=localhost SMTP_PORT=1025 (MailHog/smtp4dev)
+const DIGEST_HOUR = parseInt(process.env.DIGEST_HOUR ?? '9');
+const DIGEST_WEEKDAY = parseInt(process.env.DIGEST_WEEKDAY ?? '1');
+const APP_URL = process.env.APP_URL; // адрес дашборда для ссылок на звонки
+const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+const TELEGRAM_API_URL = process.env.TELEGRAM_API_URL || 'https://api.telegram.org';
+const SMTP_HOST = process.env.SMTP_HOST;
+const SMTP_PORT = parseInt(process.env.SMTP_PORT) || 587;
+const SMTP_SECURE = process.env.SMTP_SECURE === 'true';
+const SMTP_USER = process.env.SMTP_USER;
+const SMTP_PASS = process.env.SMTP_PASS;
+const SMTP_FROM = process.env.SMTP_FROM || SMTP_USER || 'callmind@localhost';
+
+// WhatsApp Business (Cloud API): токен подтверждения вебхука и App Secret для подписи событий.
+// Чат оценивается, когда переписка затихла на WHATSAPP_IDLE_MINUTES; время ответа — в рабочие часы клиники
+const WHATSAPP_VERIFY_TOKEN = process.env.WHATSAPP_VERIFY_TOKEN;
+const WHATSAPP_APP_SECRET = process.env.WHATSAPP_APP_SECRET;
+const WHATSAPP_IDLE_MINUTES = parseInt(process.env.WHATSAPP_IDLE_MINUTES) || 60;
+const WHATSAPP_WORK_HOURS = (process.env.WHATSAPP_WORK_HOURS || '9-20').split('-').map(Number); // [начало, конец) по REPORT_TIMEZONE
+
+// Персональные данные пациентов скрываются до LLM и хранения (PII_REDACTION=false — выключить).
+// PII_ENCRYPTION_KEY — 32 байта в base64 (openssl rand -base64 32): шифрует оригиналы в call_pii
+const PII_REDACTION = process.env.PII_REDACTION !== 'false';
+const PII_ENCRYPTION_KEY = process.env.PII_ENCRYPTION_KEY ? Buffer.from(process.env.PII_ENCRYPTION_KEY, 'base64') : null;
+
+// Сроки хранения по умолчанию, дней от даты звонка (не задано — бессрочно); клиника переопределяет в retention_*_days
+const RETENTION_DEFAULTS = {
+  audio: parseInt(process.env.RETENTION_AUDIO_DAYS) || null,
+  transcript_raw: parseInt(process.env.RETENTION_TRANSCRIPT_RAW_DAYS) || null,
+  transcript: parseInt(process.env.RETENTION_TRANSCRIPT_DAYS) || null,
+  scores: parseInt(process.env.RETENTION_SCORES_DAYS) || null
+};
+
+// Расходы на STT/LLM: валюта таблицы цен и бюджеты клиники по умолчанию (не задано — без ограничения)
+const COST_CURRENCY = process.env.COST_CURRENCY || 'USD';
+const AI_BUDGET_DAILY = parseFloat(process.env.AI_BUDGET_DAILY) || null;
+const AI_BUDGET_MONTHLY = parseFloat(process.env.AI_BUDGET_MONTHLY) || null;
+
+// Очередь анализа (таблица analysis_jobs)
+const ANALYSIS_CONCURRENCY = parseInt(process.env.ANALYSIS_CONCURRENCY) || 2;
+const ANALYSIS_MAX_ATTEMPTS = parseInt(process.env.ANALYSIS_MAX_ATTEMPTS) || 5;
+
+// GET /metrics: только с Authorization: Bearer <METRICS_TOKEN> (в метках есть id клиник); не задан — 404
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+// Результат /ready кешируется: проба раз в несколько секунд не должна дёргать Битрикс каждый раз
+const READY_CACHE_MS = parseInt(process.env.READY_CACHE_MS) || 30 * 1000;
+const READY_CHECK_TIMEOUT_MS = 10 * 1000;
 
 // Проверяем наличие ffmpeg при старте
 let FFMPEG_AVAILABLE = false;
@@ -192,30 +424,338 @@ const WHISPER_PROMPT_KK =
   'Здравствуйте, клиника Мирамед. Запись на приём, обследование, диагностика. ' +
   'Суставы, позвоночник, колено, поясница, артроз, грыжа. Девять тысяч девятьсот тенге.';
 
-// ==================== TOKENS ====================
+// ====================================================================
+//  КЛИНИКИ (мульти-тенантность)
+//
+//  Один деплой обслуживает несколько филиалов. У каждой клиники:
+//  свой портал Битрикс24 + OAuth токены, свой цикл синхронизации,
+//  менеджеры, рубрика, словарь для переводчика.
+//  Все строки calls / call_scores / managers несут clinic_id.
+//
+//  Клиники кешируются в памяти (clinicsCache), токены пишутся и в БД, и в кеш.
+// ====================================================================
+
+// Профиль исходной клиники — подставляется, если поля в clinics не заполнены
+const DEFAULT_CLINIC_PROFILE = {
+  code: 'miramed-aktobe',
+  name: 'Miramed',
+  city: 'Актобе',
+  specialty: 'суставы',
+  offer: 'консультация+УЗИ 2+повтор=9900₸',
+  glossary: 'буын=сустав, омыртқа=позвоночник, бел=поясница, тізе=колено, ауырады=болит, дәрігер=врач, тексеру=обследование, жазылу=записаться, қанша тұрады=сколько стоит, бағасы=цена, қымбат=дорого, ойланайын=подумаю'
+};
+
+const clinicsCache = new Map();
+
+async function loadClinics() {
+  const { data, error } = await supabase.from('clinics').select('*').order('id');
+  if (error) {
+    logger.error('Load clinics error', { error: error.message });
+    return [];
+  }
+  clinicsCache.clear();
+  for (const clinic of data || []) clinicsCache.set(clinic.id, clinic);
+  return data || [];
+}
+
+async function getClinic(clinicId) {
+  if (!clinicId) return null;
+  const id = Number(clinicId);
+  if (!clinicsCache.has(id)) await loadClinics();
+  return clinicsCache.get(id) || null;
+}
+
+async function getClinicByDomain(domain) {
+  if (!domain) return null;
+  const find = () => [...clinicsCache.values()].find(c => c.bitrix_domain === domain);
+  return find() || (await loadClinics(), find()) || null;
+}
+
+// Поля клиники с fallback на DEFAULT_CLINIC_PROFILE — для промптов
+function clinicProfile(clinic) {
+  return {
+    name: clinic?.name || DEFAULT_CLINIC_PROFILE.name,
+    city: clinic?.city || DEFAULT_CLINIC_PROFILE.city,
+    specialty: clinic?.specialty || DEFAULT_CLINIC_PROFILE.specialty,
+    offer: clinic?.offer || DEFAULT_CLINIC_PROFILE.offer,
+    glossary: clinic?.glossary || DEFAULT_CLINIC_PROFILE.glossary,
+    sttPrompt: clinic?.stt_prompt || WHISPER_PROMPT_KK
+  };
+}
+
+function bitrixCredentials(clinic) {
+  return {
+    domain: clinic.bitrix_domain,
+    clientId: clinic.bitrix_client_id || BITRIX_CLIENT_ID,
+    clientSecret: clinic.bitrix_client_secret || BITRIX_CLIENT_SECRET,
+    applicationToken: clinic.bitrix_application_token
+      || (clinic.bitrix_domain === BITRIX_DOMAIN ? BITRIX_APPLICATION_TOKEN : null)
+  };
+}
+
+// Без секретов и токенов — для ответов API
+function publicClinic(clinic) {
+  return {
+    id: clinic.id,
+    code: clinic.code,
+    name: clinic.name,
+    city: clinic.city,
+    specialty: clinic.specialty,
+    offer: clinic.offer,
+    glossary: clinic.glossary,
+    bitrix_domain: clinic.bitrix_domain,
+    bitrix_connected: !!clinic.bitrix_tokens?.access_token,
+    bitrix_events_verified: !!bitrixCredentials(clinic).applicationToken,
+    bitrix_writeback: clinic.bitrix_writeback,
+    bitrix_task_threshold: clinic.bitrix_task_threshold,
+    stt_provider: clinic.stt_provider,
+    stt_prompt: clinic.stt_prompt,
+    whatsapp_phone_number_id: clinic.whatsapp_phone_number_id,
+    retention: retentionPolicy(clinic),
+    budget: clinicBudget(clinic),
+    is_active: clinic.is_active
+  };
+}
 
-async function saveTokensToDb() {
+async function saveClinicTokens(clinic, tokens) {
   try {
-    await supabase.from('settings').upsert({
-      key: 'bitrix_tokens',
-      value: JSON.stringify(bitrixTokens),
+    await supabase.from('clinics').update({
+      bitrix_tokens: tokens,
       updated_at: new Date().toISOString()
-    }, { onConflict: 'key' });
-    logger.debug('Bitrix tokens saved to DB');
+    }).eq('id', clinic.id);
+    clinicsCache.set(clinic.id, { ...clinic, bitrix_tokens: tokens });
+    logger.debug('Bitrix tokens saved to DB', { clinicId: clinic.id });
   } catch (e) {
-    logger.error('Error saving tokens', { error: e.message });
+    logger.error('Error saving tokens', { clinicId: clinic.id, error: e.message });
   }
 }
 
-async function loadTokensFromDb() {
+/**
+ * Первый старт после перехода на клиники: создаёт клинику из env
+ * (BITRIX_DOMAIN, токены из settings.bitrix_tokens) и привязывает к ней
+ * все строки без clinic_id.
+ */
+async function ensureDefaultClinic() {
+  const clinics = await loadClinics();
+  if (clinics.length || !BITRIX_DOMAIN) return;
+
+  let tokens = null;
   try {
     const { data } = await supabase.from('settings').select('value').eq('key', 'bitrix_tokens').single();
-    if (data?.value) {
-      bitrixTokens = JSON.parse(data.value);
-      return true;
-    }
+    if (data?.value) tokens = JSON.parse(data.value);
   } catch (e) {}
-  return false;
+
+  const { data: clinic, error } = await supabase.from('clinics').insert({
+    ...DEFAULT_CLINIC_PROFILE,
+    bitrix_domain: BITRIX_DOMAIN,
+    bitrix_tokens: tokens
+  }).select().single();
+  if (error) {
+    logger.error('Default clinic error', { error: error.message });
+    return;
+  }
+
+  for (const table of ['calls', 'call_scores', 'managers']) {
+    await supabase.from(table).update({ clinic_id: clinic.id }).is('clinic_id', null);
+  }
+  await loadClinics();
+  logger.info('🏥 Клиника по умолчанию создана, данные привязаны', { clinicId: clinic.id, domain: BITRIX_DOMAIN });
+}
+
+// ====================================================================
+//  АВТОРИЗАЦИЯ И РОЛИ
+//
+//  admin   — интеграции (Битрикс), пользователи, настройки
+//  head    — РОП: все звонки, анализ/переанализ, очередь
+//  manager — администратор: только свои звонки (app_users.manager_id)
+//
+//  Разговоры пациентов — медицинские данные, поэтому закрыто всё /api,
+//  кроме логина и входящих вебхуков/редиректов Битрикс.
+// ====================================================================
+
+const ROLES = ['admin', 'head', 'manager'];
+
+// Без JWT: логин, события Битрикс и WhatsApp (проверяют свои токены/подписи), OAuth-редирект (защищён подписанным state)
+const PUBLIC_API_PATHS = new Set([
+  '/auth/login',
+  '/bitrix/webhook',
+  '/bitrix/call-webhook',
+  '/bitrix/callback',
+  '/whatsapp/webhook'
+]);
+
+// Защита от перебора паролей
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logger.warn('Login rate limit exceeded', { ip: req.ip });
+    res.status(429).json({ error: 'Слишком много попыток входа, попробуйте позже' });
+  }
+});
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function issueToken(user) {
+  return jwt.sign({ sub: user.id, role: user.role }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+}
+
+// Токен для ?token= в ссылке на запись: одна запись, несколько часов, не годится как сессия
+function issueAudioToken(user, callId) {
+  return jwt.sign({ sub: user.id, purpose: 'audio', callId: Number(callId) }, JWT_SECRET, { expiresIn: '6h' });
+}
+
+function publicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    manager_id: user.manager_id,
+    clinic_id: user.clinic_id
+  };
+}
+
+/**
+ * Middleware: проверяет Bearer JWT или X-API-Key, кладёт пользователя в req.user
+ *
+ * Пользователь перечитывается из БД на каждый запрос — смена роли
+ * и деактивация действуют сразу, без ожидания истечения токена.
+ */
+async function authenticate(req, res, next) {
+  if (req.method === 'OPTIONS' || PUBLIC_API_PATHS.has(req.path)) return next();
+
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) {
+    if (API_KEY && safeEqual(apiKey, API_KEY)) {
+      req.user = { id: null, name: 'api-key', role: 'admin', manager_id: null, clinic_id: null };
+      return next();
+    }
+    return res.status(401).json({ error: 'Неверный API ключ' });
+  }
+
+  const header = req.get('Authorization') || '';
+  const bearer = header.startsWith('Bearer ') ? header.slice(7) : null;
+  const token = bearer || (typeof req.query.token === 'string' ? req.query.token : null);
+  if (!token) return res.status(401).json({ error: 'Требуется авторизация' });
+
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    // Сессия — только в заголовке; токен записи — только в ?token= и только для своей записи
+    if (bearer ? payload.purpose : (payload.purpose !== 'audio' || req.path !== `/calls/${payload.callId}/audio`)) {
+      return res.status(401).json({ error: 'Недопустимый токен' });
+    }
+    const { data: user } = await supabase.from('app_users').select('*').eq('id', payload.sub).maybeSingle();
+    if (!user || !user.is_active) return res.status(401).json({ error: 'Пользователь не найден или отключён' });
+    req.user = publicUser(user);
+    next();
+  } catch (e) {
+    return res.status(401).json({ error: 'Сессия истекла, войдите заново' });
+  }
+}
+
+/**
+ * Middleware: пропускает только указанные роли
+ * @param {...string} roles - 'admin' | 'head' | 'manager'
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      logger.warn('Access denied', { path: req.path, role: req.user?.role, required: roles });
+      return res.status(403).json({ error: 'Недостаточно прав' });
+    }
+    next();
+  };
+}
+
+// Сетевые настройки (все клиники, общие таблицы) — только пользователю без привязки к клинике
+function requireNetworkUser(req, res, next) {
+  if (req.user?.clinic_id) {
+    logger.warn('Access denied: network-level action', { path: req.path, userId: req.user.id, clinicId: req.user.clinic_id });
+    return res.status(403).json({ error: 'Доступно только сетевому администратору' });
+  }
+  next();
+}
+
+/**
+ * Middleware: определяет клинику запроса → req.clinicId
+ *
+ * Пользователь, привязанный к клинике, всегда видит только её.
+ * Сетевые admin/head выбирают клинику заголовком X-Clinic-Id (или ?clinic_id=);
+ * без него req.clinicId = null — данные всех клиник.
+ */
+async function resolveClinic(req, res, next) {
+  if (!req.user) return next();
+  if (req.user.clinic_id) {
+    req.clinicId = req.user.clinic_id;
+    return next();
+  }
+  const requested = req.get('X-Clinic-Id') || req.query.clinic_id;
+  if (!requested) {
+    req.clinicId = null;
+    return next();
+  }
+  const clinic = await getClinic(requested);
+  if (!clinic) return res.status(404).json({ error: 'Клиника не найдена' });
+  req.clinicId = clinic.id;
+  next();
+}
+
+// Фильтр запроса Supabase по клинике запроса (null = все клиники)
+function scopeToClinic(query, req, column = 'clinic_id') {
+  return req.clinicId ? query.eq(column, req.clinicId) : query;
+}
+
+// Администратор (manager) видит только свои звонки; все — только звонки своей клиники
+function canAccessCall(user, call) {
+  if (!call) return false;
+  if (user.clinic_id && call.clinic_id !== user.clinic_id) return false;
+  if (user.role !== 'manager') return true;
+  return !!user.manager_id && call.manager_id === user.manager_id;
+}
+
+/**
+ * Создаёт первого администратора из ADMIN_EMAIL / ADMIN_PASSWORD, если админов ещё нет
+ */
+async function ensureBootstrapAdmin() {
+  const email = process.env.ADMIN_EMAIL;
+  const password = process.env.ADMIN_PASSWORD;
+  if (!email || !password) return;
+
+  const { data: admins } = await supabase.from('app_users').select('id').eq('role', 'admin').limit(1);
+  if (admins?.length) return;
+
+  const { error } = await supabase.from('app_users').insert({
+    email: email.toLowerCase(),
+    name: 'Администратор',
+    password_hash: hashPassword(password),
+    role: 'admin'
+  });
+  if (error) {
+    logger.error('Bootstrap admin error', { error: error.message });
+  } else {
+    logger.info('👤 Создан первый администратор', { email });
+  }
 }
 
 // ==================== ROUTES ====================
@@ -224,9 +764,9 @@ app.get('/', (req, res) => {
   res.json({
     status: 'ok',
     message: '🏥 Clinic CallMind API v5.0',
-    features: ['bitrix', 'ai-analysis', 'stereo-channel-split', 'gpt-4o-transcribe', 'two-block-format'],
+    features: ['bitrix', 'ai-analysis', 'stereo-channel-split', 'stt-providers', 'timed-turns', 'two-block-format'],
     ffmpeg: FFMPEG_AVAILABLE,
-    bitrix_connected: !!bitrixTokens.access_token
+    bitrix_connected: [...clinicsCache.values()].some(c => c.bitrix_tokens?.access_token)
   });
 });
 
@@ -244,10 +784,12 @@ app.get('/health', (req, res) => {
       unit: 'MB'
     },
     services: {
-      bitrix: !!bitrixTokens.access_token,
+      bitrix: [...clinicsCache.values()].some(c => c.bitrix_tokens?.access_token),
       ffmpeg: FFMPEG_AVAILABLE,
-      supabase: true, // Проверяем что подключение есть
-      openai: !!process.env.OPENAI_API_KEY
+      supabase: readinessCache ? readinessCache.result.checks.supabase.ok : null, // последняя проверка /ready
+      openai: !!process.env.OPENAI_API_KEY,
+      llm: { provider: LLM_PROVIDER, model: LLM_PROVIDER === 'local' ? LLM_LOCAL_MODEL : LLM_MODEL, configured: !!LLM_PROVIDERS[LLM_PROVIDER]?.isConfigured() },
+      stt: Object.fromEntries(Object.entries(STT_PROVIDERS).map(([name, p]) => [name, p.isConfigured()]))
     },
     environment: process.env.NODE_ENV || 'development'
   };
@@ -256,6 +798,93 @@ app.get('/health', (req, res) => {
   res.json(healthStatus);
 });
 
+// ==================== READINESS / METRICS ====================
+// /health — процесс жив; /ready — реально работают зависимости: Supabase, токены Битрикс
+// подключённых клиник, ffmpeg. 503 — для алерта раньше, чем менеджеры заметят пропавшие оценки.
+// Наружу /ready отдаёт только статус: подробности — в логе и в метрике callmind_dependency_up
+
+let readinessCache = null; // { at, result }
+let readinessPending = null; // идущая проверка: параллельные пробы ждут её, а не запускают свою
+
+function withTimeout(promise, ms, name) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(`${name}: нет ответа за ${ms}ms`)), ms); })
+  ]).finally(() => clearTimeout(timer));
+}
+
+async function runReadinessCheck(name, fn) {
+  const started = Date.now();
+  try {
+    await withTimeout(Promise.resolve().then(fn), READY_CHECK_TIMEOUT_MS, name);
+    return { ok: true, ms: Date.now() - started };
+  } catch (error) {
+    return { ok: false, ms: Date.now() - started, error: error.message };
+  }
+}
+
+async function checkReadiness() {
+  const [supabaseCheck, ffmpegCheck] = await Promise.all([
+    runReadinessCheck('supabase', async () => {
+      const { error } = await supabase.from('settings').select('key').limit(1);
+      if (error) throw new Error(error.message);
+    }),
+    runReadinessCheck('ffmpeg', () => execSync('ffmpeg -version', { stdio: 'ignore', timeout: READY_CHECK_TIMEOUT_MS }))
+  ]);
+
+  // Истёкший access token обновляется внутри bitrixRequest — ошибка значит, что не помог и refresh
+  const clinics = supabaseCheck.ok ? await loadClinics().catch(() => []) : [...clinicsCache.values()];
+  const bitrix = [];
+  for (const clinic of clinics.filter(c => c.is_active && c.bitrix_tokens?.access_token)) {
+    bitrix.push({ clinic_id: clinic.id, ...await runReadinessCheck('bitrix', () => callBitrixMethod(clinic, 'app.info')) });
+  }
+
+  dependencyUp.reset();
+  dependencyUp.set({ dependency: 'supabase', clinic_id: '' }, supabaseCheck.ok ? 1 : 0);
+  dependencyUp.set({ dependency: 'ffmpeg', clinic_id: '' }, ffmpegCheck.ok ? 1 : 0);
+  for (const check of bitrix) dependencyUp.set({ dependency: 'bitrix', clinic_id: check.clinic_id }, check.ok ? 1 : 0);
+
+  const ready = supabaseCheck.ok && ffmpegCheck.ok && bitrix.every(c => c.ok);
+  if (!ready) {
+    logger.warn('⚠️ Readiness check failed', {
+      supabase: supabaseCheck.error, ffmpeg: ffmpegCheck.error, bitrix: bitrix.filter(c => !c.ok)
+    });
+  }
+  return {
+    status: ready ? 'ready' : 'not_ready',
+    timestamp: new Date().toISOString(),
+    checks: { supabase: supabaseCheck, ffmpeg: ffmpegCheck, bitrix }
+  };
+}
+
+app.get('/ready', async (req, res) => {
+  try {
+    if (!readinessCache || Date.now() - readinessCache.at > READY_CACHE_MS) {
+      readinessPending ??= checkReadiness().finally(() => { readinessPending = null; });
+      readinessCache = { at: Date.now(), result: await readinessPending };
+    }
+    const { status } = readinessCache.result;
+    res.status(status === 'ready' ? 200 : 503).json({ status });
+  } catch (error) {
+    logger.error('Readiness check crashed', { error: error.message });
+    res.status(503).json({ status: 'not_ready' });
+  }
+});
+
+app.get('/metrics', async (req, res) => {
+  if (!METRICS_TOKEN) return res.status(404).json({ error: 'Не найдено' });
+  if (!safeEqual(req.headers.authorization || '', `Bearer ${METRICS_TOKEN}`)) {
+    return res.status(401).json({ error: 'Требуется токен метрик' });
+  }
+  try {
+    res.set('Content-Type', metricsRegistry.contentType);
+    res.send(await metricsRegistry.metrics());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Форматирование uptime в читаемый вид
 function formatUptime(seconds) {
   const days = Math.floor(seconds / 86400);
@@ -265,170 +894,1052 @@ function formatUptime(seconds) {
   return `${days}d ${hours}h ${minutes}m ${secs}s`;
 }
 
-app.get('/api/bitrix/auth', (req, res) => {
-  res.json({ auth_url: `https://${BITRIX_DOMAIN}/oauth/authorize/?client_id=${BITRIX_CLIENT_ID}&response_type=code` });
+// ==================== AUTH API ====================
+
+app.post('/api/auth/login', loginLimiter, async (req, res) => {
+  const { email, password } = req.body || {};
+  if (!email || !password) return res.status(400).json({ error: 'Введите email и пароль' });
+  try {
+    const { data: user } = await supabase.from('app_users')
+      .select('*').eq('email', String(email).toLowerCase().trim()).maybeSingle();
+    if (!user || !user.is_active || !verifyPassword(password, user.password_hash)) {
+      logger.warn('Login failed', { email, ip: req.ip });
+      return res.status(401).json({ error: 'Неверный email или пароль' });
+    }
+    await supabase.from('app_users').update({ last_login_at: new Date().toISOString() }).eq('id', user.id);
+    logger.info('Login', { userId: user.id, role: user.role });
+    res.json({ token: issueToken(user), user: publicUser(user) });
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: req.user });
+});
+
+// ==================== USERS API (admin) ====================
+
+// Админ клиники видит и меняет только пользователей своей клиники; сетевой — всех
+app.get('/api/users', requireRole('admin'), async (req, res) => {
+  let query = supabase.from('app_users')
+    .select('id, email, name, role, manager_id, clinic_id, is_active, last_login_at, created_at').order('email');
+  if (req.user.clinic_id) query = query.eq('clinic_id', req.user.clinic_id);
+  const { data, error } = await query;
+  res.json(error ? { error: error.message } : data);
+});
+
+// Пользователь в пределах клиники админа; null — не найден или чужой клиники
+async function findScopedUser(req, id) {
+  const { data: user } = await supabase.from('app_users').select('*').eq('id', id).maybeSingle();
+  if (!user) return null;
+  if (req.user.clinic_id && user.clinic_id !== req.user.clinic_id) return null;
+  return user;
+}
+
+// Менеджер для привязки пользователя: существует и (у админа клиники) из его клиники
+async function findLinkableManager(req, managerId) {
+  const { data: manager } = await supabase.from('managers').select('id, clinic_id').eq('id', managerId).maybeSingle();
+  if (!manager) return null;
+  if (req.user.clinic_id && manager.clinic_id !== req.user.clinic_id) return null;
+  return manager;
+}
+
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+  const { email, name, password, role = 'manager', manager_id = null, clinic_id = null } = req.body || {};
+  if (!email || !password) return res.status(400).json({ error: 'email и password обязательны' });
+  if (!ROLES.includes(role)) return res.status(400).json({ error: `role: ${ROLES.join('|')}` });
+  if (role === 'manager' && !manager_id) return res.status(400).json({ error: 'Для роли manager нужен manager_id' });
+  try {
+    // Админ клиники создаёт пользователей только в своей клинике;
+    // администратор (manager) всегда в клинике своего менеджера
+    let clinicId = req.user.clinic_id || clinic_id;
+    if (manager_id) {
+      const manager = await findLinkableManager(req, manager_id);
+      if (!manager) return res.status(400).json({ error: 'Менеджер не найден' });
+      if (role === 'manager') clinicId = manager.clinic_id;
+    }
+    const { data, error } = await supabase.from('app_users').insert({
+      email: String(email).toLowerCase().trim(), name, role, manager_id, clinic_id: clinicId,
+      password_hash: hashPassword(password)
+    }).select().single();
+    if (error) return res.status(400).json({ error: error.message });
+    logger.info('User created', { userId: data.id, role, by: req.user.id });
+    res.status(201).json(publicUser(data));
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+app.put('/api/users/:id', requireRole('admin'), async (req, res) => {
+  const { name, password, role, manager_id, clinic_id, is_active } = req.body || {};
+  if (role !== undefined && !ROLES.includes(role)) return res.status(400).json({ error: `role: ${ROLES.join('|')}` });
+  const fields = { updated_at: new Date().toISOString() };
+  if (name !== undefined) fields.name = name;
+  if (role !== undefined) fields.role = role;
+  if (manager_id !== undefined) fields.manager_id = manager_id;
+  // Админ клиники не может перевести пользователя (и себя) в другую клинику или в сетевые
+  if (req.user.clinic_id) fields.clinic_id = req.user.clinic_id;
+  else if (clinic_id !== undefined) fields.clinic_id = clinic_id;
+  if (is_active !== undefined) fields.is_active = !!is_active;
+  if (password) fields.password_hash = hashPassword(password);
+  try {
+    const user = await findScopedUser(req, req.params.id);
+    if (!user) return res.status(404).json({ error: 'Пользователь не найден' });
+    // Роль manager — только с менеджером (своей клиники у админа клиники), клиника — его
+    const nextRole = role ?? user.role;
+    const managerId = manager_id !== undefined ? manager_id : user.manager_id;
+    if (nextRole === 'manager' && !managerId) return res.status(400).json({ error: 'Для роли manager нужен manager_id' });
+    if (manager_id || nextRole === 'manager') {
+      const manager = await findLinkableManager(req, managerId);
+      if (!manager) return res.status(400).json({ error: 'Менеджер не найден' });
+      if (nextRole === 'manager') fields.clinic_id = manager.clinic_id;
+    }
+    const { data, error } = await supabase.from('app_users').update(fields).eq('id', req.params.id).select().maybeSingle();
+    if (error) return res.status(400).json({ error: error.message });
+    if (!data) return res.status(404).json({ error: 'Пользователь не найден' });
+    logger.info('User updated', { userId: data.id, by: req.user.id, fields: Object.keys(fields) });
+    res.json(publicUser(data));
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+// ==================== CLINICS API ====================
+
+app.get('/api/clinics', async (req, res) => {
+  try {
+    let clinics = await loadClinics();
+    if (req.user.clinic_id) clinics = clinics.filter(c => c.id === req.user.clinic_id);
+    res.json(clinics.filter(c => c.is_active || req.user.role === 'admin').map(publicClinic));
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+const CLINIC_FIELDS = ['code', 'name', 'city', 'specialty', 'offer', 'glossary',
+  'bitrix_domain', 'bitrix_client_id', 'bitrix_client_secret', 'bitrix_application_token', 'bitrix_writeback', 'bitrix_task_threshold',
+  'stt_provider', 'stt_prompt', 'whatsapp_phone_number_id', 'is_active',
+  'retention_audio_days', 'retention_transcript_raw_days', 'retention_transcript_days', 'retention_scores_days',
+  'budget_daily', 'budget_monthly'];
+
+function pickClinicFields(body) {
+  return Object.fromEntries(CLINIC_FIELDS.filter(f => body?.[f] !== undefined).map(f => [f, body[f]]));
+}
+
+function validateSttProvider(provider) {
+  return !provider || STT_PROVIDERS[provider] ? null : `Неизвестный STT провайдер: ${provider} (${Object.keys(STT_PROVIDERS).join(', ')})`;
+}
+
+app.post('/api/clinics', requireRole('admin'), requireNetworkUser, async (req, res) => {
+  const fields = pickClinicFields(req.body);
+  if (!fields.code || !fields.name) return res.status(400).json({ error: 'code и name обязательны' });
+  const sttError = validateSttProvider(fields.stt_provider);
+  if (sttError) return res.status(400).json({ error: sttError });
+  const retentionError = validateRetention(fields) || validateBudget(fields);
+  if (retentionError) return res.status(400).json({ error: retentionError });
+  try {
+    const { data, error } = await supabase.from('clinics').insert(fields).select().single();
+    if (error) return res.status(400).json({ error: error.message });
+    clinicsCache.set(data.id, data);
+    logger.info('🏥 Clinic created', { clinicId: data.id, code: data.code, by: req.user.id });
+    res.status(201).json(publicClinic(data));
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+app.put('/api/clinics/:id', requireRole('admin'), async (req, res) => {
+  if (req.user.clinic_id && String(req.params.id) !== String(req.user.clinic_id)) {
+    return res.status(403).json({ error: 'Недостаточно прав' });
+  }
+  const fields = pickClinicFields(req.body);
+  const sttError = validateSttProvider(fields.stt_provider);
+  if (sttError) return res.status(400).json({ error: sttError });
+  const retentionError = validateRetention(fields) || validateBudget(fields);
+  if (retentionError) return res.status(400).json({ error: retentionError });
+  try {
+    const { data, error } = await supabase.from('clinics')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id).select().maybeSingle();
+    if (error) return res.status(400).json({ error: error.message });
+    if (!data) return res.status(404).json({ error: 'Клиника не найдена' });
+    clinicsCache.set(data.id, data);
+    logger.info('🏥 Clinic updated', { clinicId: data.id, fields: Object.keys(fields), by: req.user.id });
+    res.json(publicClinic(data));
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+// Для интеграций клиника обязательна: сетевой админ выбирает её через X-Clinic-Id
+async function requireClinic(req, res) {
+  const clinic = await getClinic(req.clinicId);
+  if (!clinic) {
+    res.status(400).json({ error: 'Выберите клинику (X-Clinic-Id)' });
+    return null;
+  }
+  return clinic;
+}
+
+// ==================== BITRIX OAUTH ====================
+
+// state подписан JWT_SECRET: callback открыт (редирект из Битрикс), но принимает
+// только код, запрошенный админом через /api/bitrix/auth, и знает, какой клиники он
+app.get('/api/bitrix/auth', requireRole('admin'), async (req, res) => {
+  const clinic = await requireClinic(req, res);
+  if (!clinic) return;
+  const { domain, clientId } = bitrixCredentials(clinic);
+  if (!domain) return res.status(400).json({ error: 'У клиники не указан bitrix_domain' });
+  const state = jwt.sign({ purpose: 'bitrix_oauth', clinicId: clinic.id, by: req.user.id }, JWT_SECRET, { expiresIn: '15m' });
+  res.json({ auth_url: `https://${domain}/oauth/authorize/?client_id=${clientId}&response_type=code&state=${encodeURIComponent(state)}` });
 });
 
 app.get('/api/bitrix/callback', async (req, res) => {
-  const { code } = req.query;
+  const { code, state } = req.query;
   if (!code) return res.status(400).json({ error: 'No code' });
+  let clinic;
+  try {
+    const payload = jwt.verify(String(state || ''), JWT_SECRET);
+    if (payload.purpose !== 'bitrix_oauth') throw new Error('wrong purpose');
+    clinic = await getClinic(payload.clinicId);
+    if (!clinic) throw new Error('unknown clinic');
+  } catch (e) {
+    logger.warn('Bitrix OAuth callback with invalid state', { ip: req.ip });
+    return res.status(403).json({ error: 'Недействительный state, начните подключение заново' });
+  }
   try {
-    const response = await axios.get(`https://${BITRIX_DOMAIN}/oauth/token/?grant_type=authorization_code&client_id=${BITRIX_CLIENT_ID}&client_secret=${BITRIX_CLIENT_SECRET}&code=${code}`);
-    bitrixTokens = { access_token: response.data.access_token, refresh_token: response.data.refresh_token };
-    await saveTokensToDb();
-    res.send('<h1>✅ Битрикс24 подключён!</h1>');
+    const { domain, clientId, clientSecret } = bitrixCredentials(clinic);
+    const response = await axios.get(`https://${domain}/oauth/token/?grant_type=authorization_code&client_id=${clientId}&client_secret=${clientSecret}&code=${code}`);
+    await saveClinicTokens(clinic, { access_token: response.data.access_token, refresh_token: response.data.refresh_token });
+    await bindBitrixEvents(clinic);
+    res.send(`<h1>✅ Битрикс24 подключён: ${clinic.name}</h1>`);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/api/bitrix/status', (req, res) => {
-  res.json({ connected: !!bitrixTokens.access_token, domain: BITRIX_DOMAIN });
+app.get('/api/bitrix/status', requireRole('admin', 'head'), async (req, res) => {
+  let clinics = await loadClinics();
+  if (req.clinicId) clinics = clinics.filter(c => c.id === req.clinicId);
+  res.json(clinics.map(c => ({
+    clinic_id: c.id,
+    name: c.name,
+    connected: !!c.bitrix_tokens?.access_token,
+    events_verified: !!bitrixCredentials(c).applicationToken,
+    domain: c.bitrix_domain
+  })));
 });
 
 // ==================== BITRIX API ====================
 
-async function refreshBitrixToken() {
-  if (!bitrixTokens.refresh_token) {
-    await loadTokensFromDb();
-    if (!bitrixTokens.refresh_token) return false;
-  }
+async function refreshBitrixToken(clinic) {
+  const current = await getClinic(clinic.id);
+  if (!current?.bitrix_tokens?.refresh_token) return false;
   try {
-    const response = await axios.get(`https://${BITRIX_DOMAIN}/oauth/token/?grant_type=refresh_token&client_id=${BITRIX_CLIENT_ID}&client_secret=${BITRIX_CLIENT_SECRET}&refresh_token=${bitrixTokens.refresh_token}`);
-    bitrixTokens = { access_token: response.data.access_token, refresh_token: response.data.refresh_token };
-    await saveTokensToDb();
+    const { domain, clientId, clientSecret } = bitrixCredentials(current);
+    const response = await axios.get(`https://${domain}/oauth/token/?grant_type=refresh_token&client_id=${clientId}&client_secret=${clientSecret}&refresh_token=${current.bitrix_tokens.refresh_token}`);
+    await saveClinicTokens(current, { access_token: response.data.access_token, refresh_token: response.data.refresh_token });
     return true;
   } catch (e) { return false; }
 }
 
-async function callBitrixMethod(method, params = {}) {
-  if (!bitrixTokens.access_token) throw new Error('Битрикс не авторизован');
+// Полный ответ REST: { result, next, total } (next/total — у list-методов)
+async function bitrixRequest(clinic, method, params = {}) {
+  const current = await getClinic(clinic.id);
+  if (!current?.bitrix_tokens?.access_token) throw new Error(`Битрикс не авторизован (${clinic.name})`);
+  const { domain } = bitrixCredentials(current);
   try {
-    const response = await axios.post(`https://${BITRIX_DOMAIN}/rest/${method}?auth=${bitrixTokens.access_token}`, params);
-    return response.data.result;
+    const response = await axios.post(`https://${domain}/rest/${method}?auth=${current.bitrix_tokens.access_token}`, params);
+    return response.data;
   } catch (error) {
     if (error.response?.data?.error === 'expired_token') {
-      if (await refreshBitrixToken()) {
-        const response = await axios.post(`https://${BITRIX_DOMAIN}/rest/${method}?auth=${bitrixTokens.access_token}`, params);
-        return response.data.result;
+      if (await refreshBitrixToken(current)) {
+        const refreshed = await getClinic(clinic.id);
+        const response = await axios.post(`https://${domain}/rest/${method}?auth=${refreshed.bitrix_tokens.access_token}`, params);
+        return response.data;
       }
     }
     throw error;
   }
 }
 
+async function callBitrixMethod(clinic, method, params = {}) {
+  return (await bitrixRequest(clinic, method, params)).result;
+}
+
+/**
+ * Все страницы list-метода Битрикс (по 50 записей, следующая — с start = next)
+ *
+ * @param {Function} onPage - async (items, { start, next, total }) на каждую страницу
+ * @param {number} start - с какой записи начать (продолжение прерванной выгрузки)
+ */
+async function callBitrixList(clinic, method, params, onPage, start = 0) {
+  let next = start;
+  do {
+    if (next !== start) await new Promise(resolve => setTimeout(resolve, BITRIX_PAGE_DELAY_MS));
+    const data = await bitrixRequest(clinic, method, { ...params, start: next });
+    await onPage(data.result || [], { start: next, next: data.next ?? null, total: data.total ?? null });
+    next = data.next ?? null;
+  } while (next !== null);
+}
+
 // ==================== WEBHOOKS ====================
+//
+//  Основной путь загрузки звонков: событие ONVOXIMPLANTCALLEND → один звонок по data[CALL_ID].
+//  Подлинность события — auth[application_token] против токена установки приложения
+//  (clinics.bitrix_application_token; для клиники из env — ещё BITRIX_APPLICATION_TOKEN).
+//  Запись в Битрикс появляется не сразу после конца звонка, поэтому звонок запрашивается
+//  с задержками WEBHOOK_FETCH_DELAYS_MS, пока не придёт CALL_RECORD_URL.
+//  Пропущенные события добирает сверка syncNewCalls раз в BITRIX_RECONCILE_MINUTES.
+
+const CALL_END_EVENTS = ['ONVOXIMPLANTCALLEND', 'onVoximplantCallEnd'];
+const WEBHOOK_FETCH_DELAYS_MS = [5000, 60 * 1000, 5 * 60 * 1000];
+const webhookCallsInFlight = new Set(); // `${clinicId}:${CALL_ID}` — повторная доставка не запускает вторую обработку
+
+// Клиника события — по домену портала (auth[domain]); при одной клинике — она
+async function clinicForWebhook(req) {
+  const domain = req.body?.auth?.domain;
+  if (domain) return getClinicByDomain(domain);
+  const clinics = [...clinicsCache.values()].filter(c => c.is_active);
+  return clinics.length === 1 ? clinics[0] : null;
+}
 
-app.post('/api/bitrix/webhook', async (req, res) => {
-  const event = req.body.event || req.body.EVENT;
-  if (event === 'ONVOXIMPLANTCALLEND' || event === 'onVoximplantCallEnd') {
-    setTimeout(() => syncNewCalls(), 5000);
-  }
-  res.json({ status: 'ok' });
-});
+function verifyWebhookToken(clinic, auth) {
+  const expected = bitrixCredentials(clinic).applicationToken;
+  return !!expected && !!auth?.application_token && safeEqual(auth.application_token, expected);
+}
 
-app.post('/api/bitrix/call-webhook', async (req, res) => {
-  const event = req.body.event || req.body.EVENT;
-  if (event === 'ONVOXIMPLANTCALLEND' || event === 'onVoximplantCallEnd') {
-    setTimeout(() => syncNewCalls(), 5000);
+/**
+ * ONAPPINSTALL: запоминает application_token, если у клиники его ещё нет
+ *
+ * Событие подтверждается его же access_token — app.info на портале клиники должен ответить.
+ */
+async function captureApplicationToken(clinic, auth) {
+  if (bitrixCredentials(clinic).applicationToken || !auth?.application_token || !auth.access_token) return false;
+  const { domain } = bitrixCredentials(clinic);
+  try {
+    const response = await axios.post(`https://${domain}/rest/app.info?auth=${auth.access_token}`, {}, { timeout: 10000 });
+    if (!response.data?.result) return false;
+  } catch (error) {
+    logger.warn('ONAPPINSTALL not confirmed by app.info', { clinicId: clinic.id, error: error.message });
+    return false;
   }
-  res.json({ status: 'ok' });
-});
-
-// ==================== SYNC ====================
+  const { data } = await supabase.from('clinics')
+    .update({ bitrix_application_token: auth.application_token, updated_at: new Date().toISOString() })
+    .eq('id', clinic.id).select().single();
+  if (data) clinicsCache.set(data.id, data);
+  logger.info('🔐 Bitrix application_token сохранён', { clinicId: clinic.id });
+  return true;
+}
 
-async function syncNewCalls() {
-  if (!bitrixTokens.access_token) return;
+// Звонок из события: ждём запись, затем загружаем ровно его
+async function ingestCallFromEvent(clinic, bitrixCallId) {
+  const key = `${clinic.id}:${bitrixCallId}`;
+  if (webhookCallsInFlight.has(key)) return;
+  webhookCallsInFlight.add(key);
   try {
-    const calls = await callBitrixMethod('voximplant.statistic.get', {
-      FILTER: { '>CALL_START_DATE': new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString() },
-      SORT: 'CALL_START_DATE', ORDER: 'DESC'
-    });
-    for (const call of calls || []) {
-      const { data: existing } = await supabase.from('calls').select('id, audio_url, call_direction').eq('bitrix_call_id', call.ID).single();
-      if (existing) {
-        if (!existing.audio_url && call.CALL_RECORD_URL) {
-          const callDirection = call.CALL_TYPE === "2" ? "outgoing" : "incoming";
-          await supabase.from('calls').update({
-            audio_url: call.CALL_RECORD_URL,
-            call_direction: callDirection
-          }).eq('id', existing.id);
-          const { data: score } = await supabase.from('call_scores').select('id').eq('call_id', existing.id).single();
-          if (!score) analyzeCallById(existing.id).catch(e => console.error(e.message));
-        }
-        continue;
-      }
-      const { data: manager } = await supabase.from('managers').select('id').eq('bitrix_id', call.PORTAL_USER_ID).single();
-      // CALL_TYPE: "1" = входящий, "2" = исходящий (для swap каналов)
-      const callDirection = call.CALL_TYPE === "2" ? "outgoing" : "incoming";
-      const { data: newCall } = await supabase.from('calls').insert({
-        bitrix_call_id: call.ID, manager_id: manager?.id, client_name: call.PHONE_NUMBER,
-        duration: parseInt(call.CALL_DURATION) || 0, call_date: call.CALL_START_DATE,
-        audio_url: call.CALL_RECORD_URL || null,
-        call_direction: callDirection,
-        crm_link: call.CRM_ENTITY_ID ? `https://${BITRIX_DOMAIN}/crm/${(call.CRM_ENTITY_TYPE || 'contact').toLowerCase()}/details/${call.CRM_ENTITY_ID}/` : null
-      }).select().single();
-      if (newCall?.audio_url) {
-        analyzeCallById(newCall.id).catch(e => {
-          logger.error('Auto-analysis failed', { callId: newCall.id, error: e.message });
-        });
-      }
+    let call = null;
+    for (const delay of WEBHOOK_FETCH_DELAYS_MS) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+      const calls = await callBitrixMethod(clinic, 'voximplant.statistic.get', { FILTER: { CALL_ID: bitrixCallId } });
+      call = calls?.[0] || call;
+      if (call?.CALL_RECORD_URL) break;
     }
-  } catch (e) {
-    logger.error('Sync error', { error: e.message, stack: e.stack });
+    if (!call) {
+      logger.warn('Call from event not found in Bitrix', { clinicId: clinic.id, bitrixCallId });
+      return;
+    }
+    await ingestBitrixCalls(clinic, [call]);
+  } catch (error) {
+    logger.error('Webhook call ingest failed', { clinicId: clinic.id, bitrixCallId, error: error.message });
+  } finally {
+    webhookCallsInFlight.delete(key);
   }
 }
 
-app.get('/api/bitrix/calls', async (req, res) => {
+// Подписка портала на конец звонка (после OAuth); без публичного адреса — вручную в настройках приложения
+async function bindBitrixEvents(clinic) {
+  if (!PUBLIC_API_URL) {
+    logger.warn('PUBLIC_API_URL не задан — подпишите ONVOXIMPLANTCALLEND на /api/bitrix/webhook вручную', { clinicId: clinic.id });
+    return;
+  }
   try {
-    const calls = await callBitrixMethod('voximplant.statistic.get', {
-      FILTER: { '>CALL_START_DATE': new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString() },
-      SORT: 'CALL_START_DATE', ORDER: 'DESC'
-    });
-    for (const call of calls || []) {
-      const { data: manager } = await supabase.from('managers').select('id').eq('bitrix_id', call.PORTAL_USER_ID).single();
-      const callDirection = call.CALL_TYPE === "2" ? "outgoing" : "incoming";
-      await supabase.from('calls').upsert({
-        bitrix_call_id: call.ID, manager_id: manager?.id, client_name: call.PHONE_NUMBER,
-        duration: parseInt(call.CALL_DURATION) || 0, call_date: call.CALL_START_DATE,
-        audio_url: call.CALL_RECORD_URL || null,
-        call_direction: callDirection,
-        crm_link: call.CRM_ENTITY_ID ? `https://${BITRIX_DOMAIN}/crm/${(call.CRM_ENTITY_TYPE || 'contact').toLowerCase()}/details/${call.CRM_ENTITY_ID}/` : null
-      }, { onConflict: 'bitrix_call_id' });
-    }
-    res.json({ success: true, count: calls?.length || 0 });
-  } catch (error) { res.status(500).json({ error: error.message }); }
-});
+    await callBitrixMethod(clinic, 'event.bind', { event: 'ONVOXIMPLANTCALLEND', handler: `${PUBLIC_API_URL}/api/bitrix/webhook` });
+    logger.info('🔔 Подписка на ONVOXIMPLANTCALLEND', { clinicId: clinic.id });
+  } catch (error) {
+    const description = error.response?.data?.error_description || error.message;
+    // Повторное подключение: обработчик уже зарегистрирован
+    if (/already/i.test(description)) return;
+    logger.error('event.bind failed', { clinicId: clinic.id, error: description });
+  }
+}
 
-app.get('/api/bitrix/users', async (req, res) => {
+async function handleBitrixWebhook(req, res) {
+  const event = req.body?.event || req.body?.EVENT;
   try {
-    const users = await callBitrixMethod('user.get', { filter: { ACTIVE: true } });
-    for (const user of users) {
-      await supabase.from('managers').upsert({ bitrix_id: user.ID, name: `${user.NAME} ${user.LAST_NAME}`.trim() }, { onConflict: 'bitrix_id' });
+    const auth = req.body?.auth;
+    const clinic = await clinicForWebhook(req);
+    if (!clinic) {
+      logger.warn('Webhook from unknown portal', { event, domain: auth?.domain });
+      return res.status(404).json({ error: 'Unknown portal' });
+    }
+
+    if (String(event).toUpperCase() === 'ONAPPINSTALL' && await captureApplicationToken(clinic, auth)) {
+      return res.json({ status: 'ok' });
+    }
+    if (!verifyWebhookToken(clinic, auth)) {
+      logger.warn('Webhook with invalid application_token', { event, clinicId: clinic.id, ip: req.ip });
+      return res.status(401).json({ error: 'Invalid application_token' });
+    }
+
+    if (CALL_END_EVENTS.includes(event)) {
+      const bitrixCallId = req.body?.data?.CALL_ID;
+      if (!bitrixCallId) return res.status(400).json({ error: 'data[CALL_ID] required' });
+      ingestCallFromEvent(clinic, String(bitrixCallId));
+    }
+    res.json({ status: 'ok' });
+  } catch (error) {
+    // Без ответа Битрикс ждал бы таймаута; 500 — событие придёт повторно
+    logger.error('Bitrix webhook failed', { event, error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+}
+
+app.post('/api/bitrix/webhook', handleBitrixWebhook);
+app.post('/api/bitrix/call-webhook', handleBitrixWebhook);
+
+// ====================================================================
+//  АРХИВ ЗАПИСЕЙ
+//
+//  Ссылки Битрикс (CALL_RECORD_URL) протухают и требуют авторизации,
+//  поэтому запись копируется к нам при загрузке звонка:
+//  calls.audio_path — ключ в хранилище ({clinic_id}/{call_id}.mp3).
+//  Анализ/переанализ и плеер дашборда читают только архивную копию;
+//  audio_url остаётся источником, пока копия не сделана.
+// ====================================================================
+
+const RECORDING_STORES = {
+  supabase: {
+    async init() {
+      const { error } = await supabase.storage.createBucket(RECORDINGS_BUCKET, { public: false });
+      if (error && !/already exists/i.test(error.message)) throw new Error(error.message);
+    },
+    async put(key, buffer, contentType) {
+      const { error } = await supabase.storage.from(RECORDINGS_BUCKET).upload(key, buffer, { contentType, upsert: true });
+      if (error) throw new Error(`Storage upload: ${error.message}`);
+    },
+    async get(key) {
+      const { data, error } = await supabase.storage.from(RECORDINGS_BUCKET).download(key);
+      if (error) throw new Error(`Storage download: ${error.message}`);
+      return Buffer.from(await data.arrayBuffer());
+    },
+    // Отдаём через подписанную ссылку, Range прокидываем как есть
+    async stream(key, range) {
+      const { data, error } = await supabase.storage.from(RECORDINGS_BUCKET).createSignedUrl(key, 60);
+      if (error) throw new Error(`Storage signed url: ${error.message}`);
+      const response = await axios.get(data.signedUrl, {
+        responseType: 'stream',
+        headers: range ? { Range: range } : {},
+        validateStatus: status => status === 200 || status === 206 || status === 416
+      });
+      return {
+        status: response.status,
+        headers: {
+          'Content-Length': response.headers['content-length'],
+          'Content-Range': response.headers['content-range']
+        },
+        body: response.data
+      };
+    },
+    async remove(key) {
+      await supabase.storage.from(RECORDINGS_BUCKET).remove([key]);
+    }
+  },
+  local: {
+    async init() {
+      fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
+    },
+    async put(key, buffer) {
+      const filePath = path.join(RECORDINGS_DIR, key);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, buffer);
+    },
+    async get(key) {
+      return fs.readFileSync(path.join(RECORDINGS_DIR, key));
+    },
+    async stream(key, range) {
+      const filePath = path.join(RECORDINGS_DIR, key);
+      const size = fs.statSync(filePath).size;
+      const bounds = parseRange(range, size);
+      if (bounds === false) {
+        return { status: 416, headers: { 'Content-Range': `bytes */${size}` }, body: null };
+      }
+      if (!bounds) {
+        return { status: 200, headers: { 'Content-Length': size }, body: fs.createReadStream(filePath) };
+      }
+      return {
+        status: 206,
+        headers: {
+          'Content-Length': bounds.end - bounds.start + 1,
+          'Content-Range': `bytes ${bounds.start}-${bounds.end}/${size}`
+        },
+        body: fs.createReadStream(filePath, bounds)
+      };
+    },
+    async remove(key) {
+      try { fs.unlinkSync(path.join(RECORDINGS_DIR, key)); } catch (e) {}
+    }
+  }
+};
+
+const recordingStore = RECORDING_STORES[RECORDINGS_STORAGE];
+if (!recordingStore) throw new Error(`RECORDINGS_STORAGE: неизвестное хранилище "${RECORDINGS_STORAGE}"`);
+
+/**
+ * Разбирает заголовок Range (один диапазон байт)
+ * @returns {{start: number, end: number}|null|false} null — без Range, false — неудовлетворимый
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match) return null;
+  let start = match[1] === '' ? null : parseInt(match[1]);
+  let end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2]), size - 1);
+  if (start === null) {
+    // bytes=-500 — последние 500 байт
+    start = Math.max(0, size - parseInt(match[2]));
+    end = size - 1;
+  }
+  if (isNaN(start) || start > end || start >= size) return false;
+  return { start, end };
+}
+
+async function downloadFromBitrix(audioUrl) {
+  const response = await callWithRetry(
+    () => axios.get(audioUrl, {
+      responseType: 'arraybuffer',
+      timeout: 180000,
+      headers: { 'User-Agent': 'Mozilla/5.0' }
+    }),
+    3,
+    'downloadRecording'
+  );
+  return { buffer: Buffer.from(response.data), contentType: response.headers['content-type'] || 'audio/mpeg' };
+}
+
+/**
+ * Копирует запись звонка в архив (идемпотентно)
+ *
+ * @param {Object} call - строка calls (нужны id, clinic_id, audio_url, audio_path)
+ */
+async function archiveRecording(call) {
+  if (call.audio_path || !call.audio_url) return;
+  const { buffer, contentType } = await downloadFromBitrix(call.audio_url);
+  await storeRecording(call, buffer, contentType);
+}
+
+async function storeRecording(call, buffer, contentType) {
+  const key = `${call.clinic_id || 'common'}/${call.id}.mp3`;
+  await recordingStore.put(key, buffer, contentType);
+  await supabase.from('calls').update({
+    audio_path: key,
+    audio_size: buffer.length,
+    audio_content_type: contentType,
+    audio_archived_at: new Date().toISOString(),
+    archive_error: null,
+    archive_next_at: null
+  }).eq('id', call.id);
+
+  call.audio_path = key;
+  logger.info(`🗄️ Запись звонка ${call.id} в архиве`, { key, size: buffer.length, storage: RECORDINGS_STORAGE });
+}
+
+// Backoff между попытками архивации: 1ч, 2ч, 4ч... максимум сутки
+function archiveRetryDelayMs(attempt) {
+  return Math.min(Math.pow(2, attempt - 1) * 60 * 60 * 1000, 24 * 60 * 60 * 1000);
+}
+
+// Ошибка архивации → попытка в calls: следующая — после паузы, после лимита — не повторяется
+async function markArchiveFailed(call, error) {
+  logger.warn(`⚠️ Archive recording failed`, { callId: call.id, error: error.message });
+  const { data: current } = await supabase.from('calls').select('archive_attempts').eq('id', call.id).maybeSingle();
+  const attempts = (current?.archive_attempts || 0) + 1;
+  const { error: updateError } = await supabase.from('calls').update({
+    archive_attempts: attempts,
+    archive_error: error.message.slice(0, 500),
+    archive_next_at: attempts < RECORDINGS_ARCHIVE_MAX_ATTEMPTS
+      ? new Date(Date.now() + archiveRetryDelayMs(attempts)).toISOString()
+      : null
+  }).eq('id', call.id);
+  if (updateError) logger.error('Archive attempt save failed', { callId: call.id, error: updateError.message });
+  if (attempts >= RECORDINGS_ARCHIVE_MAX_ATTEMPTS) {
+    logger.warn(`⚠️ Запись звонка ${call.id} не архивируется: ${attempts} неудачных попыток`, { callId: call.id });
+  }
+}
+
+function archiveOrMarkFailed(call) {
+  return archiveRecording(call).catch(err => markArchiveFailed(call, err));
+}
+
+// Архивирование при загрузке звонка — в фоне, ошибка не мешает синхронизации
+function archiveRecordingInBackground(call) {
+  archiveOrMarkFailed(call).catch(err => {
+    logger.error('Archive recording failed', { callId: call.id, error: err.message });
+  });
+}
+
+/**
+ * Запись для анализа: архивная копия, а если её ещё нет — скачать и заархивировать
+ *
+ * Сбой хранилища не останавливает анализ: скачанная запись используется как есть.
+ */
+async function loadRecording(call) {
+  if (call.audio_path) {
+    logger.info('📦 Запись из архива', { callId: call.id, key: call.audio_path });
+    return recordingStore.get(call.audio_path);
+  }
+  logger.info('📥 Downloading audio from Bitrix...', { callId: call.id });
+  const { buffer, contentType } = await downloadFromBitrix(call.audio_url);
+  await storeRecording(call, buffer, contentType).catch(err => {
+    logger.warn(`⚠️ Archive recording failed`, { callId: call.id, error: err.message });
+  });
+  return buffer;
+}
+
+/**
+ * Догоняет архив: звонки с audio_url, но без копии (ручной импорт, сбои при синхронизации)
+ *
+ * Звонки с неудачной попыткой ждут archive_next_at, после лимита попыток не выбираются —
+ * иначе вечно недоступные ссылки занимали бы каждую пачку.
+ */
+async function archivePendingRecordings(limit = 20) {
+  const { data: calls, error } = await supabase.from('calls')
+    .select('id, clinic_id, audio_url, audio_path')
+    .not('audio_url', 'is', null).is('audio_path', null)
+    .lt('archive_attempts', RECORDINGS_ARCHIVE_MAX_ATTEMPTS)
+    .or(`archive_next_at.is.null,archive_next_at.lte.${new Date().toISOString()}`)
+    .order('call_date', { ascending: false }).limit(limit);
+  if (error) throw new Error(error.message);
+  for (const call of calls) {
+    await archiveOrMarkFailed(call);
+  }
+}
+
+// ==================== SYNC ====================
+
+function crmLinkFor(clinic, call) {
+  return call.CRM_ENTITY_ID
+    ? `https://${clinic.bitrix_domain}/crm/${(call.CRM_ENTITY_TYPE || 'contact').toLowerCase()}/details/${call.CRM_ENTITY_ID}/`
+    : null;
+}
+
+/**
+ * Загружает звонки из voximplant.statistic.get: новые — в calls (+ архив записи и очередь анализа),
+ * у известных без записи — дописывает запись. Повторный вызов с теми же звонками ничего не дублирует.
+ *
+ * @param {Object} options
+ * @param {boolean} options.analyze - ставить новые записи в очередь анализа
+ * @param {boolean} options.awaitArchive - копировать записи по очереди, а не в фоне (догрузка истории)
+ * @returns {Promise<number>} сколько звонков добавлено
+ */
+async function ingestBitrixCalls(clinic, calls, { analyze = true, awaitArchive = false } = {}) {
+  if (!calls?.length) return 0;
+  const { data: existingRows, error } = await supabase.from('calls')
+    .select('id, bitrix_call_id, audio_url, audio_path, audio_purged_at, call_direction')
+    .eq('clinic_id', clinic.id).in('bitrix_call_id', calls.map(c => c.ID));
+  if (error) throw new Error(error.message);
+  const existingByBitrixId = new Map(existingRows.map(r => [String(r.bitrix_call_id), r]));
+
+  const portalUserIds = [...new Set(calls.map(c => c.PORTAL_USER_ID).filter(Boolean))];
+  const { data: managers } = portalUserIds.length
+    ? await supabase.from('managers').select('id, bitrix_id').eq('clinic_id', clinic.id).in('bitrix_id', portalUserIds)
+    : { data: [] };
+  const managerByBitrixId = new Map((managers || []).map(m => [String(m.bitrix_id), m.id]));
+  // Бюджет на ИИ исчерпан — звонки загружаются, но в очередь анализа не ставятся
+  const autoAnalyze = analyze && await autoAnalysisAllowed(clinic);
+
+  let added = 0;
+  for (const call of calls) {
+    // CALL_TYPE: "1" = входящий, "2" = исходящий (для swap каналов)
+    const callDirection = call.CALL_TYPE === "2" ? "outgoing" : "incoming";
+    const existing = existingByBitrixId.get(String(call.ID));
+    if (existing) {
+      // Запись, удалённую по сроку хранения или по запросу пациента, не подтягиваем заново
+      if (!existing.audio_url && !existing.audio_purged_at && call.CALL_RECORD_URL) {
+        await supabase.from('calls').update({
+          audio_url: call.CALL_RECORD_URL,
+          call_direction: callDirection
+        }).eq('id', existing.id);
+        await archiveIngested({ ...existing, clinic_id: clinic.id, audio_url: call.CALL_RECORD_URL }, awaitArchive);
+        const { data: score } = await supabase.from('call_scores').select('id').eq('call_id', existing.id).maybeSingle();
+        if (!score && autoAnalyze) await enqueueAnalysis(existing.id);
+      }
+      continue;
+    }
+    const clientPhone = normalizePhone(call.PHONE_NUMBER);
+    const { data: newCall, error: insertError } = await supabase.from('calls').insert({
+      clinic_id: clinic.id,
+      bitrix_call_id: call.ID, manager_id: managerByBitrixId.get(String(call.PORTAL_USER_ID)), client_name: call.PHONE_NUMBER,
+      client_phone: clientPhone, patient_id: await findOrCreatePatient(clinic.id, clientPhone),
+      duration: parseInt(call.CALL_DURATION) || 0, call_date: call.CALL_START_DATE,
+      audio_url: call.CALL_RECORD_URL || null,
+      call_direction: callDirection,
+      crm_link: crmLinkFor(clinic, call),
+      ...crmEntityFor(call)
+    }).select().single();
+    // Гонка события и сверки: звонок уже вставлен другим путём (unique clinic_id + bitrix_call_id)
+    if (insertError?.code === '23505') continue;
+    if (insertError) throw new Error(insertError.message);
+    added++;
+    if (newCall.audio_url) {
+      await archiveIngested(newCall, awaitArchive);
+      if (autoAnalyze) await enqueueAnalysis(newCall.id);
+    }
+  }
+  return added;
+}
+
+async function archiveIngested(call, awaitArchive) {
+  if (!awaitArchive) return archiveRecordingInBackground(call);
+  await archiveOrMarkFailed(call);
+}
+
+// High-water mark сверки в settings: CALL_START_DATE последнего загруженного звонка
+function syncCursorKey(clinic) {
+  return `bitrix_sync_cursor:${clinic.id}`;
+}
+
+async function getSetting(key) {
+  const { data } = await supabase.from('settings').select('value').eq('key', key).maybeSingle();
+  return data?.value ? JSON.parse(data.value) : null;
+}
+
+async function saveSetting(key, value) {
+  const { error } = await supabase.from('settings').upsert({ key, value: JSON.stringify(value) }, { onConflict: 'key' });
+  if (error) throw new Error(error.message);
+}
+
+/**
+ * Сверка: звонки, которые не пришли событием, — все страницы начиная с high-water mark
+ *
+ * Звонок попадает в статистику только после окончания, поэтому читаем с перекрытием
+ * BITRIX_RECONCILE_HOURS до метки (повторы отсекает ingestBitrixCalls). Метка сохраняется
+ * после каждой страницы — после простоя любой длины сверка продолжает с того же места.
+ */
+async function syncNewCalls(clinic) {
+  const current = await getClinic(clinic.id);
+  if (!current?.bitrix_tokens?.access_token || !current.is_active) return;
+  try {
+    const cursorKey = syncCursorKey(current);
+    let highWater = await getSetting(cursorKey);
+    const since = new Date((highWater ? new Date(highWater).getTime() : Date.now()) - BITRIX_RECONCILE_HOURS * 60 * 60 * 1000);
+    let added = 0;
+    await callBitrixList(current, 'voximplant.statistic.get', {
+      FILTER: { '>=CALL_START_DATE': since.toISOString() },
+      SORT: 'CALL_START_DATE', ORDER: 'ASC'
+    }, async calls => {
+      added += await ingestBitrixCalls(current, calls);
+      const last = calls[calls.length - 1]?.CALL_START_DATE;
+      if (last && (!highWater || new Date(last) > new Date(highWater))) {
+        highWater = last;
+        await saveSetting(cursorKey, highWater);
+      }
+    });
+    lastSyncAt.set(current.id, Date.now());
+    if (added) logger.info(`🔁 Сверка с Битрикс: добавлено звонков без события: ${added}`, { clinicId: current.id, highWater });
+  } catch (e) {
+    logger.error('Sync error', { clinicId: current.id, error: e.message, stack: e.stack });
+  }
+}
+
+// Цикл синхронизации: каждая подключённая клиника отдельно
+async function syncAllClinics() {
+  for (const clinic of await loadClinics()) {
+    if (!clinic.is_active || !clinic.bitrix_tokens?.access_token) continue;
+    // Ошибка одного портала не должна останавливать синхронизацию остальных
+    await syncNewCalls(clinic).catch(err => {
+      logger.error('Sync failed', { clinicId: clinic.id, error: err.message });
+    });
+  }
+}
+
+// ==================== BACKFILL ====================
+//
+//  Догрузка истории за период: задача в backfill_jobs листает статистику по страницам
+//  и сохраняет прогресс после каждой. Одновременно выполняется одна задача.
+
+let backfillRunning = false;
+const BACKFILL_RETRY_MS = 5 * 60 * 1000;
+
+// Статус не записался — исключение: иначе задача осталась бы running и очередь выбирала бы её снова
+async function updateBackfillJob(jobId, fields) {
+  const { data, error } = await supabase.from('backfill_jobs')
+    .update({ ...fields, updated_at: new Date().toISOString() }).eq('id', jobId).select().single();
+  if (error) throw new Error(`backfill_jobs ${jobId}: ${error.message}`);
+  return data;
+}
+
+async function runBackfillJob(job) {
+  const clinic = await getClinic(job.clinic_id);
+  if (!clinic?.bitrix_tokens?.access_token) {
+    await updateBackfillJob(job.id, { status: 'failed', last_error: 'Битрикс не подключён', finished_at: new Date().toISOString() });
+    return;
+  }
+
+  let progress = await updateBackfillJob(job.id, { status: 'running', last_error: null });
+  logger.info(`📚 Backfill started`, { jobId: job.id, clinicId: clinic.id, from: job.date_from, to: job.date_to, start: job.next_start });
+  try {
+    await callBitrixList(clinic, 'voximplant.statistic.get', {
+      FILTER: { '>=CALL_START_DATE': job.date_from, '<=CALL_START_DATE': job.date_to },
+      SORT: 'CALL_START_DATE', ORDER: 'ASC'
+    }, async (calls, page) => {
+      const added = await ingestBitrixCalls(clinic, calls, { analyze: job.analyze, awaitArchive: true });
+      progress = await updateBackfillJob(job.id, {
+        next_start: page.next ?? page.start + calls.length,
+        total: page.total,
+        fetched: progress.fetched + calls.length,
+        added: progress.added + added
+      });
+    }, job.next_start);
+
+    await updateBackfillJob(job.id, { status: 'done', finished_at: new Date().toISOString() });
+    logger.info(`📚 Backfill done`, { jobId: job.id, fetched: progress.fetched, added: progress.added });
+  } catch (error) {
+    const message = error.response?.data?.error_description || error.message;
+    logger.error('Backfill failed', { jobId: job.id, error: message });
+    await updateBackfillJob(job.id, { status: 'failed', last_error: message, finished_at: new Date().toISOString() });
+  }
+}
+
+// Следующая задача: прерванная рестартом (running) или самая старая в очереди
+async function processBackfillQueue() {
+  if (backfillRunning) return;
+  backfillRunning = true;
+  try {
+    for (;;) {
+      const { data: job, error } = await supabase.from('backfill_jobs')
+        .select('*').in('status', ['running', 'queued'])
+        .order('status', { ascending: false }).order('created_at').limit(1).maybeSingle();
+      if (error) throw new Error(error.message);
+      if (!job) break;
+      await runBackfillJob(job);
+    }
+  } catch (error) {
+    // Очередь останавливается и продолжает позже: прерванная задача остаётся running и будет продолжена
+    logger.error('Backfill queue error', { error: error.message, retryInMs: BACKFILL_RETRY_MS });
+    setTimeout(() => processBackfillQueue(), BACKFILL_RETRY_MS);
+  } finally {
+    backfillRunning = false;
+  }
+}
+
+async function createBackfillJob(clinic, { from, to, analyze = false, createdBy = null }) {
+  const { data: job, error } = await supabase.from('backfill_jobs').insert({
+    clinic_id: clinic.id, date_from: from, date_to: to, analyze: !!analyze, created_by: createdBy
+  }).select().single();
+  if (error) throw new Error(error.message);
+  setImmediate(() => processBackfillQueue());
+  return job;
+}
+
+function backfillProgress(job) {
+  return { ...job, percent: job.total ? Math.min(100, Math.round(job.fetched / job.total * 100)) : null };
+}
+
+// Догрузка за период: { from, to, analyze } — analyze=true ставит звонки в очередь анализа
+app.post('/api/bitrix/backfill', requireRole('admin'), async (req, res) => {
+  const clinic = await requireClinic(req, res);
+  if (!clinic) return;
+  const from = parseDateParam(req.body?.from, 'from');
+  const to = parseDateParam(req.body?.to ?? new Date().toISOString(), 'to');
+  if (from.error || to.error) return res.status(400).json({ error: from.error || to.error });
+  if (!from.value) return res.status(400).json({ error: 'from обязателен' });
+  if (from.value >= to.value) return res.status(400).json({ error: 'from должен быть раньше to' });
+  try {
+    const job = await createBackfillJob(clinic, { from: from.value, to: to.value, analyze: req.body?.analyze, createdBy: req.user.id });
+    logger.info('Backfill enqueued', { jobId: job.id, clinicId: clinic.id, by: req.user.id });
+    res.status(202).json(backfillProgress(job));
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+app.get('/api/bitrix/backfill', requireRole('admin'), async (req, res) => {
+  const { data, error } = await scopeToClinic(
+    supabase.from('backfill_jobs').select('*').order('created_at', { ascending: false }).limit(50), req);
+  res.json(error ? { error: error.message } : data.map(backfillProgress));
+});
+
+app.get('/api/bitrix/backfill/:id', requireRole('admin'), async (req, res) => {
+  const { data: job } = await supabase.from('backfill_jobs').select('*').eq('id', req.params.id).maybeSingle();
+  if (!job || (req.clinicId && job.clinic_id !== req.clinicId)) return res.status(404).json({ error: 'Задача не найдена' });
+  res.json(backfillProgress(job));
+});
+
+// Загрузка звонков за 30 дней — теперь задача догрузки (раньше писала в БД прямо из GET)
+app.post('/api/bitrix/calls', requireRole('admin'), async (req, res) => {
+  const clinic = await requireClinic(req, res);
+  if (!clinic) return;
+  try {
+    const job = await createBackfillJob(clinic, {
+      from: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString(),
+      to: new Date().toISOString(),
+      createdBy: req.user.id
+    });
+    res.status(202).json(backfillProgress(job));
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+app.get('/api/bitrix/users', requireRole('admin'), async (req, res) => {
+  const clinic = await requireClinic(req, res);
+  if (!clinic) return;
+  try {
+    const users = await callBitrixMethod(clinic, 'user.get', { filter: { ACTIVE: true } });
+    for (const user of users) {
+      await supabase.from('managers').upsert({
+        clinic_id: clinic.id, bitrix_id: user.ID, name: `${user.NAME} ${user.LAST_NAME}`.trim()
+      }, { onConflict: 'clinic_id,bitrix_id' });
     }
     res.json({ success: true, count: users.length });
   } catch (error) { res.status(500).json({ error: error.message }); }
 });
 
+// ==================== BITRIX: РЕЗУЛЬТАТЫ АНАЛИЗА В CRM ====================
+
+// Тип сущности для задач (UF_CRM_TASK): L_12, C_34, D_56, CO_78
+const CRM_TASK_PREFIXES = { LEAD: 'L', CONTACT: 'C', DEAL: 'D', COMPANY: 'CO' };
+
+function crmEntityFor(call) {
+  return {
+    crm_entity_type: call.CRM_ENTITY_TYPE ? String(call.CRM_ENTITY_TYPE).toUpperCase() : null,
+    crm_entity_id: call.CRM_ENTITY_ID ? String(call.CRM_ENTITY_ID) : null
+  };
+}
+
+function needsBitrixTask(clinic, score) {
+  if (clinic.bitrix_task_threshold === null || clinic.bitrix_task_threshold === undefined) return false;
+  return score.has_critical_error || score.total_score < clinic.bitrix_task_threshold;
+}
+
+// Комментарий в таймлайн (BBCode Битрикс24): балл, итог, резюме, боли пациента, блоки, ссылка на карточку
+function bitrixCommentText(call, score) {
+  const lines = [
+    `[b]CallMind: оценка звонка ${score.total_score}/100[/b] — ${score.is_successful ? 'пациент записан' : 'запись не состоялась'}`,
+    [score.call_type, call.manager?.name, formatReportDate(call.call_date)].filter(Boolean).join(' · ')
+  ];
+  if (score.has_critical_error) lines.push(`⛔ Критическая ошибка: ${score.critical_error_type || ''}`);
+  if (score.ai_summary) lines.push('', `[b]Резюме:[/b] ${score.ai_summary}`);
+  const pains = score.client_info?.pains || [];
+  if (pains.length) lines.push('', '[b]Боли пациента:[/b]', ...pains.map(p => `• ${p}`));
+  const blocks = callScoreBlocks(score);
+  if (blocks.length) lines.push('', '[b]Блоки:[/b] ' + blocks.map(b => `${b.name} — ${b.score ?? '—'}`).join('; '));
+  const link = callLink(call);
+  if (link && link !== call.crm_link) lines.push('', `[url=${link}]Разбор в CallMind[/url]`);
+  return lines.join('\n');
+}
+
+// Задача менеджеру: почему звонок требует разбора + объяснения самых слабых блоков
+function bitrixTaskFields(call, score, responsibleId) {
+  const weakest = callScoreBlocks(score)
+    .filter(b => typeof b.score === 'number')
+    .sort((a, b) => a.score - b.score)
+    .slice(0, 3);
+  const description = [
+    score.has_critical_error ? `Критическая ошибка: ${score.critical_error_type || ''}` : `Балл: ${score.total_score}/100`,
+    score.ai_summary ? `\n${score.ai_summary}` : '',
+    weakest.length ? '\nЧто улучшить:' : '',
+    ...weakest.map(b => `• ${b.name} (${b.score}): ${b.explanation || ''}`),
+    call.crm_link ? `\nКарточка: ${call.crm_link}` : '',
+    callLink(call) && callLink(call) !== call.crm_link ? `Разбор: ${callLink(call)}` : ''
+  ].filter(Boolean).join('\n');
+
+  const fields = {
+    TITLE: `Разбор звонка: ${score.total_score}/100${call.client_name ? ` — ${call.client_name}` : ''}`,
+    DESCRIPTION: description,
+    RESPONSIBLE_ID: responsibleId,
+    DEADLINE: new Date(Date.now() + BITRIX_TASK_DEADLINE_HOURS * 60 * 60 * 1000).toISOString()
+  };
+  const prefix = CRM_TASK_PREFIXES[call.crm_entity_type];
+  if (prefix && call.crm_entity_id) fields.UF_CRM_TASK = [`${prefix}_${call.crm_entity_id}`];
+  return fields;
+}
+
+/**
+ * Пишет оценку звонка в Битрикс24: комментарий в таймлайн сущности и (по порогу клиники) задачу менеджеру
+ *
+ * Ошибки не пробрасываются — оценка уже сохранена; причина пишется в calls.bitrix_sync_error.
+ *
+ * @param {number} callId
+ * @param {Object} options
+ * @param {boolean} options.force - писать даже при выключенном clinics.bitrix_writeback (ручной повтор)
+ * @returns {Promise<{commentId?: number, taskId?: number, skipped?: string, error?: string}>}
+ */
+async function writeBackToBitrix(callId, { force = false } = {}) {
+  const { data: call } = await supabase.from('calls').select('*, manager:managers(name, bitrix_id)').eq('id', callId).maybeSingle();
+  const clinic = call && await getClinic(call.clinic_id);
+  if (!clinic?.bitrix_tokens?.access_token) return { skipped: 'Битрикс не подключён' };
+  if (!clinic.bitrix_writeback && !force) return { skipped: 'Запись в Битрикс выключена для клиники' };
+  if (!call.crm_entity_type || !call.crm_entity_id) return { skipped: 'Звонок не привязан к сущности CRM' };
+  const { data: score } = await supabase.from('call_scores').select('*').eq('call_id', callId).maybeSingle();
+  if (!score) return { skipped: 'Звонок не оценён' };
+
+  const result = {};
+  try {
+    const comment = bitrixCommentText(call, score);
+    if (call.bitrix_comment_id) {
+      await callBitrixMethod(clinic, 'crm.timeline.comment.update', { id: call.bitrix_comment_id, fields: { COMMENT: comment } });
+      result.commentId = call.bitrix_comment_id;
+    } else {
+      result.commentId = await callBitrixMethod(clinic, 'crm.timeline.comment.add', {
+        fields: { ENTITY_ID: call.crm_entity_id, ENTITY_TYPE: call.crm_entity_type.toLowerCase(), COMMENT: comment }
+      });
+    }
+
+    if (!call.bitrix_task_id && needsBitrixTask(clinic, score)) {
+      if (call.manager?.bitrix_id) {
+        const created = await callBitrixMethod(clinic, 'tasks.task.add', { fields: bitrixTaskFields(call, score, call.manager.bitrix_id) });
+        result.taskId = created?.task?.id;
+      } else {
+        logger.warn('Bitrix task skipped: call has no manager', { callId });
+      }
+    }
+
+    await supabase.from('calls').update({
+      bitrix_comment_id: result.commentId,
+      bitrix_task_id: result.taskId || call.bitrix_task_id,
+      bitrix_synced_at: new Date().toISOString(),
+      bitrix_sync_error: null
+    }).eq('id', callId);
+    logger.info(`📤 Результат отправлен в Битрикс24`, { callId, clinicId: clinic.id, ...result });
+  } catch (error) {
+    const message = error.response?.data?.error_description || error.message;
+    logger.error('Bitrix writeback failed', { callId, clinicId: clinic.id, error: message });
+    await supabase.from('calls').update({ bitrix_sync_error: message, ...(result.commentId ? { bitrix_comment_id: result.commentId } : {}) }).eq('id', callId);
+    result.error = message;
+  }
+  return result;
+}
+
+// Ручной повтор записи в Битрикс (например, после выдачи прав crm/task приложению)
+app.post('/api/calls/:id/bitrix-sync', requireRole('admin', 'head'), async (req, res) => {
+  try {
+    if (!await findScopedCall(req, req.params.id)) return res.status(404).json({ error: 'Звонок не найден' });
+    const result = await writeBackToBitrix(req.params.id, { force: true });
+    if (result.skipped) return res.status(409).json({ error: result.skipped });
+    if (result.error) return res.status(502).json({ error: result.error });
+    res.json({ success: true, ...result });
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
 // ====================================================================
-//  ТРАНСКРИБАЦИЯ v5.0
+//  ТРАНСКРИБАЦИЯ v5.3
 //
-//  КЛЮЧЕВОЕ ИЗМЕНЕНИЕ: whisper-1 → gpt-4o-transcribe
+//  Распознавание — через сменные STT провайдеры (STT_PROVIDERS):
+//  - yandex        — Yandex SpeechKit, основной для каз/рус (ДЦ в Казахстане)
+//  - openai        — /v1/audio/transcriptions (gpt-4o-transcribe / whisper-1)
+//  - whisper_local — свой whisper.cpp / faster-whisper сервер (WHISPER_LOCAL_URL)
 //
-//  Исследование казахского STT (MDPI, July 2025) показало:
+//  Исследование казахского STT (MDPI, July 2025):
 //  - Whisper-1 (v2) на казахском: WER ~43%
 //  - gpt-4o-transcribe на казахском: WER ~36% (лучший среди не fine-tuned)
-//  - Значительно лучше chrF (81.15) и COMET (1.02) — сохраняет смысл
 //
-//  gpt-4o-transcribe:
-//  ✅ Значительно лучше на казахском (меньше галлюцинаций, лучше WER)
-//  ✅ Поддерживает language + prompt
-//  ✅ Тот же API endpoint /v1/audio/transcriptions
-//  ❌ НЕ поддерживает verbose_json / segments — только json и text
-//  → Нам segments НЕ нужны — мы используем формат "два полотна текста"
+//  Провайдер выбирается на звонок (переанализ) или на клинику, иначе STT_PROVIDER.
+//  Если провайдер упал (после ретраев) — следующий из STT_FALLBACK.
+//  В calls.stt_provider пишется, кто реально распознал — для сравнения на казахском.
 //
-//  ФОРМАТ ВЫВОДА v5.2: Два блока текста (manager + client)
-//  GPT-4o переводит ДОСЛОВНО, форматирует абзацами, НЕ восстанавливает порядок
+//  ФОРМАТ ВЫВОДА v6 (стерео): реплики по времени
+//  Каждый канал режется на высказывания (паузы) → таймкоды от STT/нарезки →
+//  два канала сливаются в [{ role, start, end, text }] → LLM переводит каждую реплику.
+//  calls.transcript_raw — те же реплики до перевода.
+//
+//  Моно и старые звонки: два блока текста [{ role, text }] (v5.2) — дашборд и анализ
+//  понимают оба формата (у реплик есть start).
 // ====================================================================
 
 /**
@@ -465,7 +1976,7 @@ function splitStereoChannels(audioBuffer, callDirection = 'incoming') {
       return null;
     }
 
-    // Конвертируем в WAV 16kHz PCM — лучше качество для gpt-4o-transcribe
+    // Конвертируем в WAV 16kHz PCM — формат, который принимают все STT провайдеры
     execSync(`ffmpeg -y -i "${inputPath}" -af "pan=mono|c0=c0" -ar 16000 -ac 1 -f wav "${leftPath}"`, { stdio: 'ignore' });
     execSync(`ffmpeg -y -i "${inputPath}" -af "pan=mono|c0=c1" -ar 16000 -ac 1 -f wav "${rightPath}"`, { stdio: 'ignore' });
 
@@ -498,255 +2009,829 @@ function splitStereoChannels(audioBuffer, callDirection = 'incoming') {
   }
 }
 
+// ==================== STT ПРОВАЙДЕРЫ ====================
+//
+//  Провайдер: { label, isConfigured(), maxChunkSeconds?, hasTimestamps(), transcribe(audio, options) }
+//  transcribe → { text, segments } — segments [{ start, end, text }] (секунды от начала куска)
+//               или null, если провайдер не отдаёт таймкоды (тогда таймкод = границы куска)
+//  audio   = { buffer, format: 'wav' (16kHz моно после split) | 'mp3' (исходник) }
+//  options = { prompt, language, channelName, timestamps }
+
 /**
- * Yandex SpeechKit: транскрибация казахского/русского (ЛУЧШЕЕ КАЧЕСТВО!)
+ * Yandex SpeechKit: транскрибация казахского/русского
  *
- * Переход с whisper-1 на Yandex SpeechKit для казахского языка:
- * - whisper-1 ПЛОХО распознает казахский (WER 43%)
- * - Yandex SpeechKit специально оптимизирован для каз/рус
+ * - Специально оптимизирован для каз/рус, автоопределение языка (lang=auto)
  * - Дата-центр в Караганде (Казахстан) - быстро!
- * - Цена: ~$0.01/мин (в 1.6x дороже, но КАЧЕСТВО!)
- *
- * Настройки:
- * - Автоопределение языка (auto) или kk-KZ для казахского
- * - Формат: LPCM (WAV 16kHz)
- * - Бесплатно: 15 часов/месяц (900 минут)
- */
-async function transcribeChannel(audioBuffer, channelName) {
-  logger.info(`🎤 Yandex SpeechKit [${channelName}] → качество для каз/рус!`, {
-    audioSize: audioBuffer.length,
-    apiKeyPrefix: YANDEX_API_KEY?.substring(0, 10) + '...',
-    folderId: YANDEX_FOLDER_ID
-  });
-
-  // Yandex SpeechKit требует binary data в теле, параметры в URL
-  const url = `https://stt.api.cloud.yandex.net/speech/v1/stt:recognize?` +
-    `topic=general&` +
-    `lang=auto&` +
-    `format=lpcm&` +
-    `sampleRateHertz=16000&` +
-    `folderId=${YANDEX_FOLDER_ID}`;
-
-  logger.info(`📤 Отправка запроса к Yandex`, { url: url.substring(0, 100) + '...' });
-
-  try {
-    // Используем retry логику для надежности
-    const response = await callWithRetry(
-      () => axios.post(url, audioBuffer, {
-        headers: {
-          'Authorization': `Api-Key ${YANDEX_API_KEY}`,
-          'Content-Type': 'audio/x-pcm;bit=16;rate=16000'
-        },
-        timeout: 300000 // 5 минут для длинных записей
-      }),
-      3,
-      `transcribeChannel[${channelName}]`
-    );
-
-    const text = (response.data.result || '').trim();
-    logger.info(`✅ Yandex SpeechKit [${channelName}]: ${text.length} chars`);
-    return text;
-  } catch (error) {
-    logger.error(`💥 ДЕТАЛЬНАЯ ОШИБКА Yandex [${channelName}]`, {
-      message: error.message,
-      status: error.response?.status,
-      statusText: error.response?.statusText,
-      data: error.response?.data,
-      headers: error.response?.headers
-    });
-    throw error;
+ * - Цена: ~$0.01/мин, бесплатно 15 часов/месяц
+ * - Binary data в теле, параметры в URL; LPCM требует sampleRateHertz, MP3 — нет
+ */
+async function transcribeYandex(audio, { channelName }) {
+  const params = new URLSearchParams({ topic: 'general', lang: 'auto', folderId: YANDEX_FOLDER_ID });
+  if (audio.format === 'wav') {
+    params.set('format', 'lpcm');
+    params.set('sampleRateHertz', '16000');
   }
+
+  const response = await callWithRetry(
+    () => axios.post(`https://stt.api.cloud.yandex.net/speech/v1/stt:recognize?${params}`, audio.buffer, {
+      headers: {
+        'Authorization': `Api-Key ${YANDEX_API_KEY}`,
+        'Content-Type': audio.format === 'wav' ? 'audio/x-pcm;bit=16;rate=16000' : 'audio/mpeg'
+      },
+      timeout: 300000 // 5 минут для длинных записей
+    }),
+    3,
+    `stt.yandex[${channelName}]`
+  );
+  return { text: (response.data.result || '').trim(), segments: null };
 }
 
 /**
- * GPT-4o: Перевод двух каналов → два блока текста с форматированием
- *
- * ЛОГИКА v5.2:
- * Получаем два канала (админ + клиент), переводим ДОСЛОВНО на русский,
- * форматируем абзацами (после 2-3 предложений).
- * НЕ восстанавливаем порядок реплик — это приводит к выдумыванию деталей.
- *
- * Формат: { manager: "текст админа\n\nабзац2\n\nабзац3", client: "текст клиента..." }
- */
-async function repairAndTranslate(adminRawText, clientRawText) {
-  logger.info('📝 СЫРОЙ ТЕКСТ ОТ gpt-4o-transcribe (до перевода)', {
-    adminLength: adminRawText.length,
-    clientLength: clientRawText.length,
-    adminPreview: adminRawText.substring(0, 200),
-    clientPreview: clientRawText.substring(0, 200)
+ * Multipart-запрос в формате OpenAI /v1/audio/transcriptions
+ * (его же понимают whisper.cpp server и faster-whisper-server)
+ */
+function buildTranscriptionForm(audio, fields) {
+  const form = new FormData();
+  form.append('file', audio.buffer, {
+    filename: `audio.${audio.format}`,
+    contentType: audio.format === 'wav' ? 'audio/wav' : 'audio/mpeg'
   });
-
-  if (!adminRawText.trim() && !clientRawText.trim()) {
-    return { manager: '', client: '' };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined && value !== null) form.append(key, String(value));
   }
+  return form;
+}
 
-  const systemPrompt = `СТРОГИЙ переводчик (каз/рус → русский). Клиника Miramed (Актобе), суставы. Акция: консультация+УЗИ 2+повтор=9900₸.
-
-🔴 КРИТИЧНО - ЗАПРЕЩЕНО ДОДУМЫВАТЬ!
-- Переводи ТОЛЬКО то, что РЕАЛЬНО сказано
-- Если непонятно слово → переводи ПРИБЛИЗИТЕЛЬНО, но НЕ ВЫДУМЫВАЙ "красивую" фразу
-- Если фраза оборвана → оставь оборванной, НЕ "дополняй" её
-- НЕ добавляй вежливые обороты ("пожалуйста", "будьте добры"), если их нет
-- НЕ "улучшай" речь менеджера
-
-АЛГОРИТМ:
-1. Прочитай сырой текст канала
-2. Переведи каждое предложение 1-в-1 (слово в слово где возможно)
-3. Форматируй абзацами (\\n\\n после 2-3 предложений) - только для читабельности
-4. Убери ТОЛЬКО явные артефакты Whisper (повторы одного слова подряд)
-
-СЛОВАРЬ (каз→рус): буын=сустав, омыртқа=позвоночник, бел=поясница, тізе=колено, ауырады=болит, дәрігер=врач, тексеру=обследование, жазылу=записаться, қанша тұрады=сколько стоит, бағасы=цена, қымбат=дорого, ойланайын=подумаю
-
-❌ ПРИМЕР ПЛОХОГО ПЕРЕВОДА (ДОДУМАЛ):
-Сырой: "Алло салем тізе ауырады"
-Плохо: "Здравствуйте, меня беспокоит боль в колене, можно записаться на прием?"
-✅ ПРАВИЛЬНО: "Алло привет колено болит"
-
-JSON: {"manager": "дословный перевод\\n\\nабзац", "client": "дословный перевод\\n\\nабзац"}`;
-
-  const userPrompt = `КАНАЛ АДМИНИСТРАТОРА (сырой):
-${adminRawText}
+// verbose_json → сегменты с таймкодами
+function whisperSegments(data) {
+  if (!Array.isArray(data.segments)) return null;
+  return data.segments
+    .map(seg => ({ start: Number(seg.start) || 0, end: Number(seg.end) || 0, text: (seg.text || '').trim() }))
+    .filter(seg => seg.text);
+}
 
-КАНАЛ ПАЦИЕНТА (сырой):
-${clientRawText}
+/**
+ * OpenAI: gpt-4o-transcribe (по умолчанию) или whisper-1
+ *
+ * prompt — НЕ инструкция, а "предшествующий контекст" (WHISPER_PROMPT_KK / clinics.stt_prompt)
+ * Таймкоды сегментов (verbose_json) есть только у whisper-1.
+ */
+async function transcribeOpenAI(audio, { prompt, language, channelName, timestamps }) {
+  const withSegments = timestamps && OPENAI_STT_MODEL === 'whisper-1';
+  const form = buildTranscriptionForm(audio, {
+    model: OPENAI_STT_MODEL,
+    language,
+    prompt,
+    response_format: withSegments ? 'verbose_json' : 'json',
+    'timestamp_granularities[]': withSegments ? 'segment' : undefined,
+    temperature: 0
+  });
 
-Переведи оба канала ДОСЛОВНО на русский, сохрани все детали, отформатируй абзацами. Верни JSON.`;
+  const response = await callWithRetry(
+    () => axios.post('https://api.openai.com/v1/audio/transcriptions', form, {
+      headers: { ...form.getHeaders(), 'Authorization': `Bearer ${OPENAI_API_KEY}` },
+      maxBodyLength: Infinity,
+      timeout: 300000
+    }),
+    3,
+    `stt.openai[${channelName}]`
+  );
+  return { text: (response.data.text || '').trim(), segments: withSegments ? whisperSegments(response.data) : null };
+}
 
-  logger.info('🧠 GPT-4o: перевод двух каналов (v5.2 - точность)...');
+/**
+ * Локальный Whisper: whisper.cpp server (/inference) или faster-whisper-server
+ * (/v1/audio/transcriptions) — оба принимают одинаковые multipart поля
+ */
+async function transcribeWhisperLocal(audio, { prompt, language, channelName, timestamps }) {
+  const form = buildTranscriptionForm(audio, {
+    model: WHISPER_LOCAL_MODEL,
+    language,
+    prompt,
+    response_format: timestamps ? 'verbose_json' : 'json',
+    temperature: 0
+  });
 
-  // Используем retry логику для надежности
   const response = await callWithRetry(
-    () => axios.post(GOOGLE_PROXY_URL, {
-      type: 'chat',
-      apiKey: OPENAI_API_KEY,
-      model: 'gpt-4o',
-      max_tokens: 4000,
-      temperature: 0,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
-      ]
-    }, { timeout: 180000 }), // Увеличено до 3 минут
+    () => axios.post(WHISPER_LOCAL_URL, form, {
+      headers: form.getHeaders(),
+      maxBodyLength: Infinity,
+      timeout: 600000 // на CPU длинный звонок распознаётся медленнее реального времени
+    }),
     3,
-    'repairAndTranslate'
+    `stt.whisper_local[${channelName}]`
   );
+  return { text: (response.data.text || '').trim(), segments: timestamps ? whisperSegments(response.data) : null };
+}
 
-  // Проверяем валидность ответа
-  if (!response?.data?.choices?.length) {
-    logger.error('❌ GPT-4o translation: invalid response', {
-      responseData: response?.data
-    });
-    // Fallback - возвращаем сырой текст
-    return { manager: adminRawText, client: clientRawText };
-  }
+// ==================== ДЛИННЫЕ ЗАПИСИ: НАРЕЗКА ПО ТИШИНЕ ====================
+//
+//  Синхронный Yandex stt:recognize принимает до 30 секунд / 1 МБ,
+//  OpenAI — до 25 МБ. Длинную запись режем ffmpeg silencedetect по паузам
+//  (не посреди слова), куски распознаём по очереди и склеиваем текст по порядку.
+//  Нет паузы в пределах лимита → жёсткий разрез на лимите.
+
+const SILENCE_NOISE_DB = -35;       // тише этого — пауза
+const SILENCE_MIN_SECONDS = 0.3;    // короче — не пауза, а вдох между словами
+const MIN_CHUNK_SECONDS = 5;        // не режем на огрызки
+const TURN_PAUSE_SECONDS = 0.8;     // пауза в канале = конец высказывания (собеседник говорит)
+const MIN_UTTERANCE_SECONDS = 0.3;  // короче — щелчок/шум, не речь
+const UTTERANCE_PADDING_SECONDS = 0.15;
+const MAX_UTTERANCE_SECONDS = 60;    // для провайдеров без лимита длины
+
+function probeDurationSeconds(filePath) {
+  const output = execSync(`ffprobe -v quiet -print_format json -show_format "${filePath}"`, { encoding: 'utf-8' });
+  return parseFloat(JSON.parse(output).format?.duration) || 0;
+}
 
-  const content = response.data.choices[0].message?.content?.trim();
-  if (!content) {
-    logger.warn('⚠️ GPT-4o translation: empty content, using raw text');
-    return { manager: adminRawText, client: clientRawText };
-  }
-  let result;
-  try {
-    const clean = content.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
-    result = JSON.parse(clean);
-  } catch (e) {
-    const match = content.match(/\{[\s\S]*\}/);
-    if (match) {
-      result = JSON.parse(match[0]);
-    } else {
-      logger.warn('⚠️ GPT не вернул JSON, fallback', {
-        contentPreview: content.substring(0, 200)
-      });
-      result = { manager: adminRawText, client: clientRawText };
+/**
+ * Паузы (секунды) по ffmpeg silencedetect
+ * @returns {Array<{start: number, end: number}>} пауза до конца записи → end = duration
+ */
+function detectSilences(filePath, minSilenceSeconds, duration) {
+  const output = execSync(
+    `ffmpeg -hide_banner -i "${filePath}" -af silencedetect=noise=${SILENCE_NOISE_DB}dB:d=${minSilenceSeconds} -f null - 2>&1`,
+    { encoding: 'utf-8', maxBuffer: 16 * 1024 * 1024 }
+  );
+  const silences = [];
+  let silenceStart = null;
+  for (const line of output.split('\n')) {
+    const start = line.match(/silence_start: (-?[\d.]+)/);
+    const end = line.match(/silence_end: ([\d.]+)/);
+    if (start) silenceStart = Math.max(0, parseFloat(start[1]));
+    if (end && silenceStart !== null) {
+      silences.push({ start: silenceStart, end: parseFloat(end[1]) });
+      silenceStart = null;
     }
   }
+  if (silenceStart !== null) silences.push({ start: silenceStart, end: duration });
+  return silences;
+}
 
-  const managerText = (result.manager || result.admin || '').trim();
-  const clientText = (result.client || result.patient || '').trim();
+/**
+ * Границы кусков: самая поздняя пауза в пределах лимита, иначе лимит
+ * @returns {Array<[number, number]>} [start, end] в секундах
+ */
+function planChunks(duration, silences, maxChunkSeconds) {
+  const midpoints = silences.map(p => (p.start + p.end) / 2);
+  const ranges = [];
+  let start = 0;
+  while (duration - start > maxChunkSeconds) {
+    const limit = start + maxChunkSeconds;
+    const cut = midpoints.filter(t => t > start + MIN_CHUNK_SECONDS && t <= limit).pop() ?? limit;
+    ranges.push([start, cut]);
+    start = cut;
+  }
+  ranges.push([start, duration]);
+  return ranges;
+}
 
-  logger.info(`✅ Перевод done (v5.2)`, {
-    managerLength: managerText.length,
-    clientLength: clientText.length
+/**
+ * Высказывания: речь между паузами (с небольшим запасом по краям),
+ * длиннее лимита — режется на лимите
+ * @returns {Array<[number, number]>} [start, end] в секундах
+ */
+function planUtterances(duration, silences, maxChunkSeconds) {
+  const ranges = [];
+  let speechStart = 0;
+  for (const pause of [...silences, { start: duration, end: duration }]) {
+    let start = Math.max(0, speechStart - UTTERANCE_PADDING_SECONDS);
+    const end = Math.min(duration, pause.start + UTTERANCE_PADDING_SECONDS);
+    if (pause.start - speechStart >= MIN_UTTERANCE_SECONDS) {
+      while (end - start > maxChunkSeconds) {
+        ranges.push([start, start + maxChunkSeconds]);
+        start += maxChunkSeconds;
+      }
+      ranges.push([start, end]);
+    }
+    speechStart = pause.end;
+  }
+  return ranges;
+}
+
+/**
+ * Режет аудио на куски по плану planRanges(filePath, duration) → WAV 16kHz моно
+ *
+ * @returns {Array<{buffer: Buffer, format: string, start: number, end: number}>}
+ *          исходник целиком, если резать нечего или нет ffmpeg
+ */
+function cutAudio(audio, planRanges) {
+  if (!FFMPEG_AVAILABLE) return [{ ...audio, start: 0, end: null }];
+
+  const tmpDir = os.tmpdir();
+  const base = path.join(tmpDir, `stt_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`);
+  const inputPath = `${base}.${audio.format}`;
+  const chunkPaths = [];
+
+  try {
+    fs.writeFileSync(inputPath, audio.buffer);
+    const duration = probeDurationSeconds(inputPath);
+    const ranges = planRanges(inputPath, duration);
+    if (ranges.length === 1 && ranges[0][0] === 0 && ranges[0][1] >= duration) {
+      return [{ ...audio, start: 0, end: duration }];
+    }
+    logger.info(`✂️ Нарезка по тишине: ${duration.toFixed(1)}с → ${ranges.length} кусков`);
+
+    return ranges.map(([start, end], i) => {
+      const chunkPath = `${base}_${i}.wav`;
+      chunkPaths.push(chunkPath);
+      execSync(
+        `ffmpeg -y -ss ${start.toFixed(3)} -t ${(end - start).toFixed(3)} -i "${inputPath}" -ar 16000 -ac 1 -f wav "${chunkPath}"`,
+        { stdio: 'ignore' }
+      );
+      return { buffer: fs.readFileSync(chunkPath), format: 'wav', start, end };
+    });
+  } finally {
+    try { fs.unlinkSync(inputPath); } catch (e) {}
+    for (const chunkPath of chunkPaths) {
+      try { fs.unlinkSync(chunkPath); } catch (e) {}
+    }
+  }
+}
+
+// Куски ≤ maxChunkSeconds по паузам — только ради лимита API
+function splitAudioOnSilence(audio, maxChunkSeconds) {
+  return cutAudio(audio, (filePath, duration) => duration <= maxChunkSeconds
+    ? [[0, duration]]
+    : planChunks(duration, detectSilences(filePath, SILENCE_MIN_SECONDS, duration), maxChunkSeconds));
+}
+
+// Высказывания канала — таймкоды для провайдеров без собственных сегментов
+function splitIntoUtterances(audio, maxChunkSeconds) {
+  return cutAudio(audio, (filePath, duration) =>
+    planUtterances(duration, detectSilences(filePath, TURN_PAUSE_SECONDS, duration), maxChunkSeconds));
+}
+
+// PCM из WAV ffmpeg (перед data может стоять LIST)
+function wavPcm(buffer) {
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    if (id === 'data') return buffer.subarray(offset + 8, Math.min(buffer.length, offset + 8 + size));
+    offset += 8 + size + (size % 2);
+  }
+  return Buffer.alloc(0);
+}
+
+// WAV 16kHz моно 16 бит — формат кусков cutAudio
+function pcmToWav(pcm) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVEfmt ', 8, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);       // PCM
+  header.writeUInt16LE(1, 22);       // моно
+  header.writeUInt32LE(16000, 24);
+  header.writeUInt32LE(32000, 28);   // байт в секунду
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+/**
+ * Склеивает подряд идущие высказывания в запросы ≤ maxChunkSeconds:
+ * Yandex тарифицирует каждый запрос блоками по 15 секунд, и реплика «да» по отдельности
+ * стоит как 15 секунд речи. Паузы между высказываниями в склейку не попадают.
+ *
+ * @returns куски cutAudio; склейка — { buffer, format: 'wav', start, end, utterances: [{start, end}] }
+ */
+function packUtterances(chunks, maxChunkSeconds) {
+  if (chunks.length < 2 || chunks.some(chunk => chunk.format !== 'wav')) return chunks;
+
+  const groups = [];
+  let group = [];
+  let groupSeconds = 0;
+  for (const chunk of chunks) {
+    const seconds = chunk.end - chunk.start;
+    if (group.length && groupSeconds + seconds > maxChunkSeconds) {
+      groups.push(group);
+      group = [];
+      groupSeconds = 0;
+    }
+    group.push(chunk);
+    groupSeconds += seconds;
+  }
+  groups.push(group);
+
+  return groups.map(items => items.length === 1 ? items[0] : {
+    buffer: pcmToWav(Buffer.concat(items.map(chunk => wavPcm(chunk.buffer)))),
+    format: 'wav',
+    start: items[0].start,
+    end: items[items.length - 1].end,
+    utterances: items.map(({ start, end }) => ({ start, end }))
   });
+}
 
-  return { manager: managerText, client: clientText };
+// Текст склейки → по высказываниям пропорционально их длительности (по словам)
+function splitTextByUtterances(text, utterances) {
+  const words = text.split(/\s+/).filter(Boolean);
+  const total = utterances.reduce((sum, u) => sum + (u.end - u.start), 0);
+  let used = 0;
+  let elapsed = 0;
+  return utterances.map((u, i) => {
+    elapsed += u.end - u.start;
+    const upto = i === utterances.length - 1 ? words.length : Math.round(words.length * elapsed / total);
+    const part = words.slice(used, upto).join(' ');
+    used = upto;
+    return { start: u.start, end: u.end, text: part };
+  }).filter(seg => seg.text);
+}
+
+/**
+ * Распознаёт аудио провайдером с учётом его лимита длины (maxChunkSeconds)
+ *
+ * options.timestamps — нужны сегменты с таймкодами (стерео → реплики):
+ * провайдер без своих таймкодов получает аудио нарезанным на высказывания,
+ * склеенные в запросы до лимита (текст склейки делится обратно по высказываниям).
+ * Куски идут последовательно — порядок текста сохраняется, лимиты API не превышаются.
+ * Ошибка любого куска = ошибка провайдера (→ fallback на следующий).
+ *
+ * @returns {Promise<{text: string, segments: Array<{start, end, text}>}>}
+ */
+async function transcribeWithProvider(provider, audio, options) {
+  let chunks;
+  if (options.timestamps && !provider.hasTimestamps()) {
+    const maxChunkSeconds = provider.maxChunkSeconds || MAX_UTTERANCE_SECONDS;
+    chunks = packUtterances(splitIntoUtterances(audio, maxChunkSeconds), maxChunkSeconds);
+  } else if (provider.maxChunkSeconds) {
+    chunks = splitAudioOnSilence(audio, provider.maxChunkSeconds);
+  } else {
+    chunks = [{ ...audio, start: 0, end: null }];
+  }
+
+  const texts = [];
+  const segments = [];
+  for (const [i, chunk] of chunks.entries()) {
+    const channelName = chunks.length > 1 ? `${options.channelName} ${i + 1}/${chunks.length}` : options.channelName;
+    const result = await provider.transcribe(chunk, { ...options, channelName });
+    // Расход — за каждый распознанный кусок, даже если следующий упадёт (провайдер его уже посчитал)
+    options.usage?.stt(options.providerName, options.channelName, chunkSeconds(chunk, options.durationSeconds));
+    if (result.text) texts.push(result.text);
+    if (chunk.utterances) {
+      segments.push(...splitTextByUtterances(result.text || '', chunk.utterances));
+    } else if (result.segments) {
+      segments.push(...result.segments.map(seg => ({ start: chunk.start + seg.start, end: chunk.start + seg.end, text: seg.text })));
+    } else if (result.text) {
+      segments.push({ start: chunk.start, end: chunk.end, text: result.text });
+    }
+  }
+  return { text: texts.join(' '), segments };
+}
+
+const STT_PROVIDERS = {
+  yandex: {
+    label: 'Yandex SpeechKit',
+    isConfigured: () => !!(YANDEX_API_KEY && YANDEX_FOLDER_ID),
+    maxChunkSeconds: 29, // синхронный API: ≤ 30с и ≤ 1 МБ (29с LPCM 16kHz ≈ 930 КБ)
+    hasTimestamps: () => false,
+    transcribe: transcribeYandex
+  },
+  openai: {
+    label: `OpenAI ${OPENAI_STT_MODEL}`,
+    isConfigured: () => !!OPENAI_API_KEY,
+    maxChunkSeconds: 600, // лимит файла 25 МБ (10 мин WAV 16kHz ≈ 19 МБ)
+    hasTimestamps: () => OPENAI_STT_MODEL === 'whisper-1',
+    transcribe: transcribeOpenAI
+  },
+  whisper_local: {
+    label: 'Local Whisper',
+    isConfigured: () => !!WHISPER_LOCAL_URL,
+    hasTimestamps: () => true,
+    transcribe: transcribeWhisperLocal
+  }
+};
+
+/**
+ * Порядок провайдеров для звонка: выбранный первым, дальше STT_FALLBACK
+ * (ненастроенные пропускаются)
+ *
+ * @param {string} preferred - провайдер задачи / клиники / STT_PROVIDER
+ */
+function sttProviderChain(preferred) {
+  const chain = [...new Set([preferred || STT_PROVIDER, ...STT_FALLBACK])]
+    .filter(name => STT_PROVIDERS[name]?.isConfigured());
+  if (!chain.length) throw new Error('Нет настроенного STT провайдера (YANDEX_API_KEY, OPENAI_API_KEY или WHISPER_LOCAL_URL)');
+  return chain;
+}
+
+/**
+ * Распознаёт аудио первым рабочим провайдером из цепочки
+ *
+ * Пустой текст — не ошибка (тишина в канале), fallback только на исключение.
+ *
+ * @returns {Promise<{text: string, segments: Array, provider: string}>}
+ */
+async function transcribeWithFallback(audio, chain, options) {
+  let lastError;
+  for (const name of chain) {
+    const provider = STT_PROVIDERS[name];
+    logger.info(`🎤 ${provider.label} [${options.channelName}]`, { format: audio.format, audioSize: audio.buffer.length });
+    try {
+      const { text, segments } = await observeStage('stt', () => transcribeWithProvider(provider, audio, { ...options, providerName: name }), name);
+      logger.info(`✅ ${provider.label} [${options.channelName}]: ${text.length} chars, ${segments.length} сегментов`);
+      return { text, segments, provider: name };
+    } catch (error) {
+      lastError = error;
+      logger.warn(`⚠️ STT ${name} [${options.channelName}] failed, пробуем следующий провайдер`, {
+        error: error.message,
+        status: error.response?.status,
+        data: error.response?.data
+      });
+    }
+  }
+  throw new Error(`Все STT провайдеры недоступны (${chain.join(' → ')}): ${lastError.message}`);
+}
+
+// ====================================================================
+//  LLM КЛИЕНТ
+//
+//  Все обращения к модели — через llmJson(): один провайдер на деплой (LLM_PROVIDER),
+//  ответ всегда JSON и всегда проверяется JSON-схемой (ajv).
+//  Невалидный ответ → модели возвращаются ошибки схемы и просим исправить
+//  (до LLM_REPAIR_ATTEMPTS раз). Не получилось → LLMError с этапом,
+//  задача очереди уходит в retry, сырой текст в БД не пишется.
+// ====================================================================
+
+const ajv = new Ajv({ allErrors: true, verbose: true });
+
+// Схемы строятся заново на каждый вызов (рубрика, число реплик), а ajv кеширует валидатор
+// по объекту схемы — без своего кеша по содержимому он растёт бесконечно
+const SCHEMA_VALIDATOR_CACHE_SIZE = 100;
+const schemaValidators = new Map();
+
+function schemaValidator(schema) {
+  const key = JSON.stringify(schema);
+  let validate = schemaValidators.get(key);
+  if (validate) {
+    // Недавно использованный — в конец: вытесняется самый давний
+    schemaValidators.delete(key);
+  } else {
+    validate = ajv.compile(schema);
+    ajv.removeSchema(schema);
+    if (schemaValidators.size >= SCHEMA_VALIDATOR_CACHE_SIZE) {
+      schemaValidators.delete(schemaValidators.keys().next().value);
+    }
+  }
+  schemaValidators.set(key, validate);
+  return validate;
+}
+
+class LLMError extends Error {
+  /**
+   * @param {string} stage - этап pipeline: 'translate' | 'translate_mono' | 'analyze'
+   * @param {string} kind - 'request' | 'empty' | 'parse' | 'schema'
+   */
+  constructor(stage, kind, message, details = {}) {
+    super(`[LLM ${stage}] ${message}`);
+    this.name = 'LLMError';
+    this.stage = stage;
+    this.kind = kind;
+    this.details = details;
+  }
+}
+
+// Ответ в формате chat/completions → текст первого варианта и токены (usage, если провайдер его вернул)
+function chatCompletionResult(data) {
+  return { content: data?.choices?.[0]?.message?.content?.trim() || '', tokens: data?.usage || null };
+}
+
+const LLM_PROVIDERS = {
+  // Google Cloud прокси к OpenAI (исходная схема деплоя)
+  proxy: {
+    isConfigured: () => !!GOOGLE_PROXY_URL,
+    chat: async ({ messages, maxTokens }) => {
+      const response = await axios.post(GOOGLE_PROXY_URL, {
+        type: 'chat',
+        apiKey: OPENAI_API_KEY,
+        model: LLM_MODEL,
+        max_tokens: maxTokens,
+        temperature: 0,
+        messages
+      }, { timeout: 180000 });
+      return chatCompletionResult(response.data);
+    }
+  },
+  openai: {
+    isConfigured: () => !!OPENAI_API_KEY,
+    chat: async ({ messages, maxTokens }) => {
+      const response = await axios.post('https://api.openai.com/v1/chat/completions', {
+        model: LLM_MODEL,
+        max_tokens: maxTokens,
+        temperature: 0,
+        response_format: { type: 'json_object' },
+        messages
+      }, {
+        headers: { 'Authorization': `Bearer ${OPENAI_API_KEY}` },
+        timeout: 180000
+      });
+      return chatCompletionResult(response.data);
+    }
+  },
+  local: {
+    isConfigured: () => !!LLM_LOCAL_URL,
+    chat: async ({ messages, maxTokens }) => {
+      const response = await axios.post(`${LLM_LOCAL_URL.replace(/\/$/, '')}/chat/completions`, {
+        model: LLM_LOCAL_MODEL,
+        max_tokens: maxTokens,
+        temperature: 0,
+        response_format: { type: 'json_object' },
+        messages
+      }, { timeout: 600000 });
+      return chatCompletionResult(response.data);
+    }
+  },
+  // Детерминированная модель для офлайн-оценки (eval/run.js) и тестов: без сети
+  mock: {
+    isConfigured: () => true,
+    chat: async ({ messages, stage }) => ({ content: mockLLMReply(stage, messages), tokens: null })
+  }
+};
+
+// Ответы mock-провайдера: фикстуры { stage?, match?, response } — первая, чей этап совпал
+// и чья подстрока match есть в задании; перевод без фикстуры — эхо исходных реплик
+const mockLLM = { fixtures: [] };
+
+function mockLLMReply(stage, messages) {
+  const prompt = messages.find(m => m.role === 'user')?.content || '';
+  const fixture = mockLLM.fixtures.find(f => (!f.stage || f.stage === stage) && (!f.match || prompt.includes(f.match)));
+  if (fixture) return JSON.stringify(fixture.response);
+  if (stage === 'translate') {
+    return JSON.stringify({ turns: [...prompt.matchAll(/^\[(\d+)\] [^:]+: (.*)$/gm)].map(m => ({ n: Number(m[1]), text: m[2] })) });
+  }
+  return '';
+}
+
+/**
+ * Достаёт JSON из ответа модели: сначала весь текст (без ```json), потом внешние {...}
+ * @returns {{ value: *, error: string|null }}
+ */
+function parseLLMJson(content) {
+  const clean = content.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
+  try {
+    return { value: JSON.parse(clean), error: null };
+  } catch (e) {
+    const start = clean.indexOf('{');
+    const end = clean.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      try {
+        return { value: JSON.parse(clean.slice(start, end + 1)), error: null };
+      } catch (inner) {}
+    }
+    return { value: null, error: `невалидный JSON: ${e.message}` };
+  }
+}
+
+// Ошибки ajv → короткий текст для модели; пропущенный блок рубрики называем по key
+function formatSchemaErrors(errors) {
+  return (errors || [])
+    .filter(e => !e.schemaPath.includes('/contains/'))
+    .slice(0, 10)
+    .map(e => {
+      const missingKey = e.keyword === 'contains' && e.parentSchema?.contains?.properties?.key?.const;
+      if (missingKey) return `${e.instancePath} нет элемента с key="${missingKey}"`;
+      return `${e.instancePath || '/'} ${e.message}${e.params?.allowedValues ? ` (${e.params.allowedValues.join(', ')})` : ''}`;
+    })
+    .join('; ');
+}
+
+/**
+ * Запрос к LLM с гарантированным JSON по схеме
+ *
+ * @param {Object} options
+ * @param {string} options.stage - этап для логов и ошибок
+ * @param {Array} options.messages - chat messages (system + user)
+ * @param {Object} options.schema - JSON Schema ответа
+ * @param {number} [options.maxTokens]
+ * @param {Object} [options.usage] - createUsageMeter(): токены каждой попытки, включая исправления
+ * @returns {Promise<Object>} провалидированный ответ
+ * @throws {LLMError}
+ */
+async function llmJson({ stage, messages, schema, maxTokens = 4000, usage = null }) {
+  const provider = LLM_PROVIDERS[LLM_PROVIDER];
+  if (!provider?.isConfigured()) {
+    throw new LLMError(stage, 'request', `LLM провайдер "${LLM_PROVIDER}" не настроен`);
+  }
+  const validate = schemaValidator(schema);
+  const conversation = [...messages];
+
+  for (let attempt = 0; attempt <= LLM_REPAIR_ATTEMPTS; attempt++) {
+    let content;
+    try {
+      let tokens;
+      ({ content, tokens } = await callWithRetry(() => provider.chat({ messages: conversation, maxTokens, stage }), 3, `llm.${stage}`));
+      usage?.llm(stage, LLM_PROVIDER, LLM_PROVIDER === 'local' ? LLM_LOCAL_MODEL : LLM_MODEL, tokens, conversation, content);
+    } catch (error) {
+      throw new LLMError(stage, 'request', `запрос к ${LLM_PROVIDER} не удался: ${error.message}`, {
+        status: error.response?.status
+      });
+    }
+    if (!content) throw new LLMError(stage, 'empty', 'пустой ответ модели');
+
+    const { value, error: parseError } = parseLLMJson(content);
+    const problem = parseError || (validate(value) ? null : `не соответствует схеме: ${formatSchemaErrors(validate.errors)}`);
+    if (!problem) {
+      if (attempt) logger.info(`🔧 LLM ${stage}: ответ исправлен с ${attempt + 1}-й попытки`);
+      return value;
+    }
+
+    logger.warn(`⚠️ LLM ${stage}: ответ отклонён (${attempt + 1}/${LLM_REPAIR_ATTEMPTS + 1})`, {
+      problem,
+      contentPreview: content.substring(0, 300)
+    });
+    if (attempt === LLM_REPAIR_ATTEMPTS) {
+      throw new LLMError(stage, parseError ? 'parse' : 'schema', `ответ ${problem}`, {
+        contentPreview: content.substring(0, 500)
+      });
+    }
+    // Re-ask: показываем модели её ответ и что с ним не так
+    conversation.push(
+      { role: 'assistant', content },
+      { role: 'user', content: `Ответ ${problem}.\nВерни ТОЛЬКО исправленный JSON строго по формату из задания, без пояснений.` }
+    );
+  }
+}
+
+// Ответ переводчика: два блока текста
+const TRANSLATION_SCHEMA = {
+  type: 'object',
+  required: ['manager', 'client'],
+  properties: {
+    manager: { type: 'string' },
+    client: { type: 'string' }
+  }
+};
+
+const TRANSLATE_TURNS_BATCH = 40; // реплик за один запрос (лимит ответа max_tokens)
+
+// Ответ переводчика реплик: ровно те же номера, по одному разу
+function turnsTranslationSchema(numbers) {
+  return {
+    type: 'object',
+    required: ['turns'],
+    properties: {
+      turns: {
+        type: 'array',
+        minItems: numbers.length,
+        maxItems: numbers.length,
+        items: {
+          type: 'object',
+          required: ['n', 'text'],
+          properties: {
+            n: { enum: numbers },
+            text: { type: 'string' }
+          }
+        },
+        allOf: numbers.map(n => ({ contains: { type: 'object', properties: { n: { const: n } } } }))
+      }
+    }
+  };
+}
+
+// 83.4 → "1:23"
+function formatTimestamp(seconds) {
+  const total = Math.floor(seconds);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Сливает сегменты двух каналов в реплики по времени
+ *
+ * Подряд идущие сегменты одной роли = одна реплика.
+ *
+ * @param {Array<{role, start, end, text}>} segments
+ * @returns {Array<{role, start, end, text}>}
+ */
+function mergeTurns(segments) {
+  const round = t => (t === null || t === undefined ? null : Math.round(t * 10) / 10);
+  const turns = [];
+  for (const seg of [...segments].sort((a, b) => a.start - b.start)) {
+    const last = turns[turns.length - 1];
+    if (last && last.role === seg.role) {
+      last.text = `${last.text} ${seg.text}`;
+      last.end = round(seg.end);
+    } else {
+      turns.push({ role: seg.role, start: round(seg.start), end: round(seg.end), text: seg.text });
+    }
+  }
+  return turns;
+}
+
+/**
+ * LLM: Перевод реплик диалога (каз/рус → русский)
+ *
+ * ЛОГИКА v6:
+ * Реплики уже упорядочены по таймкодам двух каналов — модель НЕ восстанавливает
+ * порядок и НЕ переставляет/объединяет реплики, только переводит каждую ДОСЛОВНО.
+ * Длинный диалог — пачками по TRANSLATE_TURNS_BATCH, номера сквозные.
+ *
+ * @returns {Promise<Array<{role, start, end, text}>>} те же реплики с переводом
+ */
+async function translateTurns(rawTurns, clinic, usage = null) {
+  const profile = clinicProfile(clinic);
+  const systemPrompt = `СТРОГИЙ переводчик телефонного диалога (каз/рус → русский). Клиника ${profile.name} (${profile.city}), ${profile.specialty}. Акция: ${profile.offer}.
+
+🔴 КРИТИЧНО - ЗАПРЕЩЕНО ДОДУМЫВАТЬ!
+- Переводи ТОЛЬКО то, что РЕАЛЬНО сказано
+- Если непонятно слово → переводи ПРИБЛИЗИТЕЛЬНО, но НЕ ВЫДУМЫВАЙ "красивую" фразу
+- Если фраза оборвана → оставь оборванной, НЕ "дополняй" её
+- НЕ добавляй вежливые обороты ("пожалуйста", "будьте добры"), если их нет
+- НЕ "улучшай" речь администратора
+- Убери ТОЛЬКО явные артефакты распознавания (повторы одного слова подряд)
+
+РЕПЛИКИ:
+- На входе пронумерованные реплики "[N] РОЛЬ: текст" в порядке разговора
+- Переведи КАЖДУЮ реплику отдельно, номер N сохрани
+- НЕ объединяй, НЕ дели, НЕ переставляй реплики, НЕ переноси слова между ними
+- Пустая/неразборчивая реплика → переведи как есть
+- [ИМЯ_1], [ТЕЛЕФОН_2] и т.п. — скрытые персональные данные: переноси БЕЗ изменений
+
+СЛОВАРЬ (каз→рус): ${profile.glossary}
+
+❌ ПРИМЕР ПЛОХОГО ПЕРЕВОДА (ДОДУМАЛ):
+Сырой: "Алло салем тізе ауырады"
+Плохо: "Здравствуйте, меня беспокоит боль в колене, можно записаться на прием?"
+✅ ПРАВИЛЬНО: "Алло привет колено болит"
+
+JSON: {"turns": [{"n": 1, "text": "дословный перевод"}, ...]}`;
+
+  const translated = [];
+  for (let offset = 0; offset < rawTurns.length; offset += TRANSLATE_TURNS_BATCH) {
+    const batch = rawTurns.slice(offset, offset + TRANSLATE_TURNS_BATCH);
+    const numbers = batch.map((_, i) => offset + i + 1);
+    const dialog = batch
+      .map((t, i) => `[${numbers[i]}] ${t.role === 'manager' ? 'АДМИНИСТРАТОР' : 'ПАЦИЕНТ'}: ${t.text}`)
+      .join('\n');
+
+    logger.info(`🧠 LLM: перевод реплик ${numbers[0]}-${numbers[numbers.length - 1]} из ${rawTurns.length}`);
+    const result = await llmJson({
+      stage: 'translate',
+      usage,
+      schema: turnsTranslationSchema(numbers),
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: `${dialog}\n\nПереведи каждую реплику ДОСЛОВНО на русский. Верни JSON.` }
+      ]
+    });
+
+    const byNumber = Object.fromEntries(result.turns.map(t => [t.n, t.text.trim()]));
+    batch.forEach((turn, i) => translated.push({ ...turn, text: byNumber[numbers[i]] }));
+  }
+
+  logger.info(`✅ Перевод реплик done (v6)`, { turns: translated.length });
+  return translated;
 }
 
 /**
- * GPT-4o: Перевод моно-аудио (оба голоса в одном канале) → два блока текста
+ * LLM: Перевод моно-аудио (оба голоса в одном канале) → два блока текста
  *
  * ЛОГИКА v5.2:
- * Из моно-транскрипта GPT-4o разделяет по ролям, переводит ДОСЛОВНО,
+ * Из моно-транскрипта LLM разделяет по ролям, переводит ДОСЛОВНО,
  * форматирует абзацами. Возвращает два блока (manager + client).
  */
-async function repairAndTranslateMono(rawText) {
+async function repairAndTranslateMono(rawText, clinic, usage = null) {
   if (!rawText || rawText.trim().length < 15) {
     return { manager: rawText || '', client: '' };
   }
 
-  const systemPrompt = `СТРОГИЙ переводчик моно-канала (оба голоса вместе). Клиника Miramed (Актобе), суставы, 9900₸.
+  const profile = clinicProfile(clinic);
+  const systemPrompt = `СТРОГИЙ переводчик моно-канала (оба голоса вместе). Клиника ${profile.name} (${profile.city}), ${profile.specialty}. Акция: ${profile.offer}.
 
 🔴 ЗАПРЕЩЕНО ДОДУМЫВАТЬ!
 - Переводи ТОЛЬКО реальные слова из транскрипта
 - НЕ "улучшай" речь, НЕ добавляй вежливость
 - Раздели по ролям (админ/пациент) ПО СМЫСЛУ, но НЕ выдумывай новые фразы
+- [ИМЯ_1], [ТЕЛЕФОН_2] и т.п. — скрытые персональные данные: переноси БЕЗ изменений
 
 АЛГОРИТМ:
 1. Определи кто говорит (админ: предлагает, пациент: жалуется)
 2. Переведи каждую реплику 1-в-1, сохрани обрывки и паузы
 3. Форматируй абзацами для читабельности
 
-СЛОВАРЬ: буын=сустав, омыртқа=позвоночник, тізе=колено, ауырады=болит, дәрігер=врач, тексеру=обследование, бағасы=цена, қымбат=дорого
+СЛОВАРЬ: ${profile.glossary}
 
 ❌ НЕ ТАК: "Здравствуйте, я хотел бы записаться на консультацию"
 ✅ ТАК: "Привет записаться можно"
 
 JSON: {"manager": "дословно\\n\\nабзац", "client": "дословно\\n\\nабзац"}`;
 
-  logger.info('🧠 GPT-4o: перевод моно (v5.2 - точность)...');
-
-  // Используем retry логику для надежности
-  const response = await callWithRetry(
-    () => axios.post(GOOGLE_PROXY_URL, {
-      type: 'chat',
-      apiKey: OPENAI_API_KEY,
-      model: 'gpt-4o',
-      max_tokens: 4000,
-      temperature: 0,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: `ТРАНСКРИПТ (моно):\n${rawText}\n\nРаздели по ролям, переведи ДОСЛОВНО на русский, отформатируй абзацами. Верни JSON.` }
-      ]
-    }, { timeout: 180000 }), // Увеличено до 3 минут
-    3,
-    'repairAndTranslateMono'
-  );
-
-  // Проверяем валидность ответа
-  if (!response?.data?.choices?.length) {
-    logger.error('❌ GPT-4o mono translation: invalid response', {
-      responseData: response?.data
-    });
-    // Fallback - возвращаем сырой текст
-    return { manager: rawText, client: '' };
-  }
+  logger.info('🧠 LLM: перевод моно (v5.2 - точность)...');
 
-  const content = response.data.choices[0].message?.content?.trim();
-  if (!content) {
-    logger.warn('⚠️ GPT-4o mono translation: empty content, using raw text');
-    return { manager: rawText, client: '' };
-  }
-  let result;
-  try {
-    const clean = content.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
-    result = JSON.parse(clean);
-  } catch (e) {
-    const match = content.match(/\{[\s\S]*\}/);
-    result = match ? JSON.parse(match[0]) : { manager: rawText, client: '' };
-  }
+  const result = await llmJson({
+    stage: 'translate_mono',
+    usage,
+    schema: TRANSLATION_SCHEMA,
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: `ТРАНСКРИПТ (моно):\n${rawText}\n\nРаздели по ролям, переведи ДОСЛОВНО на русский, отформатируй абзацами. Верни JSON.` }
+    ]
+  });
 
-  const managerText = (result.manager || result.admin || '').trim();
-  const clientText = (result.client || result.patient || '').trim();
+  const managerText = result.manager.trim();
+  const clientText = result.client.trim();
 
   logger.info(`✅ Моно-перевод done (v5.2)`, {
     managerLength: managerText.length,
@@ -757,180 +2842,473 @@ JSON: {"manager": "дословно\\n\\nабзац", "client": "дословн
 }
 
 // ====================================================================
-//  ГЛАВНАЯ ФУНКЦИЯ ТРАНСКРИБАЦИИ v5.2
+//  ПЕРСОНАЛЬНЫЕ ДАННЫЕ
+//
+//  Имена, даты рождения, ИИН/документы и телефоны заменяются плейсхолдерами
+//  ([ИМЯ_1], [ДАТА_РОЖДЕНИЯ_1], [ИИН_1], [ДОКУМЕНТ_1], [ТЕЛЕФОН_1]) сразу после STT —
+//  до перевода, анализа и сохранения. Одно значение = один плейсхолдер во всём звонке.
+//  Оригиналы — в call_pii (AES-256-GCM), просмотр — admin/head с причиной в журнале.
+//  Поиск по шаблонам: имя без маркера ("меня зовут", отчество, ответ на "как вас зовут")
+//  не распознаётся.
+// ====================================================================
+
+const PII_LABELS = { name: 'ИМЯ', birth_date: 'ДАТА_РОЖДЕНИЯ', iin: 'ИИН', document: 'ДОКУМЕНТ', phone: 'ТЕЛЕФОН' };
+const PII_BIRTH_MIN_AGE = 3;              // дата с годом старше — дата рождения, а не визит или запись
+const PII_NAME_ANSWER_WORDS = 6;          // короткий ответ на "как вас зовут" — имя
+const PII_ANALYSIS_NOTE = `ПЕРСОНАЛЬНЫЕ ДАННЫЕ СКРЫТЫ: [ИМЯ_N], [ДАТА_РОЖДЕНИЯ_N], [ИИН_N], [ДОКУМЕНТ_N], [ТЕЛЕФОН_N].
+Плейсхолдер в ответе пациента = данные названы и записаны (этап сбора данных выполнен).
+В client_info и ai_summary пиши плейсхолдеры как есть, значения НЕ придумывай.`;
+
+const PII_WORD = '\\p{Lu}[\\p{Ll}-]+';
+const PII_MONTHS = 'января|февраля|марта|апреля|мая|июня|июля|августа|сентября|октября|ноября|декабря|' +
+  'қаңтар\\p{L}*|ақпан\\p{L}*|наурыз\\p{L}*|сәуір\\p{L}*|мамыр\\p{L}*|маусым\\p{L}*|шілде\\p{L}*|тамыз\\p{L}*|қыркүйек\\p{L}*|қазан\\p{L}*|қараша\\p{L}*|желтоқсан\\p{L}*';
+const PII_DAY_MONTH = `\\d{1,2}(?:[./-]\\d{1,2}(?:[./-]\\d{2,4})?|\\s+(?:${PII_MONTHS})(?:\\s+\\d{2,4})?)`;
+// Маркер с заглавной или строчной: "Меня зовут" / "меня зовут"
+const piiMarkers = markers => markers.map(m => `[${m[0].toUpperCase()}${m[0]}]${m.slice(1)}`).join('|');
+
+const PII_IIN = /(?<!\d)\d{6}[\s-]?\d{6}(?!\d)/g;
+const PII_PHONE = /(?<!\d)(?:\+?[78][\s(-]*)?\(?\d{3}\)?[\s-]*\d{3}[\s-]*\d{2}[\s-]*\d{2}(?!\d)/g;
+const PII_DOCUMENT = new RegExp(`(${piiMarkers(['удостоверени', 'паспорт', 'документ', 'куәлі'])})(\\p{L}*[^\\d\\n]{0,20}?)(№?\\s*[A-ZА-Я]?\\d{6,9})(?!\\d)`, 'gu');
+const PII_LONG_NUMBER = /(?<![\d_])\d{9,}(?!\d)/g;
+const PII_BIRTH_CONTEXT = new RegExp(`(${piiMarkers(['дата рождения', 'день рождения', 'родился', 'родилась', 'туған күн', 'туылған', 'туған'])})(\\p{L}*[\\s:,-]*)(${PII_DAY_MONTH})`, 'gu');
+const PII_DATE = new RegExp(`(?<!\\d)\\d{1,2}(?:[./-]\\d{1,2}[./-]|\\s+(?:${PII_MONTHS})\\s+)(\\d{4}|\\d{2})(?!\\d)`, 'gu');
+const PII_BIRTH_YEAR = /(?<!\d)((?:19|20)\d{2})(\s*(?:г\.?\s*р\.?|года рождения|жылы туған))/gu;
+const PII_PATRONYMIC = new RegExp(`(?:${PII_WORD}\\s+){0,2}\\p{Lu}[\\p{Ll}-]+(?:ович|евич|ьич|овна|евна|ична|инична|ұлы|қызы|улы|кызы)(?:\\s+${PII_WORD})?(?![\\p{L}])`, 'gu');
+const PII_NAME_MARKER = new RegExp(`(${piiMarkers(['зовут', 'моё имя', 'мое имя', 'на имя', 'фамилия', 'имя', 'атым', 'есімім', 'аты-жөнім'])}|ФИО)(\\s*[:,—-]?\\s*)(${PII_WORD}(?:\\s+${PII_WORD}){0,2})`, 'gu');
+const PII_NAME_WORDS = new RegExp(`${PII_WORD}(?:\\s+${PII_WORD}){0,2}`, 'gu');
+const PII_NAME_QUESTION = /как (вас|тебя) зовут|ваше имя|ваш[уа] фамили|фио|аты-жөні|атыңыз кім|есіміңіз|кім деп/i;
+// Слова с заглавной в коротком ответе, которые не имя
+const PII_NAME_STOPWORDS = new Set(['да', 'нет', 'алло', 'ало', 'здравствуйте', 'меня', 'зовут', 'я', 'это', 'моё', 'мое', 'имя',
+  'фамилия', 'хорошо', 'ага', 'ну', 'так', 'вот', 'ладно', 'пишите', 'записывайте', 'сейчас', 'минуту', 'иә', 'жоқ', 'сәлеметсіз',
+  'менің', 'атым', 'мен', 'жазыңыз', 'иа']);
+
+/**
+ * Замены одного звонка: плейсхолдер → оригинал; слова найденного имени потом
+ * заменяются тем же плейсхолдером во всех репликах (propagateNames)
+ */
+function createPiiVault() {
+  const values = {};
+  const byValue = new Map();
+  const nameWords = new Map();
+  const counts = {};
+  return {
+    values,
+    counts,
+    nameWords,
+    mask(type, value) {
+      const original = value.trim();
+      const key = `${type}|${original.toLowerCase()}`;
+      if (!byValue.has(key)) {
+        counts[type] = (counts[type] || 0) + 1;
+        const placeholder = `[${PII_LABELS[type]}_${counts[type]}]`;
+        byValue.set(key, placeholder);
+        values[placeholder] = original;
+      }
+      const placeholder = byValue.get(key);
+      if (type === 'name') {
+        // Слово имени закрепляется за первым плейсхолдером, в котором встретилось
+        for (const word of original.split(/\s+/)) {
+          if (word.length < 3 || nameWords.has(word) || PII_NAME_STOPWORDS.has(word.toLowerCase())) continue;
+          nameWords.set(word, placeholder);
+        }
+      }
+      return placeholder;
+    }
+  };
+}
+
+function isBirthYear(yearText) {
+  const now = new Date().getFullYear();
+  let year = Number(yearText);
+  if (yearText.length === 2) year += year > now % 100 ? 1900 : 2000;
+  return year >= 1900 && year <= now - PII_BIRTH_MIN_AGE;
+}
+
+// Имя из короткого ответа без служебных слов в начале ("Да, Айгерим" → "Айгерим")
+function maskNameAnswer(vault, words) {
+  const parts = words.split(/\s+/);
+  const first = parts.findIndex(w => !PII_NAME_STOPWORDS.has(w.toLowerCase()));
+  if (first === -1) return words;
+  return `${parts.slice(0, first).join(' ')}${first ? ' ' : ''}${vault.mask('name', parts.slice(first).join(' '))}`;
+}
+
+/**
+ * Первый проход по тексту; nameAnswer — реплика отвечает на вопрос об имени
+ */
+function redactPii(text, vault, { nameAnswer = false } = {}) {
+  if (!text) return text;
+  let result = String(text)
+    .replace(PII_DOCUMENT, (m, label, gap, number) => `${label}${gap}${vault.mask('document', number)}`)
+    .replace(PII_IIN, m => vault.mask('iin', m))
+    .replace(PII_PHONE, m => vault.mask('phone', m))
+    .replace(PII_LONG_NUMBER, m => vault.mask('document', m))
+    .replace(PII_BIRTH_CONTEXT, (m, label, gap, date) => `${label}${gap}${vault.mask('birth_date', date)}`)
+    .replace(PII_DATE, (m, year) => (isBirthYear(year) ? vault.mask('birth_date', m) : m))
+    .replace(PII_BIRTH_YEAR, (m, year, suffix) => (isBirthYear(year) ? `${vault.mask('birth_date', year)}${suffix}` : m))
+    .replace(PII_PATRONYMIC, m => vault.mask('name', m))
+    .replace(PII_NAME_MARKER, (m, marker, gap, name) => `${marker}${gap}${maskNameAnswer(vault, name)}`);
+  if (nameAnswer && result.split(/\s+/).length <= PII_NAME_ANSWER_WORDS) {
+    result = result.replace(PII_NAME_WORDS, m => maskNameAnswer(vault, m));
+  }
+  return result;
+}
+
+// Второй проход: слова уже найденных имён в других местах звонка
+function propagateNames(text, vault) {
+  if (!text || !vault.nameWords.size) return text;
+  const words = [...vault.nameWords.keys()].sort((a, b) => b.length - a.length)
+    .map(w => w.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&'));
+  return text.replace(new RegExp(`(?<![\\p{L}\\[_])(?:${words.join('|')})(?![\\p{L}\\]])`, 'gu'), m => vault.nameWords.get(m));
+}
+
+/**
+ * Реплики звонка без персональных данных (PII_REDACTION=false — как есть)
+ * @returns {Array<{role, text}>} те же реплики с плейсхолдерами
+ */
+function redactTurns(turns, vault) {
+  if (!PII_REDACTION || !turns?.length) return turns;
+  const masked = turns.map((turn, i) => {
+    const previous = turns[i - 1];
+    const nameAnswer = !!previous && previous.role !== turn.role && PII_NAME_QUESTION.test(previous.text || '');
+    return { ...turn, text: redactPii(turn.text, vault, { nameAnswer }) };
+  });
+  return masked.map(turn => ({ ...turn, text: propagateNames(turn.text, vault) }));
+}
+
+function redactText(text, vault) {
+  if (!PII_REDACTION) return text;
+  return propagateNames(redactPii(text, vault), vault);
+}
+
+// Ключ шифрования call_pii: 32 байта (base64 в PII_ENCRYPTION_KEY)
+function piiKey() {
+  return PII_ENCRYPTION_KEY?.length === 32 ? PII_ENCRYPTION_KEY : null;
+}
+
+// { плейсхолдер: оригинал } → "v1:iv:tag:ciphertext"
+function encryptPii(values) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', piiKey(), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(values), 'utf8'), cipher.final()]);
+  return ['v1', iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+}
+
+function decryptPii(payload) {
+  const [version, iv, tag, data] = String(payload).split(':');
+  if (version !== 'v1') throw new Error(`Неизвестный формат call_pii: ${version}`);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', piiKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return JSON.parse(Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8'));
+}
+
+/**
+ * Оригиналы замен звонка → call_pii (без замен — строка удаляется).
+ * Без ключа оригиналы не сохраняются: текст всё равно уходит в LLM и в БД только с плейсхолдерами.
+ */
+async function saveCallPii(call, vault) {
+  if (!Object.keys(vault.values).length) {
+    await supabase.from('call_pii').delete().eq('call_id', call.id);
+    return;
+  }
+  if (!piiKey()) {
+    logger.warn('⚠️ PII_ENCRYPTION_KEY не задан — оригиналы персональных данных не сохранены', { callId: call.id });
+    return;
+  }
+  const { error } = await supabase.from('call_pii').upsert({
+    call_id: call.id,
+    clinic_id: call.clinic_id,
+    payload: encryptPii(vault.values),
+    entities: vault.counts,
+    updated_at: new Date().toISOString()
+  }, { onConflict: 'call_id' });
+  if (error) throw new Error(`call_pii: ${error.message}`);
+}
+
+// ====================================================================
+//  ГЛАВНАЯ ФУНКЦИЯ ТРАНСКРИБАЦИИ v6
 //
-//  Pipeline: gpt-4o-transcribe (каждый канал) → GPT-4o (перевод ДОСЛОВНЫЙ)
-//  Вывод: formatted = [{ role: 'manager', text: '...' }, { role: 'client', text: '...' }]
-//  Два блока текста с форматированием абзацами (НЕ реплики!)
+//  Стерео: STT (каждый канал, с таймкодами) → реплики по времени → LLM перевод реплик
+//    formatted = [{ role, start, end, text }], raw = те же реплики до перевода
+//  Моно: STT → LLM перевод + разделение по ролям → два блока (v5.2)
+//    formatted = [{ role: 'manager', text }, { role: 'client', text }], raw = [{ role: 'mono', text }]
 // ====================================================================
 
-async function transcribeAudio(audioUrl, callDirection = 'incoming') {
+async function transcribeAudio(audioBuffer, callDirection = 'incoming', clinic = null, { sttProvider, usage = null, durationSeconds = null } = {}) {
   try {
-    logger.info('📥 Downloading audio...', { url: audioUrl, direction: callDirection });
-    const audioResponse = await axios.get(audioUrl, {
-      responseType: 'arraybuffer',
-      timeout: 180000, // Увеличено до 3 минут
-      headers: { 'User-Agent': 'Mozilla/5.0' }
-    });
-    const audioBuffer = Buffer.from(audioResponse.data);
-    logger.info(`📦 Audio downloaded`, { size: audioBuffer.length });
+    const chain = sttProviderChain(sttProvider || clinic?.stt_provider);
+    const sttOptions = { prompt: clinicProfile(clinic).sttPrompt, language: 'kk', usage, durationSeconds };
+    // Персональные данные — плейсхолдерами до перевода: в LLM и в БД оригиналы не попадают
+    const pii = createPiiVault();
+    logger.info(`📦 Audio`, { size: audioBuffer.length, direction: callDirection });
 
     // ========== СТЕРЕО РЕЖИМ (основной) ==========
     if (FFMPEG_AVAILABLE) {
       try {
-        const channels = splitStereoChannels(audioBuffer, callDirection);
+        const channels = await observeStage('channel_split', () => splitStereoChannels(audioBuffer, callDirection));
 
         if (channels) {
-          logger.info('🔀 Стерео режим — gpt-4o-transcribe × 2 каналов');
+          logger.info(`🔀 Стерео режим — STT × 2 каналов`, { chain });
 
-          // Параллельная транскрибация
-          const [managerRaw, clientRaw] = await Promise.all([
-            transcribeChannel(channels.manager, 'администратор'),
-            transcribeChannel(channels.client, 'пациент')
+          // Параллельная транскрибация, с таймкодами высказываний
+          const [managerStt, clientStt] = await Promise.all([
+            transcribeWithFallback({ buffer: channels.manager, format: 'wav' }, chain, { ...sttOptions, timestamps: true, channelName: 'администратор' }),
+            transcribeWithFallback({ buffer: channels.client, format: 'wav' }, chain, { ...sttOptions, timestamps: true, channelName: 'пациент' })
           ]);
+          const provider = [...new Set([managerStt.provider, clientStt.provider])].join('+');
 
-          if (!managerRaw && !clientRaw) {
-            return { plain: '', formatted: [] };
-          }
+          // Два канала → реплики по таймкодам
+          const rawTurns = redactTurns(mergeTurns([
+            ...managerStt.segments.map(seg => ({ ...seg, role: 'manager' })),
+            ...clientStt.segments.map(seg => ({ ...seg, role: 'client' }))
+          ]), pii);
 
           logger.info(`✅ Transcribe done`, {
-            managerLength: managerRaw.length,
-            clientLength: clientRaw.length
+            managerLength: managerStt.text.length,
+            clientLength: clientStt.text.length,
+            turns: rawTurns.length
           });
 
-          // GPT-4o: перевод двух каналов → два блока с форматированием
-          const translated = await repairAndTranslate(managerRaw, clientRaw);
+          if (!rawTurns.length) {
+            return { plain: '', formatted: [], raw: [], provider, pii };
+          }
 
-          const formatted = [];
-          if (translated.manager) formatted.push({ role: 'manager', text: translated.manager });
-          if (translated.client) formatted.push({ role: 'client', text: translated.client });
+          // LLM: перевод каждой реплики, порядок и таймкоды сохраняются
+          const formatted = await observeStage('translate', () => translateTurns(rawTurns, clinic, usage), LLM_PROVIDER);
 
           const plainText = formatted.map(r => r.text).join(' ');
-          logger.info(`✅ Стерео pipeline v5.2 done`, { blocks: formatted.length });
-          return { plain: plainText, formatted };
+          logger.info(`✅ Стерео pipeline v6 done`, { turns: formatted.length, provider });
+          return { plain: plainText, formatted, raw: rawTurns, provider, pii };
         }
       } catch (e) {
+        // Ошибка LLM не лечится моно-режимом — сразу наверх, в retry очереди
+        if (e instanceof LLMError) throw e;
         logger.warn('⚠️ Stereo failed, falling back to mono', { error: e.message });
       }
     }
 
     // ========== МОНО FALLBACK ==========
-    logger.info('📝 Моно режим — Yandex SpeechKit (качество для каз/рус!)');
-
-    // Yandex SpeechKit: binary data в теле, параметры в URL (MP3 не требует sampleRate)
-    const monoUrl = `https://stt.api.cloud.yandex.net/speech/v1/stt:recognize?` +
-      `topic=general&` +
-      `lang=auto&` +
-      `folderId=${YANDEX_FOLDER_ID}`;
-
-    logger.info('🎤 Yandex SpeechKit (mono) → качество каз/рус!');
+    logger.info('📝 Моно режим', { chain });
 
-    // Используем retry логику для надежности
-    const r = await callWithRetry(
-      () => axios.post(monoUrl, audioBuffer, {
-        headers: {
-          'Authorization': `Api-Key ${YANDEX_API_KEY}`,
-          'Content-Type': 'audio/mpeg'
-        },
-        timeout: 300000 // Увеличено до 5 минут
-      }),
-      3,
-      'transcribeAudio[mono]'
+    const { text: sttText, provider } = await transcribeWithFallback(
+      { buffer: audioBuffer, format: 'mp3' }, chain, { ...sttOptions, channelName: 'моно' }
     );
-
-    const rawText = (r.data.result || '').trim();
-    logger.info(`✅ Mono transcribe done`, { textLength: rawText.length });
+    const rawText = redactText(sttText, pii);
+    logger.info(`✅ Mono transcribe done`, { textLength: rawText.length, provider });
 
     if (rawText.length < 15) {
-      return { plain: rawText, formatted: [{ role: 'manager', text: rawText }] };
+      return { plain: rawText, formatted: [{ role: 'manager', text: rawText }], raw: [{ role: 'mono', text: rawText }], provider, pii };
     }
 
-    // GPT-4o: перевод + разделение по ролям → два блока с форматированием
-    const translated = await repairAndTranslateMono(rawText);
+    // LLM: перевод + разделение по ролям → два блока с форматированием
+    const translated = await observeStage('translate', () => repairAndTranslateMono(rawText, clinic, usage), LLM_PROVIDER);
 
     const formatted = [];
     if (translated.manager) formatted.push({ role: 'manager', text: translated.manager });
     if (translated.client) formatted.push({ role: 'client', text: translated.client });
 
     const finalPlain = formatted.map(r => r.text).join(' ');
-    logger.info(`✅ Mono pipeline v5.2 done`, { blocks: formatted.length });
-    return { plain: finalPlain, formatted };
+    logger.info(`✅ Mono pipeline v5.2 done`, { blocks: formatted.length, provider });
+    return { plain: finalPlain, formatted, raw: [{ role: 'mono', text: rawText }], provider, pii };
 
   } catch (error) {
     logger.error('❌ Transcription error', {
       error: error.message,
-      stack: error.stack,
-      audioUrl
+      stack: error.stack
     });
+    if (error instanceof LLMError) throw error;
     throw new Error(`Ошибка транскрибации: ${error.message}`);
   }
 }
 
-// ==================== ИИ АНАЛИЗ ====================
-// Оценка привязана к РЕАЛЬНОМУ скрипту продаж MIRAMED
-
-async function analyzeCall(transcript, formatted) {
-  const dialogText = formatted?.length
-    ? formatted.map(r => `${r.role === 'manager' ? 'АДМИНИСТРАТОР' : 'ПАЦИЕНТ'}: ${r.text}`).join('\n')
-    : transcript;
-
-  // System prompt — Виртуальный РОП с фокусом на конверсию
-  const systemPrompt = `Ты — Виртуальный РОП клиники Miramed (Актобе, Казахстан). Оффер: консультация+УЗИ 2 суставов+повтор=9900₸ (обычно 25000₸).
-
-ЦЕЛЬ: Конверсия. Жестко штрафуй "справочное бюро", поощряй дожим.
+// ====================================================================
+//  РУБРИКИ ОЦЕНКИ
+//
+//  Скрипт продаж хранится в таблице rubrics, а не в коде:
+//  блоки (любое количество) + веса + критерии, auto-fail правила, few-shot.
+//  Правка рубрики = новая версия (code + version), старые версии неизменны —
+//  call_scores.rubric_id/rubric_version показывают, чем оценён звонок.
+//
+//  DEFAULT_RUBRIC — исходный скрипт Miramed, сидируется при первом старте.
+// ====================================================================
 
-🔴 КРИТИЧЕСКИЕ ОШИБКИ (AUTO-FAIL = total_score: 0):
-1. Запись пациента со СВЕЖЕЙ ТРАВМОЙ (перелом/отек вчера/сегодня) → должен отказать и направить в травмпункт
-2. Грубость/конфликт (повышение голоса, сарказм, перебивание)
-3. СЛИВ ИНИЦИАТИВЫ: Клиент спросил цену → Менеджер ответил цифру → Пауза → Клиент "спасибо" → Менеджер попрощался (это ЗАПРЕЩЕНО!)
+const DEFAULT_RUBRIC = {
+  code: 'miramed-sales',
+  name: 'Скрипт продаж Miramed',
+  definition: {
+    persona: 'Виртуальный РОП клиники Miramed (Актобе, Казахстан)',
+    offer: 'консультация+УЗИ 2 суставов+повтор=9900₸ (обычно 25000₸)',
+    goal: 'Конверсия. Жестко штрафуй "справочное бюро", поощряй дожим.',
+    blocks: [
+      {
+        key: 'block1',
+        name: 'Программирование и боль',
+        weight: 20,
+        criteria: [
+          'Перехват: "Чтобы подобрать врача, позвольте уточню пару моментов?"',
+          'Квалификация: Что болит? Характер боли? Как мешает жизни?'
+        ],
+        explanation_hint: 'что сделал/не сделал, цитаты'
+      },
+      {
+        key: 'block2',
+        name: 'Презентация ценности',
+        weight: 30,
+        criteria: [
+          'Вилка цен: "Обычно 25000, сейчас по акции 9900"',
+          'Наполнение: УЗИ ДВУХ суставов (сравнение больного и здорового)',
+          'Бонус: Повторный прием бесплатный/включен',
+          'Экспертность: Безоперационные методы, честный прогноз'
+        ],
+        explanation_hint: 'вилка цен? УЗИ 2? бонус? цитаты'
+      },
+      {
+        key: 'block3',
+        name: 'Дожим и запись',
+        weight: 40,
+        key_stage: true,
+        criteria: [
+          'Выбор без выбора: "Среда утром или четверг вечером?" (НЕ "хотите записаться?")',
+          'Обработка "подумаю": Бронь, аргумент дефицита/боли',
+          'Обработка "дорого": Сравнение с МРТ/частными кабинетами'
+        ],
+        explanation_hint: 'выбор без выбора? обработка возражений? цитаты'
+      },
+      {
+        key: 'block4',
+        name: 'Организация',
+        weight: 10,
+        criteria: [
+          'ФИО + дата рождения',
+          'Локация/карта WhatsApp',
+          'Напоминание про удостоверение'
+        ],
+        explanation_hint: 'ФИО? локация? удостоверение?'
+      }
+    ],
+    auto_fail: [
+      { key: 'свежая_травма', description: 'Запись пациента со СВЕЖЕЙ ТРАВМОЙ (перелом/отек вчера/сегодня) → должен отказать и направить в травмпункт' },
+      { key: 'грубость', description: 'Грубость/конфликт (повышение голоса, сарказм, перебивание)' },
+      { key: 'слив_инициативы', description: 'СЛИВ ИНИЦИАТИВЫ: Клиент спросил цену → Менеджер ответил цифру → Пауза → Клиент "спасибо" → Менеджер попрощался (это ЗАПРЕЩЕНО!)' }
+    ],
+    few_shot: [
+      { good: false, label: 'ПЛОХО (0%)', text: 'Клиент: "Сколько?" Менеджер: "9900" Клиент: "Подумаю" Менеджер: "Хорошо, звоните"' },
+      { good: true, label: 'ХОРОШО (100%)', text: 'Клиент: "Дорого 9900" Менеджер: "Если делать УЗИ+врач отдельно, выйдет 20-25т. Здесь за 9900 полный комплекс. Четверг удобно?"' }
+    ],
+    call_types: ['ПЕРВИЧНЫЙ', 'ПОВТОРНЫЙ', 'СЕРВИСНЫЙ', 'КОРОТКИЙ'],
+    success_rule: 'is_successful=true ТОЛЬКО если клиент ЗАПИСАЛСЯ на дату',
+    instructions: 'В explanation цитируй фразы, будь жестким к пассивности.'
+  }
+};
 
-АЛГОРИТМ ПРОДАЖИ (0-100):
+/**
+ * Проверяет структуру рубрики, возвращает список ошибок (пустой = ок)
+ */
+function validateRubricDefinition(def) {
+  const errors = [];
+  if (!def || typeof def !== 'object') return ['definition должен быть объектом'];
 
-ЭТАП 1 - ПРОГРАММИРОВАНИЕ И БОЛЬ (20%):
-- Перехват: "Чтобы подобрать врача, позвольте уточню пару моментов?"
-- Квалификация: Что болит? Характер боли? Как мешает жизни?
+  if (!Array.isArray(def.blocks) || !def.blocks.length) {
+    errors.push('blocks: нужен хотя бы один блок');
+  } else {
+    const keys = new Set();
+    let weightSum = 0;
+    def.blocks.forEach((b, i) => {
+      if (!b.key || !/^[a-z0-9_]+$/.test(b.key)) errors.push(`blocks[${i}].key: латиница/цифры/_`);
+      if (keys.has(b.key)) errors.push(`blocks[${i}].key: дубликат "${b.key}"`);
+      keys.add(b.key);
+      if (!b.name) errors.push(`blocks[${i}].name обязателен`);
+      if (typeof b.weight !== 'number' || b.weight < 0) errors.push(`blocks[${i}].weight: число >= 0`);
+      if (b.criteria !== undefined && !Array.isArray(b.criteria)) errors.push(`blocks[${i}].criteria: массив строк`);
+      weightSum += b.weight || 0;
+    });
+    if (Math.round(weightSum) !== 100) errors.push(`Сумма весов блоков = ${weightSum}, должна быть 100`);
+  }
 
-ЭТАП 2 - ПРЕЗЕНТАЦИЯ ЦЕННОСТИ (30%):
-- Вилка цен: "Обычно 25000, сейчас по акции 9900"
-- Наполнение: УЗИ ДВУХ суставов (сравнение больного и здорового)
-- Бонус: Повторный прием бесплатный/включен
-- Экспертность: Безоперационные методы, честный прогноз
+  if (def.auto_fail !== undefined) {
+    if (!Array.isArray(def.auto_fail)) errors.push('auto_fail: массив');
+    else def.auto_fail.forEach((r, i) => {
+      if (!r.key || !r.description) errors.push(`auto_fail[${i}]: нужны key и description`);
+    });
+  }
+  if (def.few_shot !== undefined && !Array.isArray(def.few_shot)) errors.push('few_shot: массив');
+  if (def.call_types !== undefined && !Array.isArray(def.call_types)) errors.push('call_types: массив');
 
-ЭТАП 3 - ДОЖИМ И ЗАПИСЬ (40%) — КЛЮЧЕВОЙ:
-- Выбор без выбора: "Среда утром или четверг вечером?" (НЕ "хотите записаться?")
-- Обработка "подумаю": Бронь, аргумент дефицита/боли
-- Обработка "дорого": Сравнение с МРТ/частными кабинетами
+  return errors;
+}
 
-ЭТАП 4 - ОРГАНИЗАЦИЯ (10%):
-- ФИО + дата рождения
-- Локация/карта WhatsApp
-- Напоминание про удостоверение
+/**
+ * Активная рубрика клиники → общая активная рубрика сети → DEFAULT_RUBRIC (без id)
+ */
+async function getActiveRubric(clinicId = null) {
+  const { data } = await supabase.from('rubrics')
+    .select('*').eq('is_active', true).order('version', { ascending: false });
+  const own = clinicId ? (data || []).find(r => r.clinic_id === clinicId) : null;
+  const shared = (data || []).find(r => !r.clinic_id);
+  return own || shared || { id: null, version: 0, clinic_id: null, ...DEFAULT_RUBRIC };
+}
 
-FEW-SHOT:
-❌ ПЛОХО (0%): Клиент: "Сколько?" Менеджер: "9900" Клиент: "Подумаю" Менеджер: "Хорошо, звоните"
-✅ ХОРОШО (100%): Клиент: "Дорого 9900" Менеджер: "Если делать УЗИ+врач отдельно, выйдет 20-25т. Здесь за 9900 полный комплекс. Четверг удобно?"
+/**
+ * Сидирует DEFAULT_RUBRIC как версию 1, если рубрик в БД ещё нет
+ */
+async function ensureDefaultRubric() {
+  const { data: existing, error } = await supabase.from('rubrics').select('id').limit(1);
+  if (error || existing?.length) return;
+  const { error: insertError } = await supabase.from('rubrics').insert({
+    code: DEFAULT_RUBRIC.code,
+    name: DEFAULT_RUBRIC.name,
+    version: 1,
+    definition: DEFAULT_RUBRIC.definition,
+    is_active: true
+  });
+  if (insertError) logger.error('Seed rubric error', { error: insertError.message });
+  else logger.info('📐 Рубрика по умолчанию создана', { code: DEFAULT_RUBRIC.code });
+}
 
-ТИПЫ: ПЕРВИЧНЫЙ|ПОВТОРНЫЙ|СЕРВИСНЫЙ|КОРОТКИЙ
-is_successful=true ТОЛЬКО если клиент ЗАПИСАЛСЯ на дату
+/**
+ * Собирает промпты анализа из рубрики
+ * @returns {{ systemPrompt: string, buildUserPrompt: Function }}
+ */
+function buildAnalysisPrompts(rubric, { subject = 'звонок' } = {}) {
+  const def = rubric.definition;
+  const autoFail = def.auto_fail || [];
+  const callTypes = def.call_types?.length ? def.call_types : DEFAULT_RUBRIC.definition.call_types;
+
+  const systemParts = [
+    `Ты — ${def.persona || 'Виртуальный РОП клиники'}.${def.offer ? ` Оффер: ${def.offer}.` : ''}`
+  ];
+  if (def.goal) systemParts.push(`ЦЕЛЬ: ${def.goal}`);
+  if (autoFail.length) {
+    systemParts.push(`🔴 КРИТИЧЕСКИЕ ОШИБКИ (AUTO-FAIL = total_score: 0):\n` +
+      autoFail.map((r, i) => `${i + 1}. ${r.description}`).join('\n'));
+  }
+  systemParts.push(`АЛГОРИТМ ПРОДАЖИ (0-100):\n\n` + def.blocks.map((b, i) =>
+    `ЭТАП ${i + 1} - ${b.name.toUpperCase()} (${b.weight}%)${b.key_stage ? ' — КЛЮЧЕВОЙ' : ''}:\n` +
+    (b.criteria || []).map(c => `- ${c}`).join('\n')
+  ).join('\n\n'));
+  if (def.few_shot?.length) {
+    systemParts.push(`FEW-SHOT:\n` +
+      def.few_shot.map(f => `${f.good ? '✅' : '❌'} ${f.label ? `${f.label}: ` : ''}${f.text}`).join('\n'));
+  }
+  systemParts.push(`ТИПЫ: ${callTypes.join('|')}` + (def.success_rule ? `\n${def.success_rule}` : ''));
+  if (def.instructions) systemParts.push(def.instructions);
+  if (PII_REDACTION) systemParts.push(PII_ANALYSIS_NOTE);
 
-В explanation цитируй фразы, будь жестким к пассивности.`;
+  const blocksTemplate = def.blocks.map((b, i) =>
+    `    {"key": "${b.key}", "score": число, "explanation": "ЭТАП ${i + 1} (${b.weight}%): ${b.explanation_hint || 'что сделал/не сделал, цитаты'}"}`
+  ).join(',\n');
 
-  const userPrompt = `Оцени звонок:
+  const buildUserPrompt = (dialogText, context = null) => `${context ? `${context}\n\n` : ''}Оцени ${subject}:
 
 ${dialogText}
 
 JSON (СТРОГО):
 {
-  "call_type": "ПЕРВИЧНЫЙ|ПОВТОРНЫЙ|СЕРВИСНЫЙ|КОРОТКИЙ",
+  "call_type": "${callTypes.join('|')}",
   "has_critical_error": false,
-  "critical_error_type": "нет|свежая_травма|грубость|слив_инициативы",
-  "block1_score": число, "block1_explanation": "ЭТАП 1 (20%): что сделал/не сделал, цитаты",
-  "block2_score": число, "block2_explanation": "ЭТАП 2 (30%): вилка цен? УЗИ 2? бонус? цитаты",
-  "block3_score": число, "block3_explanation": "ЭТАП 3 (40%): выбор без выбора? обработка возражений? цитаты",
-  "block4_score": число, "block4_explanation": "ЭТАП 4 (10%): ФИО? локация? удостоверение?",
-  "block5_score": 0, "block5_explanation": "не используется",
-  "block6_score": 0, "block6_explanation": "не используется",
-  "total_score": число,
+  "critical_error_type": "${['нет', ...autoFail.map(r => r.key)].join('|')}",
+  "blocks": [
+${blocksTemplate}
+  ],
   "client_info": {
     "facts": ["имя, возраст если есть"],
     "needs": ["что нужно"],
@@ -941,121 +3319,432 @@ JSON (СТРОГО):
   "is_successful": true/false
 }
 
-ЕСЛИ КРИТИЧЕСКАЯ ОШИБКА → has_critical_error=true, total_score=0, все блоки=0`;
+Каждый score — от 0 до 100 за свой этап.
+ЕСЛИ КРИТИЧЕСКАЯ ОШИБКА → has_critical_error=true, все блоки=0`;
 
-  logger.info('🤖 GPT-4o: analyzing with full script reference...');
+  return { systemPrompt: systemParts.join('\n\n'), buildUserPrompt };
+}
 
-  // Используем retry логику для надежности
-  const response = await callWithRetry(
-    () => axios.post(GOOGLE_PROXY_URL, {
-      type: 'chat',
-      apiKey: OPENAI_API_KEY,
-      model: 'gpt-4o',
-      max_tokens: 3000,
-      temperature: 0,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
-      ]
-    }, { timeout: 180000 }), // Увеличено до 3 минут
-    3,
-    'analyzeCall'
-  );
+/**
+ * JSON-схема ответа анализа для рубрики: все блоки рубрики по key, score 0-100
+ */
+function buildAnalysisSchema(rubric) {
+  const def = rubric.definition;
+  const keys = def.blocks.map(b => b.key);
+  const stringList = { type: 'array', items: { type: 'string' } };
+  return {
+    type: 'object',
+    required: ['call_type', 'has_critical_error', 'blocks', 'ai_summary', 'is_successful'],
+    properties: {
+      call_type: { type: 'string' },
+      has_critical_error: { type: 'boolean' },
+      critical_error_type: { type: ['string', 'null'] },
+      blocks: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['key', 'score'],
+          properties: {
+            key: { enum: keys },
+            score: { type: 'number', minimum: 0, maximum: 100 },
+            explanation: { type: 'string' }
+          }
+        },
+        allOf: keys.map(key => ({ contains: { type: 'object', properties: { key: { const: key } } } }))
+      },
+      client_info: {
+        type: 'object',
+        properties: { facts: stringList, needs: stringList, pains: stringList, objections: stringList }
+      },
+      ai_summary: { type: 'string' },
+      is_successful: { type: 'boolean' }
+    }
+  };
+}
 
-  // Проверяем валидность ответа
-  if (!response?.data?.choices?.length) {
-    logger.error('❌ GPT-4o returned invalid response', {
-      responseData: response?.data,
-      hasChoices: !!response?.data?.choices,
-      choicesLength: response?.data?.choices?.length
-    });
-    throw new Error('Invalid GPT-4o response: no choices array');
+// Итог по блокам: взвешенный по рубрике; у старых оценок (без весов) — среднее
+function blocksTotal(blocks) {
+  if (!blocks.length) return 0;
+  if (blocks.every(b => typeof b.weight === 'number')) {
+    return Math.round(blocks.reduce((sum, b) => sum + b.score * b.weight, 0) / 100);
   }
+  return Math.round(blocks.reduce((sum, b) => sum + (Number(b.score) || 0), 0) / blocks.length);
+}
 
-  const content = response.data.choices[0].message?.content;
-  if (!content) {
-    logger.error('❌ GPT-4o message has no content', {
-      choice: response.data.choices[0]
-    });
-    throw new Error('Invalid GPT-4o response: no message content');
-  }
+/**
+ * Приводит ответ модели к оценке по рубрике
+ *
+ * total_score считается на бэкенде по весам рубрики (модель часто ошибается в арифметике);
+ * auto-fail обнуляет итог.
+ */
+function scoreAnalysis(analysis, rubric) {
+  const byKey = Object.fromEntries((analysis.blocks || []).map(b => [b.key, b]));
+  const clamp = v => Math.max(0, Math.min(100, Math.round(Number(v) || 0)));
+
+  const blockScores = rubric.definition.blocks.map(b => ({
+    key: b.key,
+    name: b.name,
+    weight: b.weight,
+    score: clamp(byKey[b.key]?.score),
+    explanation: byKey[b.key]?.explanation || ''
+  }));
+
+  const hasCriticalError = !!analysis.has_critical_error;
+  const totalScore = hasCriticalError ? 0 : blocksTotal(blockScores);
+
+  return {
+    blockScores,
+    totalScore,
+    hasCriticalError,
+    criticalErrorType: hasCriticalError ? (analysis.critical_error_type || null) : null
+  };
+}
 
-  const match = content.match(/\{[\s\S]*\}/);
-  if (!match) {
-    logger.error('❌ No JSON found in GPT-4o response', {
-      contentPreview: content.substring(0, 500)
-    });
-    throw new Error('No JSON in analysis response');
-  }
+// ==================== ИИ АНАЛИЗ ====================
+// Оценка по активной рубрике (скрипт продаж из таблицы rubrics)
+
+// Реплики v6 — с таймкодами и в порядке разговора; два блока v5.2 — как есть.
+// patientContext — прошлые обращения пациента (buildPatientContext); usage — createUsageMeter()
+async function analyzeCall(transcript, formatted, rubric, patientContext = null, usage = null) {
+  const dialogText = formatted?.length
+    ? formatted.map(r =>
+      `${typeof r.start === 'number' ? `[${formatTimestamp(r.start)}] ` : ''}${r.role === 'manager' ? 'АДМИНИСТРАТОР' : 'ПАЦИЕНТ'}: ${r.text}`
+    ).join('\n')
+    : transcript;
+
+  const { systemPrompt, buildUserPrompt } = buildAnalysisPrompts(rubric);
+  const userPrompt = buildUserPrompt(dialogText, patientContext);
+
+  logger.info('🤖 LLM: analyzing with rubric...', { rubric: rubric.code, version: rubric.version, withHistory: !!patientContext });
 
-  return JSON.parse(match[0]);
+  return llmJson({
+    stage: 'analyze',
+    usage,
+    schema: buildAnalysisSchema(rubric),
+    maxTokens: 3000,
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ]
+  });
 }
 
 // ==================== ANALYZE BY ID ====================
 
-async function analyzeCallById(callId) {
-  // Защита от параллельной обработки одного звонка
-  if (processingCalls.has(callId)) {
-    logger.warn(`⚠️ Call ${callId} уже обрабатывается, пропускаем дубликат`);
-    throw new Error(`Call ${callId} is already being processed`);
-  }
+/**
+ * Полный pipeline одного звонка: транскрибация → анализ → call_scores
+ *
+ * Вызывается только воркером очереди (защита от дубликатов — в analysis_jobs).
+ *
+ * @param {number} callId - ID звонка
+ * @param {Object} options
+ * @param {Function} options.onStage - колбэк смены этапа ('transcribing' | 'analyzing')
+ */
+async function analyzeCallById(callId, { onStage = async () => {}, sttProvider } = {}) {
+  const { data: call } = await supabase.from('calls').select('*').eq('id', callId).single();
+  if (!call?.audio_path && !call?.audio_url) throw new Error('No audio');
+
+  logger.info(`🎤 Processing call ${callId}`, {
+    callId,
+    audioPath: call.audio_path,
+    duration: call.duration,
+    direction: call.call_direction || 'incoming'
+  });
 
-  // Добавляем в список обрабатываемых
-  processingCalls.add(callId);
+  const clinic = await getClinic(call.clinic_id);
 
+  // Расходы STT и LLM пишутся и при ошибке: провайдеры уже посчитали запросы
+  const usage = createUsageMeter();
   try {
-    const { data: call } = await supabase.from('calls').select('*').eq('id', callId).single();
-    if (!call?.audio_url) throw new Error('No audio');
-
-    logger.info(`🎤 Processing call ${callId}`, {
-      callId,
-      audioUrl: call.audio_url,
-      duration: call.duration,
-      direction: call.call_direction || 'incoming'
+    await onStage('transcribing');
+    const audioBuffer = await observeStage('download', () => loadRecording(call));
+    const { plain, formatted, raw, provider, pii } = await transcribeAudio(audioBuffer, call.call_direction, clinic, {
+      sttProvider, usage, durationSeconds: call.duration
     });
-
-    const { plain, formatted } = await transcribeAudio(call.audio_url, call.call_direction);
-    await supabase.from('calls').update({ transcript: plain, transcript_formatted: formatted }).eq('id', callId);
-
-    const analysis = await analyzeCall(plain, formatted);
+    await supabase.from('calls').update({
+      transcript: plain, transcript_formatted: formatted, transcript_raw: raw, stt_provider: provider,
+      pii_redacted_at: PII_REDACTION ? new Date().toISOString() : null
+    }).eq('id', callId);
+    await saveCallPii(call, pii);
+
+    await onStage('analyzing');
+    const rubric = await getActiveRubric(call.clinic_id);
+    const patientContext = await buildPatientContext(call);
+    const analysis = await observeStage('analyze', () => analyzeCall(plain, formatted, rubric, patientContext, usage), LLM_PROVIDER);
+    const scored = scoreAnalysis(analysis, rubric);
+
+    // Первые 6 блоков дублируются в block1..block6 для старых отчётов
+    const legacyBlocks = {};
+    const legacyExplanations = {};
+    for (let i = 0; i < 6; i++) {
+      const block = scored.blockScores[i];
+      legacyBlocks[`block${i + 1}_score`] = block ? block.score : 0;
+      legacyExplanations[`block${i + 1}`] = block ? block.explanation : 'не используется';
+    }
 
     await supabase.from('call_scores').upsert({
-      call_id: callId, call_type: analysis.call_type,
-      total_score: Math.round(analysis.total_score),
-      block1_score: Math.round(analysis.block1_score), block2_score: Math.round(analysis.block2_score),
-      block3_score: Math.round(analysis.block3_score), block4_score: Math.round(analysis.block4_score),
-      block5_score: Math.round(analysis.block5_score), block6_score: Math.round(analysis.block6_score),
-      score_explanations: {
-        block1: analysis.block1_explanation, block2: analysis.block2_explanation,
-        block3: analysis.block3_explanation, block4: analysis.block4_explanation,
-        block5: analysis.block5_explanation, block6: analysis.block6_explanation
-      },
-      client_info: analysis.client_info, ai_summary: analysis.ai_summary, is_successful: analysis.is_successful
+      call_id: callId, clinic_id: call.clinic_id, call_type: analysis.call_type,
+      total_score: scored.totalScore,
+      ...legacyBlocks,
+      score_explanations: legacyExplanations,
+      block_scores: scored.blockScores,
+      has_critical_error: scored.hasCriticalError,
+      critical_error_type: scored.criticalErrorType,
+      rubric_id: rubric.id, rubric_version: rubric.version,
+      client_info: analysis.client_info, ai_summary: analysis.ai_summary, is_successful: analysis.is_successful,
+      // Новая оценка ИИ заменяет и ручные правки прошлой
+      ai_original: null, reviewed_at: null, reviewed_by: null
     }, { onConflict: 'call_id' });
 
     logger.info(`✅ Call ${callId} analyzed`, {
       callId,
-      totalScore: analysis.total_score,
+      totalScore: scored.totalScore,
       isSuccessful: analysis.is_successful,
-      callType: analysis.call_type
+      callType: analysis.call_type,
+      rubric: `${rubric.code}@${rubric.version}`
+    });
+
+    // Потерянный лид → очередь перезвонов; запись пациента закрывает его прошлые перезвоны
+    await syncFollowUps(call, analysis, scored).catch(err => {
+      logger.error('Follow-up sync failed', { callId, error: err.message });
+    });
+
+    // Менеджеры работают в Битрикс24 — оценка уходит в таймлайн CRM (ошибки не валят анализ)
+    await writeBackToBitrix(callId).catch(err => {
+      logger.error('Bitrix writeback failed', { callId, error: err.message });
     });
 
     return { transcript: plain, formatted, analysis };
   } finally {
-    // Обязательно удаляем из списка после завершения (успех или ошибка)
-    processingCalls.delete(callId);
+    await saveUsage(usage, { clinicId: call.clinic_id, callId, managerId: call.manager_id }).catch(err => {
+      logger.error('Usage save failed', { callId, error: err.message });
+    });
+  }
+}
+
+// ====================================================================
+//  ОЧЕРЕДЬ АНАЛИЗА
+//
+//  Вместо fire-and-forget analyzeCallById: каждый звонок → строка в analysis_jobs.
+//  queued → transcribing → analyzing → done
+//                 ↓ ошибка
+//  queued (next_run_at = backoff) ... → failed (после ANALYSIS_MAX_ATTEMPTS)
+//
+//  Воркеры опрашивают таблицу, поэтому рестарт не теряет звонки:
+//  прерванные задачи при старте возвращаются в queued.
+// ====================================================================
+
+const ACTIVE_JOB_STATUSES = ['queued', 'transcribing', 'analyzing'];
+const JOB_POLL_INTERVAL_MS = 5000;
+const JOB_STALE_MS = 30 * 60 * 1000; // задача без движения 30 минут считается брошенной
+
+let activeJobWorkers = 0;
+let jobQueueTicking = false;
+
+// Backoff между попытками: 1m, 2m, 4m, 8m... максимум 1 час
+function jobRetryDelayMs(attempt) {
+  return Math.min(Math.pow(2, attempt - 1) * 60 * 1000, 60 * 60 * 1000);
+}
+
+/**
+ * Ставит звонок в очередь анализа (идемпотентно)
+ *
+ * Если у звонка уже есть активная задача — возвращает её, новую не создаёт.
+ *
+ * @param {number} callId - ID звонка
+ * @param {Object} options
+ * @param {string} options.source - 'auto' | 'manual' | 'reanalyze'
+ * @param {string} [options.sttProvider] - STT провайдер только для этого звонка
+ */
+async function enqueueAnalysis(callId, { source = 'auto', sttProvider = null } = {}) {
+  const { data: existing } = await supabase.from('analysis_jobs')
+    .select('*').eq('call_id', callId).in('status', ACTIVE_JOB_STATUSES).maybeSingle();
+  if (existing) return existing;
+
+  const { data: job, error } = await supabase.from('analysis_jobs').insert({
+    call_id: callId,
+    source,
+    stt_provider: sttProvider,
+    status: 'queued',
+    max_attempts: ANALYSIS_MAX_ATTEMPTS,
+    next_run_at: new Date().toISOString()
+  }).select().single();
+
+  if (error) {
+    // Гонка: параллельный запрос уже создал активную задачу (unique index)
+    if (error.code === '23505') {
+      const { data: raced } = await supabase.from('analysis_jobs')
+        .select('*').eq('call_id', callId).in('status', ACTIVE_JOB_STATUSES).maybeSingle();
+      if (raced) return raced;
+    }
+    throw new Error(`Не удалось поставить звонок ${callId} в очередь: ${error.message}`);
+  }
+
+  logger.info(`📥 Call ${callId} поставлен в очередь`, { callId, jobId: job.id, source });
+  setImmediate(() => processJobQueue());
+  return job;
+}
+
+async function updateJob(jobId, fields) {
+  await supabase.from('analysis_jobs')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', jobId);
+}
+
+/**
+ * Забирает следующую готовую задачу (оптимистичная блокировка по status + attempts)
+ */
+async function claimNextJob() {
+  const nowIso = new Date().toISOString();
+  const { data: candidates } = await supabase.from('analysis_jobs')
+    .select('id, attempts')
+    .eq('status', 'queued')
+    .lte('next_run_at', nowIso)
+    .order('next_run_at', { ascending: true })
+    .limit(ANALYSIS_CONCURRENCY);
+
+  for (const candidate of candidates || []) {
+    const { data: claimed } = await supabase.from('analysis_jobs')
+      .update({
+        status: 'transcribing',
+        attempts: candidate.attempts + 1,
+        locked_at: nowIso,
+        updated_at: nowIso
+      })
+      .eq('id', candidate.id)
+      .eq('status', 'queued')
+      .eq('attempts', candidate.attempts)
+      .select();
+    if (claimed?.length) return claimed[0];
+  }
+  return null;
+}
+
+async function runJob(job) {
+  logger.info(`⚙️ Job ${job.id}: call ${job.call_id}, попытка ${job.attempts}/${job.max_attempts}`);
+  try {
+    await analyzeCallById(job.call_id, {
+      sttProvider: job.stt_provider,
+      onStage: status => updateJob(job.id, { status, locked_at: new Date().toISOString() })
+    });
+    await updateJob(job.id, { status: 'done', locked_at: null, last_error: null, finished_at: new Date().toISOString() });
+    analysisJobsFinishedTotal.inc({ status: 'done' });
+  } catch (error) {
+    const isLastAttempt = job.attempts >= job.max_attempts;
+    analysisJobsFinishedTotal.inc({ status: isLastAttempt ? 'failed' : 'retry' });
+    logger.error(`❌ Job ${job.id} failed`, {
+      callId: job.call_id,
+      attempt: job.attempts,
+      final: isLastAttempt,
+      error: error.message
+    });
+    if (isLastAttempt) {
+      await updateJob(job.id, { status: 'failed', locked_at: null, last_error: error.message, finished_at: new Date().toISOString() });
+    } else {
+      await updateJob(job.id, {
+        status: 'queued',
+        locked_at: null,
+        last_error: error.message,
+        next_run_at: new Date(Date.now() + jobRetryDelayMs(job.attempts)).toISOString()
+      });
+    }
+  }
+}
+
+/**
+ * Запускает воркеры, пока есть свободные слоты и готовые задачи
+ */
+async function processJobQueue() {
+  if (jobQueueTicking) return;
+  jobQueueTicking = true;
+  try {
+    while (activeJobWorkers < ANALYSIS_CONCURRENCY) {
+      const job = await claimNextJob();
+      if (!job) break;
+      activeJobWorkers++;
+      runJob(job).finally(() => {
+        activeJobWorkers--;
+        setImmediate(() => processJobQueue());
+      });
+    }
+  } catch (e) {
+    logger.error('Job queue error', { error: e.message });
+  } finally {
+    jobQueueTicking = false;
+  }
+}
+
+/**
+ * Возвращает в очередь задачи, прерванные рестартом или зависшие
+ *
+ * @param {boolean} all - true при старте: все незавершённые задачи принадлежали прошлому процессу
+ */
+async function recoverStaleJobs(all = false) {
+  let query = supabase.from('analysis_jobs')
+    .update({ status: 'queued', locked_at: null, next_run_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .in('status', ['transcribing', 'analyzing']);
+  if (!all) query = query.lt('locked_at', new Date(Date.now() - JOB_STALE_MS).toISOString());
+
+  const { data, error } = await query.select('id');
+  if (error) {
+    logger.error('Recover jobs error', { error: error.message });
+  } else if (data?.length) {
+    logger.warn(`♻️ Возвращено в очередь прерванных задач: ${data.length}`);
+  }
+}
+
+/**
+ * Ставит в очередь звонки с записью, у которых нет ни оценки, ни задачи
+ * (звонки, потерянные до появления очереди, из-за сбоев или паузы по бюджету)
+ *
+ * @param {number|null} clinicId - только эта клиника (выход из паузы по бюджету)
+ */
+async function enqueueUnscoredCalls(days = 7, clinicId = null) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  let query = supabase.from('calls')
+    .select('id, clinic_id').not('audio_url', 'is', null).gte('call_date', since);
+  if (clinicId) query = query.eq('clinic_id', clinicId);
+  const { data: calls } = await query;
+  if (!calls?.length) return;
+
+  const ids = calls.map(c => c.id);
+  const [{ data: scores }, { data: jobs }] = await Promise.all([
+    supabase.from('call_scores').select('call_id').in('call_id', ids),
+    supabase.from('analysis_jobs').select('call_id').in('call_id', ids)
+  ]);
+  const covered = new Set([...(scores || []), ...(jobs || [])].map(r => r.call_id));
+
+  const allowed = new Map();
+  let enqueued = 0;
+  for (const call of calls) {
+    if (covered.has(call.id)) continue;
+    if (!allowed.has(call.clinic_id)) allowed.set(call.clinic_id, await autoAnalysisAllowed(await getClinic(call.clinic_id)));
+    if (!allowed.get(call.clinic_id)) continue;
+    await enqueueAnalysis(call.id);
+    enqueued++;
   }
+  if (enqueued) logger.info(`📥 Поставлено в очередь звонков без оценки: ${enqueued}`);
 }
 
 // ==================== API ROUTES ====================
 
-app.post('/api/analyze/:callId', async (req, res) => {
+// Звонок в пределах выбранной клиники; null — нет такого или чужая клиника
+async function findScopedCall(req, callId) {
+  const { data: call } = await supabase.from('calls').select('id, clinic_id, manager_id').eq('id', callId).maybeSingle();
+  if (!call || (req.clinicId && call.clinic_id !== req.clinicId)) return null;
+  return call;
+}
+
+app.post('/api/analyze/:callId', requireRole('admin', 'head'), async (req, res) => {
   try {
-    logger.info(`Starting analysis`, { callId: req.params.callId });
-    const result = await analyzeCallById(req.params.callId);
-    res.json({ success: true, analysis: result.analysis });
+    if (!await findScopedCall(req, req.params.callId)) return res.status(404).json({ error: 'Звонок не найден' });
+    const sttError = validateSttProvider(req.body?.stt_provider);
+    if (sttError) return res.status(400).json({ error: sttError });
+    logger.info(`Enqueue analysis`, { callId: req.params.callId, sttProvider: req.body?.stt_provider });
+    const job = await enqueueAnalysis(req.params.callId, { source: 'manual', sttProvider: req.body?.stt_provider });
+    res.status(202).json({ success: true, job });
   } catch (error) {
-    logger.error(`Analysis failed`, {
+    logger.error(`Enqueue analysis failed`, {
       callId: req.params.callId,
       error: error.message,
       stack: error.stack
@@ -1064,15 +3753,30 @@ app.post('/api/analyze/:callId', async (req, res) => {
   }
 });
 
-app.post('/api/reanalyze/:callId', async (req, res) => {
+app.post('/api/reanalyze/:callId', requireRole('admin', 'head'), async (req, res) => {
   try {
-    logger.info(`Starting reanalysis`, { callId: req.params.callId });
+    if (!await findScopedCall(req, req.params.callId)) return res.status(404).json({ error: 'Звонок не найден' });
+    const sttError = validateSttProvider(req.body?.stt_provider);
+    if (sttError) return res.status(400).json({ error: sttError });
+    logger.info(`Enqueue reanalysis`, { callId: req.params.callId, sttProvider: req.body?.stt_provider });
+    const { data: running } = await supabase.from('analysis_jobs')
+      .select('id, status').eq('call_id', req.params.callId).in('status', ['transcribing', 'analyzing']).maybeSingle();
+    if (running) {
+      return res.status(409).json({ error: 'Звонок уже анализируется', job: running });
+    }
+    // Ручная правка РОПа пропадёт вместе с оценкой — только с явным force (история в score_reviews остаётся)
+    const { data: reviewed } = await supabase.from('call_scores')
+      .select('id').eq('call_id', req.params.callId).not('ai_original', 'is', null).maybeSingle();
+    if (reviewed && !req.body?.force) {
+      return res.status(409).json({ error: 'Оценка исправлена вручную; для переанализа передайте force: true', reviewed: true });
+    }
     await supabase.from('call_scores').delete().eq('call_id', req.params.callId);
-    await supabase.from('calls').update({ transcript: null, transcript_formatted: null }).eq('id', req.params.callId);
-    const result = await analyzeCallById(req.params.callId);
-    res.json({ success: true, analysis: result.analysis });
+    await supabase.from('calls').update({ transcript: null, transcript_formatted: null, transcript_raw: null, stt_provider: null }).eq('id', req.params.callId);
+    // stt_provider в теле — переанализ другим провайдером (сравнение на казахском)
+    const job = await enqueueAnalysis(req.params.callId, { source: 'reanalyze', sttProvider: req.body?.stt_provider });
+    res.status(202).json({ success: true, job });
   } catch (error) {
-    logger.error(`Reanalysis failed`, {
+    logger.error(`Enqueue reanalysis failed`, {
       callId: req.params.callId,
       error: error.message,
       stack: error.stack
@@ -1081,80 +3785,3466 @@ app.post('/api/reanalyze/:callId', async (req, res) => {
   }
 });
 
-app.get('/api/managers', async (req, res) => {
-  const { data, error } = await supabase.from('managers').select('*').order('name');
+// ==================== JOBS API ====================
+
+app.get('/api/jobs', requireRole('admin', 'head'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    let query = supabase.from('analysis_jobs').select('*, call:calls!inner(clinic_id)').order('created_at', { ascending: false }).limit(limit);
+    if (req.clinicId) query = query.eq('call.clinic_id', req.clinicId);
+    if (req.query.status) query = query.in('status', String(req.query.status).split(','));
+    if (req.query.call_id) query = query.eq('call_id', req.query.call_id);
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+    res.json({ jobs: data, workers: { active: activeJobWorkers, concurrency: ANALYSIS_CONCURRENCY } });
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+app.get('/api/jobs/:id', requireRole('admin', 'head'), async (req, res) => {
+  try {
+    const { data: job } = await supabase.from('analysis_jobs').select('*').eq('id', req.params.id).maybeSingle();
+    if (!job || !await findScopedCall(req, job.call_id)) return res.status(404).json({ error: 'Задача не найдена' });
+    res.json(job);
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+// Повторный запуск завершённой/упавшей задачи с нуля попыток
+app.post('/api/jobs/:id/requeue', requireRole('admin', 'head'), async (req, res) => {
+  try {
+    const { data: job } = await supabase.from('analysis_jobs').select('*').eq('id', req.params.id).maybeSingle();
+    if (!job || !await findScopedCall(req, job.call_id)) return res.status(404).json({ error: 'Задача не найдена' });
+    if (ACTIVE_JOB_STATUSES.includes(job.status)) {
+      return res.status(409).json({ error: 'Задача уже в работе', job });
+    }
+    const newJob = await enqueueAnalysis(job.call_id, { source: 'requeue', sttProvider: job.stt_provider });
+    res.status(202).json({ success: true, job: newJob });
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+app.post('/api/jobs/requeue-failed', requireRole('admin', 'head'), async (req, res) => {
+  try {
+    let failedQuery = supabase.from('analysis_jobs').select('call_id, call:calls!inner(clinic_id)').eq('status', 'failed');
+    if (req.clinicId) failedQuery = failedQuery.eq('call.clinic_id', req.clinicId);
+    const { data: failed } = await failedQuery;
+    const callIds = [...new Set((failed || []).map(j => j.call_id))];
+    const { data: scored } = await supabase.from('call_scores').select('call_id').in('call_id', callIds);
+    const scoredIds = new Set((scored || []).map(s => s.call_id));
+    const jobs = [];
+    for (const callId of callIds) {
+      if (scoredIds.has(callId)) continue;
+      jobs.push(await enqueueAnalysis(callId, { source: 'requeue' }));
+    }
+    res.status(202).json({ success: true, count: jobs.length, jobs });
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+// ==================== RUBRICS API ====================
+
+app.get('/api/rubrics', requireRole('admin', 'head'), async (req, res) => {
+  let query = supabase.from('rubrics')
+    .select('id, code, version, name, clinic_id, is_active, created_by, created_at')
+    .order('code').order('version', { ascending: false });
+  if (req.query.code) query = query.eq('code', req.query.code);
+  // Клиника видит свои рубрики и общие для сети
+  if (req.clinicId) query = query.or(`clinic_id.eq.${req.clinicId},clinic_id.is.null`);
+  const { data, error } = await query;
   res.json(error ? { error: error.message } : data);
 });
 
-app.get('/api/calls', async (req, res) => {
+app.get('/api/rubrics/active', requireRole('admin', 'head'), async (req, res) => {
   try {
-    const { data: calls } = await supabase.from('calls').select('*, manager:managers(name)').order('call_date', { ascending: false });
-    const { data: scores } = await supabase.from('call_scores').select('*');
-    const scoresMap = Object.fromEntries((scores || []).map(s => [s.call_id, s]));
-    res.json(calls.map(c => ({ ...c, scores: scoresMap[c.id] || null })));
+    res.json(await getActiveRubric(req.clinicId));
   } catch (error) { res.status(500).json({ error: error.message }); }
 });
 
-app.get('/api/calls/:id', async (req, res) => {
+app.get('/api/rubrics/:id', requireRole('admin', 'head'), async (req, res) => {
+  const { data, error } = await supabase.from('rubrics').select('*').eq('id', req.params.id).maybeSingle();
+  if (error) return res.status(500).json({ error: error.message });
+  if (!data || (req.clinicId && data.clinic_id && data.clinic_id !== req.clinicId)) {
+    return res.status(404).json({ error: 'Рубрика не найдена' });
+  }
+  res.json(data);
+});
+
+app.post('/api/rubrics', requireRole('admin', 'head'), async (req, res) => {
+  const { code, name, definition, activate = false } = req.body || {};
+  if (!code || !/^[a-z0-9_-]+$/.test(code)) return res.status(400).json({ error: 'code: латиница/цифры/-/_' });
+  if (!name) return res.status(400).json({ error: 'name обязателен' });
+  const errors = validateRubricDefinition(definition);
+  if (errors.length) return res.status(400).json({ error: 'Некорректная рубрика', details: errors });
+
   try {
-    const { data: call } = await supabase.from('calls').select('*, manager:managers(name)').eq('id', req.params.id).single();
-    const { data: scores } = await supabase.from('call_scores').select('*').eq('call_id', req.params.id).single();
-    res.json({ ...call, scores });
+    const { data: existing } = await supabase.from('rubrics').select('id').eq('code', code).limit(1);
+    if (existing?.length) return res.status(409).json({ error: `Рубрика ${code} уже есть — создайте новую версию через PUT` });
+
+    // Рубрика выбранной клиники; без клиники — общая для сети (только сетевые пользователи)
+    const { data, error } = await supabase.from('rubrics').insert({
+      code, name, definition, version: 1, is_active: false, created_by: req.user.id, clinic_id: req.clinicId
+    }).select().single();
+    if (error) return res.status(400).json({ error: error.message });
+    if (activate) await activateRubric(data.id);
+    logger.info('📐 Rubric created', { code, id: data.id, by: req.user.id });
+    res.status(201).json({ ...data, is_active: !!activate });
   } catch (error) { res.status(500).json({ error: error.message }); }
 });
 
-app.get('/api/whatsapp/chats', (req, res) => res.json({ chats: [], message: 'В разработке' }));
-app.get('/api/whatsapp/analyses', (req, res) => res.json({ analyses: [], message: 'В разработке' }));
+// Правка = новая версия; если правили активную — новая версия сразу становится активной
+app.put('/api/rubrics/:id', requireRole('admin', 'head'), async (req, res) => {
+  try {
+    const { data: base } = await supabase.from('rubrics').select('*').eq('id', req.params.id).maybeSingle();
+    if (!base) return res.status(404).json({ error: 'Рубрика не найдена' });
+    if (!canEditRubric(req.user, base)) return res.status(403).json({ error: 'Рубрика другой клиники или общая для сети' });
+
+    const definition = req.body?.definition || base.definition;
+    const errors = validateRubricDefinition(definition);
+    if (errors.length) return res.status(400).json({ error: 'Некорректная рубрика', details: errors });
+
+    const { data: latest } = await supabase.from('rubrics')
+      .select('version').eq('code', base.code).order('version', { ascending: false }).limit(1);
+    const { data, error } = await supabase.from('rubrics').insert({
+      code: base.code,
+      name: req.body?.name || base.name,
+      definition,
+      version: (latest?.[0]?.version || base.version) + 1,
+      is_active: false,
+      created_by: req.user.id,
+      clinic_id: base.clinic_id
+    }).select().single();
+    if (error) return res.status(400).json({ error: error.message });
+
+    const activate = req.body?.activate ?? base.is_active;
+    if (activate) await activateRubric(data.id);
+    logger.info('📐 Rubric new version', { code: data.code, version: data.version, by: req.user.id });
+    res.status(201).json({ ...data, is_active: !!activate });
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
 
-// ==================== START ====================
+app.post('/api/rubrics/:id/activate', requireRole('admin', 'head'), async (req, res) => {
+  try {
+    const { data: rubric } = await supabase.from('rubrics').select('id, code, version, clinic_id').eq('id', req.params.id).maybeSingle();
+    if (!rubric) return res.status(404).json({ error: 'Рубрика не найдена' });
+    if (!canEditRubric(req.user, rubric)) return res.status(403).json({ error: 'Рубрика другой клиники или общая для сети' });
+    await activateRubric(rubric.id);
+    logger.info('📐 Rubric activated', { code: rubric.code, version: rubric.version, by: req.user.id });
+    res.json({ success: true });
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, async () => {
-  logger.info(`🏥 CallMind v5.0 (gpt-4o-transcribe) запущен`, {
-    port: PORT,
-    environment: process.env.NODE_ENV || 'development',
-    ffmpeg: FFMPEG_AVAILABLE,
-    pipeline: FFMPEG_AVAILABLE
-      ? 'Stereo split → gpt-4o-transcribe×2 (kk) → GPT-4o translate → GPT-4o analyze'
-      : 'Mono: gpt-4o-transcribe (kk) → GPT-4o translate+roles → GPT-4o analyze'
-  });
+// Удалить можно только неактивную версию, которой не оценён ни один звонок
+app.delete('/api/rubrics/:id', requireRole('admin', 'head'), async (req, res) => {
+  try {
+    const { data: rubric } = await supabase.from('rubrics').select('id, is_active, clinic_id').eq('id', req.params.id).maybeSingle();
+    if (!rubric) return res.status(404).json({ error: 'Рубрика не найдена' });
+    if (!canEditRubric(req.user, rubric)) return res.status(403).json({ error: 'Рубрика другой клиники или общая для сети' });
+    if (rubric.is_active) return res.status(409).json({ error: 'Нельзя удалить активную рубрику' });
+    const { count } = await supabase.from('call_scores').select('id', { count: 'exact', head: true }).eq('rubric_id', rubric.id);
+    if (count) return res.status(409).json({ error: `Рубрикой оценено звонков: ${count}, удаление запрещено` });
+    await supabase.from('rubrics').delete().eq('id', rubric.id);
+    res.json({ success: true });
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
 
-  logger.info(`📋 Формат вывода: 2 блока (администратор + пациент), не диалог`);
+// Активная рубрика — одна на клинику (и одна общая для сети)
+async function activateRubric(rubricId) {
+  const { data: rubric } = await supabase.from('rubrics').select('id, clinic_id').eq('id', rubricId).single();
+  let others = supabase.from('rubrics').update({ is_active: false }).eq('is_active', true).neq('id', rubricId);
+  others = rubric.clinic_id ? others.eq('clinic_id', rubric.clinic_id) : others.is('clinic_id', null);
+  await others;
+  await supabase.from('rubrics').update({ is_active: true }).eq('id', rubricId);
+}
 
-  // Загружаем токены Bitrix из БД
-  if (await loadTokensFromDb()) {
-    logger.info('✅ Bitrix tokens loaded from DB');
+// Пользователь клиники правит только рубрики своей клиники; общие — только сетевые
+function canEditRubric(user, rubric) {
+  return !user.clinic_id || rubric.clinic_id === user.clinic_id;
+}
 
-    // Автоматическая синхронизация каждые 5 минут
-    setInterval(() => {
-      syncNewCalls().catch(err => {
-        logger.error('Sync failed', { error: err.message });
-      });
-    }, 5 * 60 * 1000);
+app.get('/api/managers', async (req, res) => {
+  const { data, error } = await scopeToClinic(supabase.from('managers').select('*').order('name'), req);
+  res.json(error ? { error: error.message } : data);
+});
 
-    // Первая синхронизация через 30 секунд
-    setTimeout(() => syncNewCalls(), 30000);
-  } else {
-    logger.warn('⚠️ Bitrix не авторизован - синхронизация отключена');
-  }
+// ==================== CALLS: ФИЛЬТРЫ, ПАГИНАЦИЯ, АГРЕГАТЫ ====================
 
-  // ==================== KEEP-ALIVE МЕХАНИЗМ ====================
-  // Предотвращает засыпание на Railway
-  if (process.env.NODE_ENV === 'production' || process.env.RAILWAY_ENVIRONMENT) {
-    const KEEP_ALIVE_URL = process.env.RAILWAY_PUBLIC_DOMAIN
-      ? `https://${process.env.RAILWAY_PUBLIC_DOMAIN}/health`
-      : `http://localhost:${PORT}/health`;
+const CALLS_PAGE_SIZE = 50;
+const CALLS_PAGE_MAX = 200;
+const CALL_STATUSES = ['analyzed', 'unanalyzed', 'problem', 'success'];
 
-    logger.info('🔄 Keep-alive механизм активирован', { url: KEEP_ALIVE_URL });
+function parseDateParam(value, name) {
+  if (value === undefined || value === '') return { value: null };
+  const date = new Date(String(value));
+  if (isNaN(date.getTime())) return { error: `${name}: некорректная дата` };
+  return { value: date.toISOString() };
+}
 
-    // Пингуем себя каждые 5 минут чтобы Railway не усыпил сервис
-    setInterval(async () => {
-      try {
-        await axios.get(KEEP_ALIVE_URL, { timeout: 10000 });
-        logger.debug('✅ Keep-alive ping successful');
-      } catch (error) {
-        logger.warn('⚠️ Keep-alive ping failed', { error: error.message });
-      }
-    }, 5 * 60 * 1000); // Каждые 5 минут
+function parseScoreParam(value, name) {
+  if (value === undefined || value === '') return { value: null };
+  const score = Number(value);
+  if (!Number.isFinite(score) || score < 0 || score > 100) return { error: `${name}: число 0..100` };
+  return { value: score };
+}
+
+/**
+ * Фильтры списка звонков и агрегатов из query string
+ *
+ * from, to (ISO), manager_ids=1,2, score_min, score_max, call_type, direction,
+ * successful=true|false, status=analyzed|unanalyzed|problem|success.
+ * Администратор (manager) всегда ограничен своими звонками: managerIds = [свой id]
+ * (пустой массив — нет привязки к менеджеру, звонков нет).
+ *
+ * @returns {{ filters?: Object, error?: string }}
+ */
+function parseCallFilters(req) {
+  const q = req.query;
+  const from = parseDateParam(q.from, 'from');
+  const to = parseDateParam(q.to, 'to');
+  const scoreMin = parseScoreParam(q.score_min, 'score_min');
+  const scoreMax = parseScoreParam(q.score_max, 'score_max');
+  const firstError = [from, to, scoreMin, scoreMax].find(p => p.error);
+  if (firstError) return { error: firstError.error };
+
+  let managerIds = null;
+  if (q.manager_ids) {
+    managerIds = String(q.manager_ids).split(',').map(s => s.trim()).filter(Boolean).map(Number);
+    if (managerIds.some(id => !Number.isInteger(id))) return { error: 'manager_ids: список ID через запятую' };
+  }
+  if (req.user.role === 'manager') managerIds = req.user.manager_id ? [req.user.manager_id] : [];
+
+  if (q.direction && !['incoming', 'outgoing'].includes(q.direction)) {
+    return { error: 'direction: incoming | outgoing' };
   }
+  if (q.successful !== undefined && !['true', 'false'].includes(q.successful)) {
+    return { error: 'successful: true | false' };
+  }
+  if (q.status && !CALL_STATUSES.includes(q.status)) {
+    return { error: `status: ${CALL_STATUSES.join(' | ')}` };
+  }
+
+  return {
+    filters: {
+      from: from.value,
+      to: to.value,
+      managerIds,
+      scoreMin: scoreMin.value,
+      scoreMax: scoreMax.value,
+      callType: q.call_type ? String(q.call_type) : null,
+      direction: q.direction || null,
+      successful: q.successful === undefined ? null : q.successful === 'true',
+      status: q.status || null
+    }
+  };
+}
+
+// Фильтры → запрос к представлению call_list
+function applyCallFilters(query, filters) {
+  if (filters.from) query = query.gte('call_date', filters.from);
+  if (filters.to) query = query.lte('call_date', filters.to);
+  if (filters.managerIds) query = query.in('manager_id', filters.managerIds);
+  if (filters.scoreMin !== null) query = query.gte('total_score', filters.scoreMin);
+  if (filters.scoreMax !== null) query = query.lte('total_score', filters.scoreMax);
+  if (filters.callType) query = query.eq('call_type', filters.callType);
+  if (filters.direction) query = query.eq('call_direction', filters.direction);
+  if (filters.successful !== null) query = query.eq('is_successful', filters.successful);
+  if (filters.status === 'analyzed') query = query.not('score_id', 'is', null);
+  if (filters.status === 'unanalyzed') query = query.is('score_id', null).eq('has_audio', true);
+  if (filters.status === 'problem') query = query.lt('total_score', 60);
+  if (filters.status === 'success') query = query.gte('total_score', 80);
+  return query;
+}
+
+// Аргументы RPC агрегатов (migrations/008_call_list_stats.sql)
+function statsRpcArgs(req, filters) {
+  return {
+    p_clinic_id: req.clinicId,
+    p_from: filters.from,
+    p_to: filters.to,
+    p_manager_ids: filters.managerIds
+  };
+}
+
+// Аргументы агрегатов по звонкам (call_stats, criteria_breakdown, manager_ranking —
+// migrations/021_stats_filters.sql): все фильтры списка, чтобы итоги совпадали со списком
+function callStatsRpcArgs(req, filters) {
+  return {
+    ...statsRpcArgs(req, filters),
+    p_score_min: filters.scoreMin,
+    p_score_max: filters.scoreMax,
+    p_call_type: filters.callType,
+    p_direction: filters.direction,
+    p_successful: filters.successful,
+    p_status: filters.status
+  };
+}
+
+// Курсор — позиция последней строки страницы в порядке (call_date desc, id desc)
+function encodeCallsCursor(row) {
+  return Buffer.from(`${row.call_date}|${row.id}`).toString('base64url');
+}
+
+function decodeCallsCursor(cursor) {
+  const [date, id] = Buffer.from(String(cursor), 'base64url').toString().split('|');
+  if (!/^[\d\-:T. +Z]+$/.test(date || '') || isNaN(new Date(date).getTime()) || !/^\d+$/.test(id || '')) return null;
+  return { date, id: Number(id) };
+}
+
+/**
+ * Страница звонков: GET /api/calls?limit=50&cursor=...&<фильтры>
+ * → { calls: [{ ...call, manager: { name }, scores: {...} | null, job }], next_cursor }
+ */
+app.get('/api/calls', async (req, res) => {
+  try {
+    const { filters, error: filterError } = parseCallFilters(req);
+    if (filterError) return res.status(400).json({ error: filterError });
+    if (filters.managerIds?.length === 0) return res.json({ calls: [], next_cursor: null });
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || CALLS_PAGE_SIZE, 1), CALLS_PAGE_MAX);
+    let query = scopeToClinic(supabase.from('call_list').select('*'), req)
+      .order('call_date', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(limit + 1);
+    query = applyCallFilters(query, filters);
+    if (req.query.cursor) {
+      const cursor = decodeCallsCursor(req.query.cursor);
+      if (!cursor) return res.status(400).json({ error: 'cursor: некорректный курсор' });
+      query = query.or(`call_date.lt."${cursor.date}",and(call_date.eq."${cursor.date}",id.lt.${cursor.id})`);
+    }
+    const { data: rows, error } = await query;
+    if (error) throw new Error(error.message);
+
+    const page = rows.slice(0, limit);
+    // Последняя незавершённая/упавшая задача по звонку — для статуса "В очереди"/"Ошибка"
+    const { data: jobs } = page.length
+      ? await supabase.from('analysis_jobs')
+        .select('id, call_id, status, last_error, attempts')
+        .in('call_id', page.map(r => r.id))
+        .in('status', [...ACTIVE_JOB_STATUSES, 'failed'])
+        .order('created_at', { ascending: true })
+      : { data: [] };
+    const jobsMap = Object.fromEntries((jobs || []).map(j => [j.call_id, j]));
+
+    const calls = page.map(({ manager_name, score_id, total_score, call_type, is_successful, has_critical_error, ai_summary, ...call }) => ({
+      ...call,
+      manager: manager_name ? { name: manager_name } : null,
+      scores: score_id ? { id: score_id, total_score, call_type, is_successful, has_critical_error, ai_summary } : null,
+      job: jobsMap[call.id] || null
+    }));
+    res.json({ calls, next_cursor: rows.length > limit ? encodeCallsCursor(page[page.length - 1]) : null });
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+// KPI дашборда за период: всего, проанализировано, средний балл, успешные, проблемные, средняя длительность
+app.get('/api/stats/summary', async (req, res) => {
+  try {
+    const { filters, error: filterError } = parseCallFilters(req);
+    if (filterError) return res.status(400).json({ error: filterError });
+    const { data, error } = await supabase.rpc('call_stats', callStatsRpcArgs(req, filters));
+    if (error) throw new Error(error.message);
+    res.json(data);
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+// Средний балл по блокам рубрики
+app.get('/api/stats/criteria', async (req, res) => {
+  try {
+    const { filters, error: filterError } = parseCallFilters(req);
+    if (filterError) return res.status(400).json({ error: filterError });
+    const { data, error } = await supabase.rpc('criteria_breakdown', callStatsRpcArgs(req, filters));
+    if (error) throw new Error(error.message);
+    res.json({ blocks: data });
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+// Рейтинг администраторов за период
+app.get('/api/stats/managers', requireRole('admin', 'head'), async (req, res) => {
+  try {
+    const { filters, error: filterError } = parseCallFilters(req);
+    if (filterError) return res.status(400).json({ error: filterError });
+    const { data, error } = await supabase.rpc('manager_ranking', callStatsRpcArgs(req, filters));
+    if (error) throw new Error(error.message);
+    res.json({ managers: data });
+  } catch (error) { res.status(500).json({ error: error.message }); }
 });
+
+app.get('/api/calls/:id', async (req, res) => {
+  try {
+    const { data: call } = await supabase.from('calls').select('*, manager:managers(name)').eq('id', req.params.id).single();
+    if (!call) return res.status(404).json({ error: 'Звонок не найден' });
+    if (!canAccessCall(req.user, call) || (req.clinicId && call.clinic_id !== req.clinicId)) {
+      return res.status(403).json({ error: 'Недостаточно прав' });
+    }
+    const { data: scores } = await supabase.from('call_scores').select('*').eq('call_id', req.params.id).single();
+    const { data: pii } = await supabase.from('call_pii').select('call_id').eq('call_id', call.id).maybeSingle();
+    // Расходы на STT/LLM по этому звонку (все анализы и переанализы) — только руководству
+    const { data: costs } = req.user.role !== 'manager'
+      ? await supabase.from('ai_usage').select('stage, provider, model, channel, audio_seconds, billed_seconds, prompt_tokens, completion_tokens, requests, cost, created_at')
+        .eq('call_id', call.id).order('created_at')
+      : { data: null };
+    // <audio> не умеет слать Authorization — короткоживущий токен именно на эту запись
+    const audioStreamUrl = call.audio_path || call.audio_url
+      ? `/api/calls/${call.id}/audio?token=${issueAudioToken(req.user, call.id)}`
+      : null;
+    res.json({ ...call, scores, audio_stream_url: audioStreamUrl, has_pii: !!pii, costs, cost_currency: COST_CURRENCY });
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+// Запись из архива с поддержкой Range (перемотка в плеере)
+app.get('/api/calls/:id/audio', async (req, res) => {
+  try {
+    const { data: call } = await supabase.from('calls')
+      .select('id, clinic_id, manager_id, audio_url, audio_path, audio_content_type').eq('id', req.params.id).maybeSingle();
+    if (!call) return res.status(404).json({ error: 'Звонок не найден' });
+    if (!canAccessCall(req.user, call)) return res.status(403).json({ error: 'Недостаточно прав' });
+    if (!call.audio_path) {
+      if (!call.audio_url) return res.status(404).json({ error: 'Нет записи звонка' });
+      await archiveRecording(call);
+    }
+
+    const { status, headers, body } = await recordingStore.stream(call.audio_path, req.get('Range'));
+    res.status(status);
+    res.set({
+      'Content-Type': call.audio_content_type || 'audio/mpeg',
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'private, max-age=3600'
+    });
+    for (const [name, value] of Object.entries(headers)) {
+      if (value !== undefined) res.set(name, String(value));
+    }
+    if (!body) return res.end();
+    body.on('error', err => {
+      logger.error('Audio stream error', { callId: call.id, error: err.message });
+      res.destroy(err);
+    });
+    body.pipe(res);
+  } catch (error) {
+    logger.error('Audio stream failed', { callId: req.params.id, error: error.message });
+    if (!res.headersSent) res.status(502).json({ error: `Запись недоступна: ${error.message}` });
+  }
+});
+
+// ==================== РУЧНАЯ ПРОВЕРКА ОЦЕНОК ====================
+// РОП правит баллы блоков и флаги; ИИ-оценка до первой правки остаётся в call_scores.ai_original,
+// история правок — в score_reviews (migrations/014_score_reviews.sql).
+
+// Снимок того, что поставил ИИ (block_scores материализуются и для старых оценок block1..block6)
+function aiScoreSnapshot(score) {
+  return {
+    total_score: score.total_score,
+    block_scores: callScoreBlocks(score),
+    is_successful: score.is_successful,
+    has_critical_error: score.has_critical_error,
+    critical_error_type: score.critical_error_type
+  };
+}
+
+/**
+ * Правка оценки из тела запроса → новые значения call_scores и список изменений
+ *
+ * body: { blocks: { key: score }, is_successful?, has_critical_error?, critical_error_type?, comment }
+ * @returns {{ update?: Object, changes?: Array, error?: string }}
+ */
+function applyScoreReview(score, body) {
+  const blocks = callScoreBlocks(score).map(b => ({ ...b }));
+  const changes = [];
+
+  for (const [key, value] of Object.entries(body.blocks || {})) {
+    const block = blocks.find(b => b.key === key);
+    if (!block) return { error: `blocks.${key}: нет такого блока в оценке` };
+    if (!Number.isInteger(value) || value < 0 || value > 100) return { error: `blocks.${key}: целое число 0..100` };
+    if (value === block.score) continue;
+    changes.push({ field: 'block', key, name: block.name, from: block.score, to: value });
+    block.score = value;
+  }
+
+  const flags = {};
+  for (const field of ['is_successful', 'has_critical_error']) {
+    if (body[field] === undefined) continue;
+    if (typeof body[field] !== 'boolean') return { error: `${field}: true | false` };
+    flags[field] = body[field];
+  }
+  if (body.critical_error_type !== undefined && body.critical_error_type !== null && typeof body.critical_error_type !== 'string') {
+    return { error: 'critical_error_type: строка или null' };
+  }
+
+  const hasCriticalError = flags.has_critical_error ?? score.has_critical_error;
+  // Итог пересчитывается, только если правили баллы или снята крит. ошибка — иначе остаётся как был
+  const recalculate = changes.length > 0 || (score.has_critical_error && !hasCriticalError);
+  const next = {
+    is_successful: flags.is_successful ?? score.is_successful,
+    has_critical_error: hasCriticalError,
+    critical_error_type: hasCriticalError
+      ? (body.critical_error_type !== undefined ? body.critical_error_type : score.critical_error_type)
+      : null,
+    total_score: hasCriticalError ? 0 : recalculate ? blocksTotal(blocks) : score.total_score
+  };
+  for (const field of ['is_successful', 'has_critical_error', 'critical_error_type', 'total_score']) {
+    if (next[field] !== score[field]) changes.push({ field, from: score[field], to: next[field] });
+  }
+
+  const legacyBlocks = {};
+  blocks.slice(0, 6).forEach((b, i) => { legacyBlocks[`block${i + 1}_score`] = b.score; });
+  return { update: { ...next, ...legacyBlocks, block_scores: blocks }, changes };
+}
+
+app.put('/api/calls/:id/review', requireRole('admin', 'head'), async (req, res) => {
+  const comment = String(req.body?.comment || '').trim();
+  if (!comment) return res.status(400).json({ error: 'comment обязателен: почему оценка исправлена' });
+  if (req.body.blocks !== undefined && (typeof req.body.blocks !== 'object' || Array.isArray(req.body.blocks))) {
+    return res.status(400).json({ error: 'blocks: объект { key: балл }' });
+  }
+  try {
+    const call = await findScopedCall(req, req.params.id);
+    if (!call) return res.status(404).json({ error: 'Звонок не найден' });
+    const { data: score } = await supabase.from('call_scores').select('*').eq('call_id', call.id).maybeSingle();
+    if (!score) return res.status(409).json({ error: 'Звонок ещё не оценён' });
+
+    const { update, changes, error: invalid } = applyScoreReview(score, req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
+    if (!changes.length) return res.status(400).json({ error: 'Нет изменений в оценке' });
+
+    const { data: updated, error } = await supabase.from('call_scores').update({
+      ...update,
+      ai_original: score.ai_original || aiScoreSnapshot(score),
+      reviewed_at: new Date().toISOString(),
+      reviewed_by: req.user.id
+    }).eq('id', score.id).select().single();
+    if (error) throw new Error(error.message);
+
+    const { data: review, error: historyError } = await supabase.from('score_reviews').insert({
+      call_id: call.id, clinic_id: call.clinic_id, reviewer_id: req.user.id, changes, comment
+    }).select().single();
+    if (historyError) throw new Error(historyError.message);
+
+    logger.info('✍️ Score reviewed', { callId: call.id, changes: changes.length, by: req.user.id });
+    // Комментарий в CRM обновляется исправленной оценкой
+    writeBackToBitrix(call.id).catch(err => logger.error('Bitrix write-back failed', { callId: call.id, error: err.message }));
+    res.json({ scores: updated, review });
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+// История правок оценки
+app.get('/api/calls/:id/reviews', async (req, res) => {
+  try {
+    const { data: call } = await supabase.from('calls').select('id, clinic_id, manager_id').eq('id', req.params.id).maybeSingle();
+    if (!call || (req.clinicId && call.clinic_id !== req.clinicId)) return res.status(404).json({ error: 'Звонок не найден' });
+    if (!canAccessCall(req.user, call)) return res.status(403).json({ error: 'Недостаточно прав' });
+    const { data, error } = await supabase.from('score_reviews')
+      .select('id, changes, comment, created_at, reviewer:app_users(id, name, email)')
+      .eq('call_id', call.id).order('created_at', { ascending: false });
+    if (error) throw new Error(error.message);
+    res.json({ reviews: data });
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+// Калибровка: где ИИ и проверяющие расходятся сильнее всего (from, to — по дате звонка)
+app.get('/api/stats/calibration', requireRole('admin', 'head'), async (req, res) => {
+  try {
+    const { filters, error: filterError } = parseCallFilters(req);
+    if (filterError) return res.status(400).json({ error: filterError });
+    const { data, error } = await supabase.rpc('score_calibration', {
+      p_clinic_id: req.clinicId, p_from: filters.from, p_to: filters.to
+    });
+    if (error) throw new Error(error.message);
+    res.json(data);
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+// ==================== ПЕРСОНАЛЬНЫЕ ДАННЫЕ: ПРОСМОТР И ДОРЕДАКТИРОВАНИЕ ====================
+// Оригиналы скрытых данных звонка — admin/head с причиной, каждый просмотр в pii_access_log.
+// Звонки, транскрибированные до migrations/018_call_pii.sql, редактируются фоновым проходом.
+// Сообщения WhatsApp в БД не редактируются: это рабочая переписка, которую администратор читает
+// и продолжает (те же тексты есть у него в WhatsApp). В LLM они уходят скрытыми, в оценке чата —
+// только плейсхолдеры; сами сообщения удаляются по сроку хранения и по запросу пациента.
+
+const PII_REASON_MIN_LENGTH = 5;
+const PII_BACKFILL_BATCH = 50;
+
+let piiBackfillRunning = false;
+
+// Оценка звонка: тексты ИИ могли повторить данные из транскрипта
+function redactScoreTexts(score, vault) {
+  const list = items => (Array.isArray(items) ? items.map(item => redactText(item, vault)) : items);
+  const info = score.client_info || {};
+  return {
+    client_info: Object.fromEntries(Object.entries(info).map(([key, items]) => [key, list(items)])),
+    ai_summary: redactText(score.ai_summary, vault),
+    block_scores: score.block_scores?.map(b => ({ ...b, explanation: redactText(b.explanation, vault) })) ?? null,
+    score_explanations: score.score_explanations && Object.fromEntries(
+      Object.entries(score.score_explanations).map(([key, text]) => [key, redactText(text, vault)]))
+  };
+}
+
+async function redactStoredCall(call) {
+  const vault = createPiiVault();
+  // raw и formatted — одним хранилищем: одно значение получает один плейсхолдер в обоих
+  const raw = redactTurns(call.transcript_raw, vault);
+  const formatted = redactTurns(call.transcript_formatted, vault);
+  const transcript = formatted?.length ? formatted.map(t => t.text).join(' ') : redactText(call.transcript, vault);
+
+  const { data: score } = await supabase.from('call_scores')
+    .select('id, client_info, ai_summary, block_scores, score_explanations').eq('call_id', call.id).maybeSingle();
+  if (score) {
+    const { error } = await supabase.from('call_scores').update(redactScoreTexts(score, vault)).eq('id', score.id);
+    if (error) throw new Error(`call_scores ${call.id}: ${error.message}`);
+  }
+  await saveCallPii(call, vault);
+  const { error } = await supabase.from('calls').update({
+    transcript, transcript_formatted: formatted, transcript_raw: raw, pii_redacted_at: new Date().toISOString()
+  }).eq('id', call.id);
+  if (error) throw new Error(`calls ${call.id}: ${error.message}`);
+  return Object.keys(vault.values).length;
+}
+
+async function redactStoredTranscripts(clinicId) {
+  piiBackfillRunning = true;
+  let calls = 0;
+  let entities = 0;
+  let failed = 0;
+  try {
+    // Курсор по id: звонок с ошибкой остаётся нередактированным до следующего запуска, но не останавливает проход
+    let afterId = 0;
+    for (;;) {
+      let query = supabase.from('calls')
+        .select('id, clinic_id, transcript, transcript_formatted, transcript_raw')
+        .is('pii_redacted_at', null).not('transcript', 'is', null).gt('id', afterId)
+        .order('id').limit(PII_BACKFILL_BATCH);
+      if (clinicId) query = query.eq('clinic_id', clinicId);
+      const { data, error } = await query;
+      if (error) throw new Error(error.message);
+      if (!data.length) break;
+      for (const call of data) {
+        try {
+          entities += await redactStoredCall(call);
+          calls++;
+        } catch (callError) {
+          failed++;
+          logger.error('PII redaction of stored call failed', { callId: call.id, error: callError.message });
+        }
+      }
+      afterId = data[data.length - 1].id;
+    }
+    logger.info('🔒 Stored transcripts redacted', { clinicId, calls, entities, failed });
+  } catch (error) {
+    logger.error('PII backfill failed', { clinicId, calls, error: error.message });
+  } finally {
+    piiBackfillRunning = false;
+  }
+}
+
+// Оригиналы плейсхолдеров звонка: ?reason= — зачем (обязательно, пишется в журнал)
+app.get('/api/calls/:id/pii', requireRole('admin', 'head'), async (req, res) => {
+  const reason = String(req.query.reason || '').trim();
+  if (reason.length < PII_REASON_MIN_LENGTH) {
+    return res.status(400).json({ error: 'reason обязателен: зачем нужны персональные данные' });
+  }
+  if (!piiKey()) return res.status(503).json({ error: 'PII_ENCRYPTION_KEY не задан' });
+  try {
+    const call = await findScopedCall(req, req.params.id);
+    if (!call) return res.status(404).json({ error: 'Звонок не найден' });
+    const { data: pii } = await supabase.from('call_pii').select('payload').eq('call_id', call.id).maybeSingle();
+    if (!pii) return res.status(404).json({ error: 'У звонка нет скрытых данных' });
+
+    const values = decryptPii(pii.payload);
+    const { error } = await supabase.from('pii_access_log').insert({
+      call_id: call.id, clinic_id: call.clinic_id, user_id: req.user.id, reason
+    });
+    if (error) throw new Error(error.message);
+    logger.info('🔓 PII viewed', { callId: call.id, by: req.user.id });
+    res.json({ values });
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+// Журнал просмотров персональных данных звонка
+app.get('/api/calls/:id/pii/log', requireRole('admin'), async (req, res) => {
+  try {
+    const call = await findScopedCall(req, req.params.id);
+    if (!call) return res.status(404).json({ error: 'Звонок не найден' });
+    const { data, error } = await supabase.from('pii_access_log')
+      .select('id, reason, created_at, user:app_users(id, name, email)')
+      .eq('call_id', call.id).order('created_at', { ascending: false });
+    if (error) throw new Error(error.message);
+    res.json({ log: data });
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+// Скрыть данные в уже сохранённых транскриптах и оценках (фоном, звонки без pii_redacted_at)
+app.post('/api/pii/redact-stored', requireRole('admin'), (req, res) => {
+  if (!PII_REDACTION) return res.status(409).json({ error: 'PII_REDACTION выключен' });
+  // Без ключа оригиналы были бы потеряны безвозвратно
+  if (!piiKey()) return res.status(503).json({ error: 'PII_ENCRYPTION_KEY не задан' });
+  if (piiBackfillRunning) return res.status(409).json({ error: 'Обработка уже идёт' });
+  redactStoredTranscripts(req.clinicId);
+  logger.info('PII backfill started', { clinicId: req.clinicId, by: req.user.id });
+  res.status(202).json({ success: true });
+});
+
+// ==================== ХРАНЕНИЕ И УДАЛЕНИЕ ДАННЫХ ====================
+// Сроки хранения по типам данных (дней от даты звонка), проход раз в RETENTION_CHECK_INTERVAL_MS:
+//   audio          — запись в архиве и ссылка Битрикс
+//   transcript_raw — исходный STT (transcript_raw)
+//   transcript     — перевод и реплики, оригиналы call_pii, сообщения WhatsApp
+//   scores         — тексты оценки (client_info, резюме, пояснения) и номер пациента
+// Баллы, тип звонка, флаги, администратор и дата остаются — дашборды и рейтинги не меняются.
+// Строка звонка не удаляется: иначе сверка/догрузка из Битрикс загрузила бы звонок заново.
+
+const RETENTION_TYPES = ['audio', 'transcript_raw', 'transcript', 'scores'];
+const RETENTION_BATCH = 200;
+const RETENTION_CHECK_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+let retentionRunning = false;
+
+// Сроки клиники: retention_*_days (null — по умолчанию из env, 0 — бессрочно) → дни или null
+function retentionPolicy(clinic) {
+  return Object.fromEntries(RETENTION_TYPES.map(type => {
+    const days = clinic?.[`retention_${type}_days`] ?? RETENTION_DEFAULTS[type];
+    return [type, days > 0 ? days : null];
+  }));
+}
+
+function validateRetention(fields) {
+  for (const type of RETENTION_TYPES) {
+    const value = fields[`retention_${type}_days`];
+    if (value !== undefined && value !== null && !(Number.isInteger(value) && value >= 0)) {
+      return `retention_${type}_days: целое число дней (0 — бессрочно) или null`;
+    }
+  }
+  return null;
+}
+
+function retentionCutoff(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// Записи из хранилища; звонок, запись которого не удалилась, остаётся до следующего прохода
+async function purgeRecordings(calls) {
+  const result = { removed: 0, failed: 0, failedIds: [] };
+  for (const call of calls) {
+    if (call.audio_path) {
+      try {
+        await recordingStore.remove(call.audio_path);
+        result.removed++;
+      } catch (error) {
+        result.failed++;
+        result.failedIds.push(call.id);
+        logger.warn('⚠️ Recording removal failed', { callId: call.id, key: call.audio_path, error: error.message });
+        continue;
+      }
+    }
+    const { error } = await supabase.from('calls').update({
+      audio_path: null, audio_url: null, audio_size: null, audio_purged_at: new Date().toISOString()
+    }).eq('id', call.id);
+    if (error) throw new Error(error.message);
+  }
+  return result;
+}
+
+async function purgeTranscripts(callIds, { translated = true } = {}) {
+  const fields = { transcript_raw: null };
+  if (translated) {
+    Object.assign(fields, { transcript: null, transcript_formatted: null, transcript_purged_at: new Date().toISOString() });
+  }
+  const { error } = await supabase.from('calls').update(fields).in('id', callIds);
+  if (error) throw new Error(error.message);
+  // Без транскрипта оригиналы плейсхолдеров не нужны
+  if (translated) await supabase.from('call_pii').delete().in('call_id', callIds);
+}
+
+// Тексты оценки (и снимок ИИ до ручной правки) без пояснений блоков, звонок без номера пациента,
+// перезвоны звонков без причин приоритета и комментариев попыток
+async function anonymizeCalls(callIds) {
+  const withoutExplanations = blocks => blocks?.map(b => ({ ...b, explanation: null })) ?? null;
+  const { data: before, error: beforeError } = await supabase.from('calls').select('id, patient_id').in('id', callIds);
+  if (beforeError) throw new Error(beforeError.message);
+  const { data: scores, error } = await supabase.from('call_scores')
+    .select('id, block_scores, ai_original').in('call_id', callIds);
+  if (error) throw new Error(error.message);
+  for (const score of scores) {
+    const { error: scoreError } = await supabase.from('call_scores').update({
+      client_info: null, ai_summary: null, score_explanations: null,
+      block_scores: withoutExplanations(score.block_scores),
+      ai_original: score.ai_original && { ...score.ai_original, block_scores: withoutExplanations(score.ai_original.block_scores) }
+    }).eq('id', score.id);
+    if (scoreError) throw new Error(scoreError.message);
+  }
+  // Причины приоритета («Боль: …», «Отказ: …») и комментарии попыток цитируют пациента
+  const { data: followUps, error: followUpError } = await supabase.from('follow_ups')
+    .update({ priority_reasons: [], updated_at: new Date().toISOString() }).in('call_id', callIds).select('id');
+  if (followUpError) throw new Error(followUpError.message);
+  if (followUps.length) {
+    const { error: attemptError } = await supabase.from('follow_up_attempts')
+      .update({ comment: null }).in('follow_up_id', followUps.map(f => f.id));
+    if (attemptError) throw new Error(attemptError.message);
+  }
+  const { data: calls, error: callError } = await supabase.from('calls').update({
+    client_name: null, client_phone: null, patient_id: null, anonymized_at: new Date().toISOString()
+  }).in('id', callIds).select('id');
+  if (callError) throw new Error(callError.message);
+
+  // Карточка пациента (номер, имя) — пока у него остались звонки
+  for (const patientId of new Set(before.map(c => c.patient_id).filter(Boolean))) {
+    const { count } = await supabase.from('calls').select('id', { count: 'exact', head: true }).eq('patient_id', patientId);
+    if (!count) await supabase.from('patients').delete().eq('id', patientId);
+  }
+  return calls.length;
+}
+
+// Что и как очищает каждый тип срока: pending — звонки, где данные ещё есть
+const RETENTION_STAGES = {
+  audio: {
+    select: 'id, audio_path',
+    pending: query => query.or('audio_path.not.is.null,audio_url.not.is.null'),
+    purge: purgeRecordings
+  },
+  transcript_raw: {
+    select: 'id',
+    pending: query => query.not('transcript_raw', 'is', null),
+    purge: async calls => { await purgeTranscripts(calls.map(c => c.id), { translated: false }); }
+  },
+  transcript: {
+    select: 'id',
+    pending: query => query.not('transcript', 'is', null),
+    purge: async calls => { await purgeTranscripts(calls.map(c => c.id)); }
+  },
+  scores: {
+    select: 'id',
+    pending: query => query.is('anonymized_at', null),
+    purge: async calls => { await anonymizeCalls(calls.map(c => c.id)); }
+  }
+};
+
+// Сообщения WhatsApp — по сроку transcript, имя и номер чата и тексты оценки — по сроку scores
+async function purgeWhatsapp(clinic, policy) {
+  const result = { whatsapp_messages: 0, whatsapp_chats: 0 };
+  if (policy.transcript) {
+    const cutoff = retentionCutoff(policy.transcript);
+    const { data: chats, error } = await supabase.from('whatsapp_chats')
+      .select('id').eq('clinic_id', clinic.id).lt('first_message_at', cutoff);
+    if (error) throw new Error(error.message);
+    if (chats.length) {
+      const { data: deleted, error: deleteError } = await supabase.from('whatsapp_messages')
+        .delete().in('chat_id', chats.map(c => c.id)).lt('sent_at', cutoff).select('id');
+      if (deleteError) throw new Error(deleteError.message);
+      result.whatsapp_messages = deleted.length;
+    }
+  }
+  if (policy.scores) {
+    const { data: chats, error } = await supabase.from('whatsapp_chats')
+      .update({ client_name: null, client_phone: null, updated_at: new Date().toISOString() })
+      .eq('clinic_id', clinic.id).lt('last_message_at', retentionCutoff(policy.scores))
+      .or('client_name.not.is.null,client_phone.not.is.null')
+      .select('id');
+    if (error) throw new Error(error.message);
+    if (chats.length) {
+      await supabase.from('whatsapp_analyses').update({ client_info: null, ai_summary: null })
+        .in('chat_id', chats.map(c => c.id));
+    }
+    result.whatsapp_chats = chats.length;
+  }
+  return result;
+}
+
+/**
+ * Проход по срокам хранения одной клиники
+ * @returns {Promise<Object>} сколько звонков очищено по каждому типу (+ записи, WhatsApp)
+ */
+async function purgeClinicData(clinic, policy) {
+  const report = { recordings_removed: 0, recordings_failed: 0 };
+  for (const type of RETENTION_TYPES) {
+    report[type] = 0;
+    if (!policy[type]) continue;
+    const stage = RETENTION_STAGES[type];
+    const cutoff = retentionCutoff(policy[type]);
+    // Курсор по id: звонок, который не удалось очистить, не зацикливает проход
+    let afterId = 0;
+    for (;;) {
+      const { data: calls, error } = await stage.pending(supabase.from('calls').select(stage.select))
+        .eq('clinic_id', clinic.id).lt('call_date', cutoff).gt('id', afterId)
+        .order('id').limit(RETENTION_BATCH);
+      if (error) throw new Error(error.message);
+      if (!calls.length) break;
+      const result = await stage.purge(calls);
+      if (result) {
+        report.recordings_removed += result.removed;
+        report.recordings_failed += result.failed;
+      }
+      report[type] += calls.length - (result?.failed || 0);
+      afterId = calls[calls.length - 1].id;
+    }
+  }
+  return { ...report, ...await purgeWhatsapp(clinic, policy) };
+}
+
+async function logDataDeletion({ clinicId, kind, subjectHash = null, requestedBy = null, report }) {
+  const { error } = await supabase.from('data_deletions').insert({
+    clinic_id: clinicId, kind, subject_hash: subjectHash, requested_by: requestedBy, report
+  });
+  if (error) logger.error('Data deletion log failed', { clinicId, kind, error: error.message });
+}
+
+/**
+ * Повтор незавершённых удалений по запросу пациента: записи, которые хранилище не удалило
+ * (report.pending_call_ids). Звонки уже обезличены — найти их по номеру повторно нельзя
+ */
+async function retryIncompleteErasures() {
+  const { data: deletions, error } = await supabase.from('data_deletions')
+    .select('id, clinic_id, report').eq('kind', 'erasure').eq('report->>status', 'partial');
+  if (error) throw new Error(error.message);
+  for (const deletion of deletions) {
+    const { data: calls, error: callsError } = await supabase.from('calls')
+      .select('id, audio_path').in('id', deletion.report.pending_call_ids || []).not('audio_path', 'is', null);
+    if (callsError) throw new Error(callsError.message);
+    const result = await purgeRecordings(calls);
+    const report = {
+      ...deletion.report,
+      recordings_removed: (deletion.report.recordings_removed || 0) + result.removed,
+      recordings_failed: result.failed,
+      pending_call_ids: result.failedIds,
+      status: result.failed ? 'partial' : 'complete'
+    };
+    const { error: updateError } = await supabase.from('data_deletions').update({ report }).eq('id', deletion.id);
+    if (updateError) throw new Error(updateError.message);
+    logger[result.failed ? 'warn' : 'info'](`🗑️ Erasure retry: ${report.status}`, {
+      deletionId: deletion.id, clinicId: deletion.clinic_id, removed: result.removed, failed: result.failed
+    });
+  }
+}
+
+// Все клиники со сроками хранения; один проход одновременно
+async function runRetentionPurge(requestedBy = null) {
+  if (retentionRunning) return;
+  retentionRunning = true;
+  try {
+    await retryIncompleteErasures().catch(error => {
+      logger.error('Erasure retry failed', { error: error.message });
+    });
+    for (const clinic of await loadClinics()) {
+      const policy = retentionPolicy(clinic);
+      if (!Object.values(policy).some(Boolean)) continue;
+      try {
+        const report = await purgeClinicData(clinic, policy);
+        if (!Object.values(report).some(Boolean)) continue;
+        await logDataDeletion({ clinicId: clinic.id, kind: 'retention', requestedBy, report: { policy, ...report } });
+        logger.info('🧹 Retention purge', { clinicId: clinic.id, ...report });
+      } catch (error) {
+        // Сбой одной клиники не останавливает остальные
+        logger.error('Retention purge failed', { clinicId: clinic.id, error: error.message });
+      }
+    }
+  } finally {
+    retentionRunning = false;
+  }
+}
+
+/**
+ * Удаление данных пациента по номеру (право на удаление):
+ * записи, транскрипты, call_pii, тексты оценок и номер в звонках, перезвоны,
+ * чаты WhatsApp с сообщениями и карточка пациента. Баллы звонков остаются обезличенными.
+ *
+ * @param {string} phone - нормализованный номер
+ * @param {number|null} clinicId - null — во всех клиниках (сетевой админ)
+ * @returns {Promise<Object>} отчёт: сколько чего удалено
+ */
+async function erasePatientData(phone, clinicId) {
+  const scoped = query => (clinicId ? query.eq('clinic_id', clinicId) : query);
+
+  const { data: patients, error } = await scoped(supabase.from('patients').select('id').eq('phone', phone));
+  if (error) throw new Error(error.message);
+  const patientIds = patients.map(p => p.id);
+  const { data: calls, error: callsError } = await scoped(supabase.from('calls').select('id, audio_path'))
+    .or(patientIds.length ? `client_phone.eq.${phone},patient_id.in.(${patientIds.join(',')})` : `client_phone.eq.${phone}`);
+  if (callsError) throw new Error(callsError.message);
+  const callIds = calls.map(c => c.id);
+
+  const report = { calls: callIds.length, recordings_removed: 0, recordings_failed: 0, follow_ups: 0, whatsapp_chats: 0, whatsapp_messages: 0 };
+  // Перезвоны — до обезличивания звонков: у них ещё есть patient_id
+  const followUpFilter = [callIds.length && `call_id.in.(${callIds.join(',')})`, patientIds.length && `patient_id.in.(${patientIds.join(',')})`]
+    .filter(Boolean).join(',');
+  if (followUpFilter) {
+    const { data: followUps, error: followUpError } = await supabase.from('follow_ups').delete().or(followUpFilter).select('id');
+    if (followUpError) throw new Error(followUpError.message);
+    report.follow_ups = followUps.length;
+  }
+
+  if (callIds.length) {
+    const recordings = await purgeRecordings(calls);
+    report.recordings_removed = recordings.removed;
+    report.recordings_failed = recordings.failed;
+    report.pending_call_ids = recordings.failedIds;
+    await purgeTranscripts(callIds);
+    await anonymizeCalls(callIds);
+  }
+
+  const { data: chats, error: chatsError } = await scoped(supabase.from('whatsapp_chats').delete().eq('client_phone', phone))
+    .select('id, message_count');
+  if (chatsError) throw new Error(chatsError.message);
+  report.whatsapp_chats = chats.length;
+  report.whatsapp_messages = chats.reduce((sum, c) => sum + (c.message_count || 0), 0);
+
+  if (patientIds.length) {
+    const { error: patientError } = await supabase.from('patients').delete().in('id', patientIds);
+    if (patientError) throw new Error(patientError.message);
+  }
+  report.patients = patientIds.length;
+  // partial — часть записей осталась в хранилище; их удаление повторяет runRetentionPurge
+  report.status = report.recordings_failed ? 'partial' : 'complete';
+  return report;
+}
+
+// Сроки хранения клиник и журнал удалений
+app.get('/api/retention', requireRole('admin'), async (req, res) => {
+  try {
+    let clinics = await loadClinics();
+    if (req.clinicId) clinics = clinics.filter(c => c.id === req.clinicId);
+    const { data: deletions, error } = await scopeToClinic(
+      supabase.from('data_deletions').select('id, clinic_id, kind, report, created_at, requested_by:app_users(id, name, email)')
+        .order('created_at', { ascending: false }).limit(50), req);
+    if (error) throw new Error(error.message);
+    res.json({
+      defaults: RETENTION_DEFAULTS,
+      clinics: clinics.map(c => ({ id: c.id, name: c.name, policy: retentionPolicy(c) })),
+      running: retentionRunning,
+      deletions
+    });
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+// Проход по срокам хранения сейчас, не дожидаясь расписания
+app.post('/api/retention/purge', requireRole('admin'), (req, res) => {
+  if (retentionRunning) return res.status(409).json({ error: 'Очистка уже идёт' });
+  runRetentionPurge(req.user.id).catch(err => logger.error('Retention purge failed', { error: err.message }));
+  logger.info('Retention purge started', { by: req.user.id });
+  res.status(202).json({ success: true });
+});
+
+// Удалить всё, что связано с номером пациента: { phone } → отчёт об удалении
+app.post('/api/patients/erase', requireRole('admin'), async (req, res) => {
+  const phone = normalizePhone(req.body?.phone);
+  if (!phone) return res.status(400).json({ error: 'phone: номер телефона пациента' });
+  try {
+    const report = await erasePatientData(phone, req.clinicId);
+    // В журнале — хэш номера: можно проверить, удалялся ли номер, но не восстановить его
+    const subjectHash = crypto.createHash('sha256').update(phone).digest('hex');
+    await logDataDeletion({ clinicId: req.clinicId, kind: 'erasure', subjectHash, requestedBy: req.user.id, report });
+    if (report.status === 'partial') {
+      logger.warn('⚠️ Patient data erasure incomplete', { clinicId: req.clinicId, by: req.user.id, ...report });
+      return res.status(500).json({
+        error: `Не удалось удалить записей: ${report.recordings_failed}. Удаление повторится автоматически`,
+        report
+      });
+    }
+    logger.info('🗑️ Patient data erased', { clinicId: req.clinicId, by: req.user.id, ...report });
+    res.json({ report });
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+// ==================== РАСХОДЫ STT / LLM ====================
+// Этапы pipeline пишут расход в createUsageMeter(): секунды аудио по каналам (STT) и токены
+// запроса/ответа (LLM, включая повторы-исправления). После анализа — строки ai_usage со стоимостью
+// по таблице цен (migrations/020_ai_usage.sql). Бюджет клиники исчерпан → новые звонки не ставятся
+// в очередь автоматически; когда период сменился, пропущенные звонки догоняются.
+
+// Цены по умолчанию в COST_CURRENCY — ориентир, сверяйте с тарифом (PUT /api/costs/prices)
+const DEFAULT_AI_PRICES = {
+  // за минуту аудио; increment_seconds — шаг тарификации каждого запроса (Yandex — 15 с)
+  stt: {
+    yandex: { per_minute: 0.0068, increment_seconds: 15 },
+    openai: { per_minute: 0.006, increment_seconds: 1 },
+    whisper_local: { per_minute: 0, increment_seconds: 1 }
+  },
+  // за 1M токенов; модель — по точному имени, иначе по самому длинному префиксу (gpt-4o-2024-08-06 → gpt-4o)
+  llm: {
+    'gpt-4o': { prompt: 2.5, completion: 10 },
+    'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+    'gpt-4.1': { prompt: 2, completion: 8 },
+    'gpt-4.1-mini': { prompt: 0.4, completion: 1.6 }
+  }
+};
+const FREE_LLM_PROVIDERS = ['local', 'mock'];
+const AI_PRICES_SETTING = 'ai_prices';
+const BUDGET_CATCH_UP_DAYS = 7;
+
+// Клиники, у которых автоанализ стоит на паузе по бюджету (для лога и догона при выходе из паузы)
+const budgetPausedClinics = new Set();
+
+function createUsageMeter() {
+  const entries = [];
+  return {
+    entries,
+    stt(provider, channel, seconds) {
+      entries.push({ stage: 'stt', provider, channel, audio_seconds: seconds });
+    },
+    // tokens — usage из ответа провайдера; нет (mock, прокси без usage) — оценка ~4 символа на токен
+    llm(stage, provider, model, tokens, messages, content) {
+      entries.push({
+        stage, provider, model,
+        prompt_tokens: tokens?.prompt_tokens ?? Math.ceil(messages.reduce((sum, m) => sum + m.content.length, 0) / 4),
+        completion_tokens: tokens?.completion_tokens ?? Math.ceil((content || '').length / 4)
+      });
+    }
+  };
+}
+
+// Длительность куска для STT: по нарезке, по заголовку WAV (byte rate), иначе длительность звонка
+function chunkSeconds(chunk, fallbackSeconds) {
+  if (chunk.utterances) return chunk.utterances.reduce((sum, u) => sum + (u.end - u.start), 0);
+  if (chunk.end != null) return chunk.end - chunk.start;
+  const byteRate = chunk.format === 'wav' && chunk.buffer.length > 44 ? chunk.buffer.readUInt32LE(28) : 0;
+  if (byteRate) return (chunk.buffer.length - 44) / byteRate;
+  return fallbackSeconds || 0;
+}
+
+function llmPrice(table, model) {
+  if (table[model]) return table[model];
+  const prefix = Object.keys(table).filter(key => model?.startsWith(key)).sort((a, b) => b.length - a.length)[0];
+  return prefix ? table[prefix] : null;
+}
+
+function usageCost(entry, prices) {
+  if (entry.stage === 'stt') {
+    const price = prices.stt[entry.provider];
+    if (!price) return { billed_seconds: entry.audio_seconds, cost: 0 };
+    const step = price.increment_seconds || 1;
+    const billed = Math.ceil(entry.audio_seconds / step) * step;
+    return { billed_seconds: billed, cost: billed / 60 * price.per_minute };
+  }
+  if (FREE_LLM_PROVIDERS.includes(entry.provider)) return { cost: 0 };
+  const price = llmPrice(prices.llm, entry.model);
+  if (!price) return { cost: 0 };
+  return { cost: (entry.prompt_tokens * price.prompt + entry.completion_tokens * price.completion) / 1e6 };
+}
+
+// Цены по умолчанию, поверх — сохранённые админом (settings.ai_prices)
+async function getAiPrices() {
+  const saved = await getSetting(AI_PRICES_SETTING);
+  return {
+    stt: { ...DEFAULT_AI_PRICES.stt, ...saved?.stt },
+    llm: { ...DEFAULT_AI_PRICES.llm, ...saved?.llm }
+  };
+}
+
+function validateAiPrices(body) {
+  const fields = { stt: ['per_minute', 'increment_seconds'], llm: ['prompt', 'completion'] };
+  for (const [kind, names] of Object.entries(fields)) {
+    const table = body?.[kind];
+    if (table === undefined) continue;
+    if (typeof table !== 'object' || Array.isArray(table)) return `${kind}: объект { имя: цены }`;
+    for (const [name, price] of Object.entries(table)) {
+      for (const field of names) {
+        if (price?.[field] !== undefined && !(typeof price[field] === 'number' && price[field] >= 0)) {
+          return `${kind}.${name}.${field}: число ≥ 0`;
+        }
+      }
+      if (kind === 'stt' && price?.per_minute === undefined) return `stt.${name}.per_minute обязателен`;
+      if (kind === 'llm' && (price?.prompt === undefined || price?.completion === undefined)) {
+        return `llm.${name}: prompt и completion обязательны`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Расход в ai_usage: строка на этап + провайдер + модель + канал, стоимость по текущим ценам
+ *
+ * @param {Object} usage - createUsageMeter()
+ * @param {Object} context - { clinicId, callId?, chatId?, managerId? }
+ */
+async function saveUsage(usage, { clinicId = null, callId = null, chatId = null, managerId = null }) {
+  if (!usage.entries.length) return;
+  const prices = await getAiPrices();
+  const add = (total, value) => (value == null ? total : (total || 0) + value);
+  const rows = new Map();
+  for (const entry of usage.entries) {
+    const { billed_seconds: billed, cost } = usageCost(entry, prices);
+    const key = [entry.stage, entry.provider, entry.model, entry.channel].join('|');
+    const row = rows.get(key) || {
+      clinic_id: clinicId, call_id: callId, chat_id: chatId, manager_id: managerId,
+      stage: entry.stage, provider: entry.provider, model: entry.model || null, channel: entry.channel || null,
+      audio_seconds: null, billed_seconds: null, prompt_tokens: null, completion_tokens: null, requests: 0, cost: 0
+    };
+    row.audio_seconds = add(row.audio_seconds, entry.audio_seconds);
+    row.billed_seconds = add(row.billed_seconds, billed);
+    row.prompt_tokens = add(row.prompt_tokens, entry.prompt_tokens);
+    row.completion_tokens = add(row.completion_tokens, entry.completion_tokens);
+    row.requests++;
+    row.cost += cost;
+    rows.set(key, row);
+  }
+  const { error } = await supabase.from('ai_usage').insert([...rows.values()]);
+  if (error) throw new Error(error.message);
+}
+
+// Лимиты клиники: budget_* (null — из env, 0 — без ограничения) → сумма или null
+function clinicBudget(clinic) {
+  const limit = (value, fallback) => {
+    const amount = Number(value ?? fallback);
+    return amount > 0 ? amount : null;
+  };
+  return { daily: limit(clinic?.budget_daily, AI_BUDGET_DAILY), monthly: limit(clinic?.budget_monthly, AI_BUDGET_MONTHLY) };
+}
+
+function validateBudget(fields) {
+  for (const field of ['budget_daily', 'budget_monthly']) {
+    const value = fields[field];
+    if (value !== undefined && value !== null && !(typeof value === 'number' && value >= 0)) {
+      return `${field}: сумма ≥ 0 (0 — без ограничения) или null`;
+    }
+  }
+  return null;
+}
+
+// Потрачено за текущие сутки и месяц (по REPORT_TIMEZONE) против лимитов
+async function clinicBudgetStatus(clinic) {
+  const limits = clinicBudget(clinic);
+  const now = new Date();
+  const p = zonedParts(now);
+  const periods = { daily: zonedMidnight(now), monthly: zonedTime(p.year, p.month, 1) };
+  const status = { exceeded: false };
+  for (const [period, since] of Object.entries(periods)) {
+    const { data: spent, error } = await supabase.rpc('ai_spend', { p_clinic_id: clinic.id, p_since: since.toISOString() });
+    if (error) throw new Error(error.message);
+    status[period] = { limit: limits[period], spent: Number(spent) };
+    if (limits[period] !== null && Number(spent) >= limits[period]) status.exceeded = true;
+  }
+  return status;
+}
+
+/**
+ * Можно ли ставить звонки клиники в очередь автоматически (бюджет не исчерпан)
+ *
+ * Ошибка проверки не останавливает анализ. Выход из паузы (новые сутки/месяц, поднят лимит)
+ * ставит в очередь звонки, пропущенные за время паузы.
+ */
+async function autoAnalysisAllowed(clinic) {
+  if (!clinic) return true;
+  const limits = clinicBudget(clinic);
+  let status = { exceeded: false };
+  if (limits.daily || limits.monthly) {
+    try {
+      status = await clinicBudgetStatus(clinic);
+    } catch (error) {
+      logger.error('Budget check failed', { clinicId: clinic.id, error: error.message });
+    }
+  }
+  if (status.exceeded) {
+    if (!budgetPausedClinics.has(clinic.id)) {
+      budgetPausedClinics.add(clinic.id);
+      logger.warn('💸 Бюджет на ИИ исчерпан — автоанализ новых звонков на паузе', {
+        clinicId: clinic.id, daily: status.daily, monthly: status.monthly, currency: COST_CURRENCY
+      });
+    }
+    return false;
+  }
+  if (budgetPausedClinics.delete(clinic.id)) {
+    logger.info('💸 Бюджет на ИИ доступен — автоанализ возобновлён', { clinicId: clinic.id });
+    enqueueUnscoredCalls(BUDGET_CATCH_UP_DAYS, clinic.id).catch(err => {
+      logger.error('Enqueue unscored calls failed', { clinicId: clinic.id, error: err.message });
+    });
+  }
+  return true;
+}
+
+// Расходы за период (from, to — по времени запроса к провайдеру; по умолчанию текущий месяц)
+app.get('/api/stats/costs', requireRole('admin', 'head'), async (req, res) => {
+  const now = new Date();
+  const p = zonedParts(now);
+  const from = parseDateParam(req.query.from ?? zonedTime(p.year, p.month, 1).toISOString(), 'from');
+  const to = parseDateParam(req.query.to ?? undefined, 'to');
+  if (from.error || to.error) return res.status(400).json({ error: from.error || to.error });
+  try {
+    const { data: report, error } = await supabase.rpc('ai_cost_report', {
+      p_clinic_id: req.clinicId, p_from: from.value, p_to: to.value, p_timezone: REPORT_TIMEZONE
+    });
+    if (error) throw new Error(error.message);
+
+    let clinics = await loadClinics();
+    if (req.clinicId) clinics = clinics.filter(c => c.id === req.clinicId);
+    const budgets = [];
+    for (const clinic of clinics.filter(c => c.is_active)) {
+      budgets.push({ clinic_id: clinic.id, name: clinic.name, ...await clinicBudgetStatus(clinic) });
+    }
+    res.json({ currency: COST_CURRENCY, from: from.value, to: to.value, ...report, budgets });
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+app.get('/api/costs/prices', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ currency: COST_CURRENCY, prices: await getAiPrices(), defaults: DEFAULT_AI_PRICES });
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+// Таблица цен: { stt: { provider: { per_minute, increment_seconds } }, llm: { model: { prompt, completion } } }
+// Действует для новых расходов; уже записанные строки не пересчитываются. Таблица общая для сети — только сетевому админу
+app.put('/api/costs/prices', requireRole('admin'), requireNetworkUser, async (req, res) => {
+  const invalid = validateAiPrices(req.body);
+  if (invalid) return res.status(400).json({ error: invalid });
+  try {
+    await saveSetting(AI_PRICES_SETTING, { stt: req.body.stt || {}, llm: req.body.llm || {} });
+    logger.info('💲 AI prices updated', { by: req.user.id });
+    res.json({ currency: COST_CURRENCY, prices: await getAiPrices() });
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+// ==================== ОТЧЁТЫ: CSV / XLSX / PDF ====================
+
+const REPORT_FORMATS = ['csv', 'xlsx'];
+const REPORT_PAGE_SIZE = 1000;
+
+// Названия блоков старых оценок (до рубрик) — как в карточке звонка
+const LEGACY_BLOCK_NAMES = [
+  'Установление контакта', 'Выявление боли', 'Презентация решения',
+  'Запись', 'Отработка возражений', 'Финализация'
+];
+// Веса старого промпта: итог = этапы 1-4 (20/30/40/10%), блоки 5-6 в итог не входили
+const LEGACY_BLOCK_WEIGHTS = [20, 30, 40, 10, 0, 0];
+
+const CLIENT_INFO_SECTIONS = [
+  { key: 'facts', title: 'Факты' },
+  { key: 'needs', title: 'Потребности' },
+  { key: 'pains', title: 'Боли' },
+  { key: 'objections', title: 'Возражения' }
+];
+
+const DIRECTION_NAMES = { incoming: 'Входящий', outgoing: 'Исходящий' };
+
+// Блоки оценки: по рубрике (block_scores) или block1..block6 у старых оценок
+function callScoreBlocks(score) {
+  if (!score) return [];
+  if (score.block_scores) return score.block_scores;
+  return LEGACY_BLOCK_NAMES.map((name, i) => ({
+    key: `block${i + 1}`,
+    name,
+    weight: LEGACY_BLOCK_WEIGHTS[i],
+    score: score[`block${i + 1}_score`],
+    explanation: score.score_explanations?.[`block${i + 1}`]
+  }));
+}
+
+function formatDuration(seconds) {
+  return seconds ? formatTimestamp(seconds) : '';
+}
+
+function formatReportDate(value) {
+  return value ? new Date(value).toLocaleString('ru-RU', { timeZone: REPORT_TIMEZONE }) : '';
+}
+
+// Имена, номера и резюме приходят извне (Битрикс, WhatsApp): строка с =, +, -, @ в начале
+// в Excel стала бы формулой — экранируем апострофом. В XLSX строки пишутся текстом, не формулой
+const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && CSV_FORMULA_START.test(text)) text = `'${text}`;
+  return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Отдаёт таблицу файлом
+ *
+ * CSV — с BOM и разделителем ";", чтобы русский Excel открывал двойным кликом.
+ *
+ * @param {Object} res
+ * @param {Object} table
+ * @param {string} table.format - 'csv' | 'xlsx'
+ * @param {string} table.filename - имя файла без расширения
+ * @param {string} table.sheet - название листа XLSX
+ * @param {Array<{header: string, key: string, width?: number}>} table.columns
+ * @param {Array<Object>} table.rows
+ */
+async function sendReportTable(res, { format, filename, sheet, columns, rows }) {
+  res.set('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+  if (format === 'csv') {
+    const lines = [columns.map(c => csvCell(c.header)).join(';')]
+      .concat(rows.map(row => columns.map(c => csvCell(row[c.key])).join(';')));
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    return res.send('\uFEFF' + lines.join('\r\n'));
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet(sheet);
+  worksheet.columns = columns.map(c => ({ header: c.header, key: c.key, width: c.width || 14 }));
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+  rows.forEach(row => worksheet.addRow(row));
+  res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  await workbook.xlsx.write(res);
+  res.end();
+}
+
+function parseReportFormat(req) {
+  const format = req.query.format || 'xlsx';
+  return REPORT_FORMATS.includes(format) ? format : null;
+}
+
+// Суффикс имени файла по периоду: _2026-10-01_2026-10-19
+function reportPeriodSuffix(filters) {
+  return [filters.from, filters.to].filter(Boolean).map(d => `_${d.slice(0, 10)}`).join('');
+}
+
+// Все строки call_list по фильтрам (не больше REPORT_MAX_ROWS) + полные оценки с блоками
+async function loadReportCalls(req, filters) {
+  const rows = [];
+  if (filters.managerIds?.length === 0) return rows;
+  while (rows.length < REPORT_MAX_ROWS) {
+    const query = applyCallFilters(scopeToClinic(supabase.from('call_list').select('*'), req), filters)
+      .order('call_date', { ascending: false })
+      .order('id', { ascending: false })
+      .range(rows.length, Math.min(rows.length + REPORT_PAGE_SIZE, REPORT_MAX_ROWS) - 1);
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+    rows.push(...data);
+    if (data.length < REPORT_PAGE_SIZE) break;
+  }
+  return attachCallScores(rows);
+}
+
+// Строкам call_list — оценка по блокам (score: null у непроанализированных)
+async function attachCallScores(rows) {
+  const scoredIds = rows.filter(r => r.score_id).map(r => r.id);
+  const scores = {};
+  for (let i = 0; i < scoredIds.length; i += 200) {
+    const { data, error } = await supabase.from('call_scores')
+      .select('call_id, block_scores, block1_score, block2_score, block3_score, block4_score, block5_score, block6_score, score_explanations, critical_error_type, rubric_version')
+      .in('call_id', scoredIds.slice(i, i + 200));
+    if (error) throw new Error(error.message);
+    data.forEach(s => { scores[s.call_id] = s; });
+  }
+  return rows.map(r => ({ ...r, score: scores[r.id] || null }));
+}
+
+// Рейтинг администраторов за период: ?format=csv|xlsx&from&to + фильтры списка звонков
+app.get('/api/reports/ranking', requireRole('admin', 'head'), async (req, res) => {
+  try {
+    const format = parseReportFormat(req);
+    if (!format) return res.status(400).json({ error: `format: ${REPORT_FORMATS.join(' | ')}` });
+    const { filters, error: filterError } = parseCallFilters(req);
+    if (filterError) return res.status(400).json({ error: filterError });
+    const { data, error } = await supabase.rpc('manager_ranking', callStatsRpcArgs(req, filters));
+    if (error) throw new Error(error.message);
+
+    await sendReportTable(res, {
+      format,
+      filename: `ranking${reportPeriodSuffix(filters)}`,
+      sheet: 'Рейтинг',
+      columns: [
+        { header: 'Место', key: 'place', width: 8 },
+        { header: 'Администратор', key: 'name', width: 30 },
+        { header: 'Звонков', key: 'total_calls' },
+        { header: 'Проанализировано', key: 'analyzed_calls', width: 18 },
+        { header: 'Средний балл', key: 'avg_score' },
+        { header: 'Успешных (80+)', key: 'successful', width: 16 }
+      ],
+      rows: data.map((m, i) => ({ ...m, place: i + 1, avg_score: m.avg_score === null ? null : Number(m.avg_score) }))
+    });
+  } catch (error) {
+    logger.error('Ranking report failed', { error: error.message });
+    if (!res.headersSent) res.status(500).json({ error: error.message });
+  }
+});
+
+// Звонки с баллами по всем блокам: ?format=csv|xlsx&<фильтры /api/calls>
+app.get('/api/reports/calls', async (req, res) => {
+  try {
+    const format = parseReportFormat(req);
+    if (!format) return res.status(400).json({ error: `format: ${REPORT_FORMATS.join(' | ')}` });
+    const { filters, error: filterError } = parseCallFilters(req);
+    if (filterError) return res.status(400).json({ error: filterError });
+    const calls = await loadReportCalls(req, filters);
+
+    // Колонки блоков — объединение блоков всех рубрик в порядке появления
+    const blockColumns = [];
+    const seen = new Set();
+    calls.forEach(c => callScoreBlocks(c.score).forEach(b => {
+      if (seen.has(b.key)) return;
+      seen.add(b.key);
+      blockColumns.push({ header: b.name, key: `block:${b.key}`, width: 16 });
+    }));
+
+    const rows = calls.map(c => {
+      const row = {
+        id: c.id,
+        call_date: formatReportDate(c.call_date),
+        manager: c.manager_name || '',
+        client: c.client_name || '',
+        direction: DIRECTION_NAMES[c.call_direction] || c.call_direction || '',
+        duration: formatDuration(c.duration),
+        call_type: c.call_type || '',
+        total_score: c.total_score,
+        is_successful: c.score_id ? (c.is_successful ? 'да' : 'нет') : '',
+        critical_error: c.has_critical_error ? (c.score?.critical_error_type || 'да') : '',
+        ai_summary: c.ai_summary || ''
+      };
+      callScoreBlocks(c.score).forEach(b => { row[`block:${b.key}`] = b.score; });
+      return row;
+    });
+
+    await sendReportTable(res, {
+      format,
+      filename: `calls${reportPeriodSuffix(filters)}`,
+      sheet: 'Звонки',
+      columns: [
+        { header: 'ID', key: 'id', width: 8 },
+        { header: 'Дата', key: 'call_date', width: 20 },
+        { header: 'Администратор', key: 'manager', width: 26 },
+        { header: 'Пациент', key: 'client', width: 24 },
+        { header: 'Направление', key: 'direction' },
+        { header: 'Длит.', key: 'duration', width: 8 },
+        { header: 'Тип', key: 'call_type' },
+        { header: 'Балл', key: 'total_score', width: 8 },
+        ...blockColumns,
+        { header: 'Записан', key: 'is_successful', width: 10 },
+        { header: 'Критическая ошибка', key: 'critical_error', width: 20 },
+        { header: 'Резюме', key: 'ai_summary', width: 60 }
+      ],
+      rows
+    });
+  } catch (error) {
+    logger.error('Calls report failed', { error: error.message });
+    if (!res.headersSent) res.status(500).json({ error: error.message });
+  }
+});
+
+// Шрифт с кириллицей; без него PDF соберётся стандартным Helvetica (кириллица пропадёт)
+function setupReportFonts(doc) {
+  if (fs.existsSync(REPORT_FONT) && fs.existsSync(REPORT_FONT_BOLD)) {
+    doc.registerFont('body', REPORT_FONT);
+    doc.registerFont('bold', REPORT_FONT_BOLD);
+  } else {
+    logger.warn('⚠️ Шрифт для PDF не найден — кириллица не отобразится', { font: REPORT_FONT });
+    doc.registerFont('body', 'Helvetica');
+    doc.registerFont('bold', 'Helvetica-Bold');
+  }
+  doc.font('body');
+}
+
+/**
+ * Карта оценки звонка для печати: шапка, итог, резюме РОПа, client_info,
+ * блоки с объяснениями и диалог
+ *
+ * @returns {PDFDocument} документ (ещё не завершён — вызвать doc.end() после pipe)
+ */
+function buildScorecardPdf(call, score) {
+  const doc = new PDFDocument({ size: 'A4', margin: 48, info: { Title: `Звонок #${call.id}` } });
+  setupReportFonts(doc);
+
+  const heading = text => {
+    doc.moveDown(0.8).font('bold').fontSize(13).fillColor('#0f172a').text(text).moveDown(0.3);
+    doc.font('body').fontSize(10).fillColor('#334155');
+  };
+
+  doc.font('bold').fontSize(18).fillColor('#0f172a').text(`Карта оценки звонка #${call.id}`);
+  doc.moveDown(0.5).font('body').fontSize(10).fillColor('#334155');
+  [
+    ['Администратор', call.manager?.name],
+    ['Пациент', call.client_name],
+    ['Дата', formatReportDate(call.call_date)],
+    ['Длительность', formatDuration(call.duration)],
+    ['Направление', DIRECTION_NAMES[call.call_direction]],
+    ['Тип звонка', score?.call_type],
+    ['Рубрика', score?.rubric_version ? `v${score.rubric_version}` : null]
+  ].filter(([, value]) => value).forEach(([label, value]) => {
+    doc.font('bold').text(`${label}: `, { continued: true }).font('body').text(String(value));
+  });
+
+  if (!score) {
+    heading('Оценка');
+    doc.text('Звонок ещё не проанализирован');
+  } else {
+    const color = score.total_score >= 80 ? '#059669' : score.total_score >= 60 ? '#d97706' : '#dc2626';
+    doc.moveDown(0.8).font('bold').fontSize(28).fillColor(color).text(`${score.total_score}/100`);
+    doc.font('body').fontSize(11).fillColor('#334155')
+      .text(score.is_successful ? 'Пациент записан' : 'Запись не состоялась');
+    if (score.has_critical_error) {
+      doc.fillColor('#dc2626').text(`Критическая ошибка: ${score.critical_error_type || ''}`).fillColor('#334155');
+    }
+
+    if (score.ai_summary) {
+      heading('Резюме РОПа');
+      doc.text(score.ai_summary);
+    }
+
+    heading('Информация о пациенте');
+    CLIENT_INFO_SECTIONS.forEach(({ key, title }) => {
+      const items = score.client_info?.[key] || [];
+      doc.font('bold').text(title).font('body');
+      doc.text(items.length ? items.map(i => `• ${i}`).join('\n') : '—', { indent: 10 }).moveDown(0.3);
+    });
+
+    heading('Оценка по блокам');
+    callScoreBlocks(score).forEach(b => {
+      doc.font('bold').text(`${b.name}${b.weight ? ` (${b.weight}%)` : ''}: ${b.score ?? '—'}`).font('body');
+      if (b.explanation) doc.text(b.explanation, { indent: 10 });
+      doc.moveDown(0.3);
+    });
+  }
+
+  const turns = call.transcript_formatted || [];
+  if (turns.length || call.transcript) {
+    heading('Диалог');
+    if (turns.length) {
+      turns.forEach(t => {
+        const time = typeof t.start === 'number' ? `[${formatTimestamp(t.start)}] ` : '';
+        const role = t.role === 'manager' ? 'Администратор' : 'Пациент';
+        doc.font('bold').text(`${time}${role}: `, { continued: true }).font('body').text(t.text).moveDown(0.2);
+      });
+    } else {
+      doc.text(call.transcript);
+    }
+  }
+
+  return doc;
+}
+
+app.get('/api/calls/:id/scorecard.pdf', async (req, res) => {
+  try {
+    const { data: call } = await supabase.from('calls').select('*, manager:managers(name)').eq('id', req.params.id).maybeSingle();
+    if (!call) return res.status(404).json({ error: 'Звонок не найден' });
+    if (!canAccessCall(req.user, call) || (req.clinicId && call.clinic_id !== req.clinicId)) {
+      return res.status(403).json({ error: 'Недостаточно прав' });
+    }
+    const { data: score } = await supabase.from('call_scores').select('*').eq('call_id', call.id).maybeSingle();
+
+    const doc = buildScorecardPdf(call, score);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="scorecard_${call.id}.pdf"`
+    });
+    doc.pipe(res);
+    doc.end();
+  } catch (error) {
+    logger.error('Scorecard PDF failed', { callId: req.params.id, error: error.message });
+    if (!res.headersSent) res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== ДАЙДЖЕСТЫ: TELEGRAM / EMAIL ====================
+//
+//  Раз в DIGEST_CHECK_INTERVAL_MS планировщик смотрит локальное время клиники (REPORT_TIMEZONE):
+//  после DIGEST_HOUR — дневной дайджест за вчера, в DIGEST_WEEKDAY — ещё и недельный за 7 дней.
+//  Период отмечается в digest_recipients только после успешной отправки хотя бы в один канал.
+
+const DIGEST_PERIODS = {
+  daily: { label: 'Дневной отчёт', days: 1, flag: 'daily', sentColumn: 'last_daily_period_end' },
+  weekly: { label: 'Недельный отчёт', days: 7, flag: 'weekly', sentColumn: 'last_weekly_period_end' }
+};
+const DIGEST_TOP = 5;
+const DIGEST_MANAGERS_MAX = 15;
+const DIGEST_SUMMARY_MAX = 300;
+const TELEGRAM_MESSAGE_MAX = 4096;
+const DIGEST_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Локальные дата/время в часовом поясе отчётов
+function zonedParts(date, timeZone = REPORT_TIMEZONE) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', weekday: 'short',
+    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(date).map(p => [p.type, p.value]));
+  return {
+    year: +parts.year, month: +parts.month, day: +parts.day,
+    hour: +parts.hour, minute: +parts.minute, second: +parts.second,
+    weekday: WEEKDAY_INDEX[parts.weekday]
+  };
+}
+
+// Начало локальных суток, в которые попадает date (UTC-момент)
+function zonedMidnight(date, timeZone = REPORT_TIMEZONE) {
+  const p = zonedParts(date, timeZone);
+  const offsetMs = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(date.getTime() / 1000) * 1000;
+  return new Date(Date.UTC(p.year, p.month - 1, p.day) - offsetMs);
+}
+
+// Период дайджеста, закончившийся в начале сегодняшних локальных суток
+function digestPeriod(kind, now = new Date()) {
+  const to = zonedMidnight(now);
+  const from = zonedMidnight(new Date(to.getTime() - (DIGEST_PERIODS[kind].days - 0.5) * 24 * 60 * 60 * 1000));
+  return { kind, from, to };
+}
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function callLink(call) {
+  return APP_URL ? `${APP_URL.replace(/\/$/, '')}/#call=${call.id}` : call.crm_link;
+}
+
+// Самые частые возражения из client_info.objections (без учёта регистра и точки в конце)
+function topObjections(scores, limit = DIGEST_TOP) {
+  const counts = new Map();
+  for (const score of scores) {
+    for (const objection of score.client_info?.objections || []) {
+      const text = String(objection).trim();
+      const key = text.toLowerCase().replace(/[.!]+$/, '');
+      if (!key) continue;
+      const entry = counts.get(key) || { text, count: 0 };
+      entry.count++;
+      counts.set(key, entry);
+    }
+  }
+  return [...counts.values()].sort((a, b) => b.count - a.count).slice(0, limit);
+}
+
+/**
+ * Данные дайджеста за период
+ *
+ * @param {number|null} clinicId - null = все клиники
+ * @param {{from: Date, to: Date}} period
+ */
+async function buildDigest(clinicId, { kind, from, to }) {
+  // Границы включительно, как в call_stats: [from, to - 1 мс]
+  const range = { p_clinic_id: clinicId, p_from: from.toISOString(), p_to: new Date(to.getTime() - 1).toISOString() };
+  const inPeriod = (query, column = 'call_date') => query.gte(column, range.p_from).lte(column, range.p_to);
+  const inClinic = (query, column = 'clinic_id') => clinicId ? query.eq(column, clinicId) : query;
+
+  const [stats, ranking, worst, scores, unanalyzed, failed, overdue] = await Promise.all([
+    supabase.rpc('call_stats', { ...range, p_manager_ids: null }),
+    supabase.rpc('manager_ranking', range),
+    inClinic(inPeriod(supabase.from('call_list')
+      .select('id, manager_name, client_name, total_score, ai_summary, crm_link')
+      .not('score_id', 'is', null)))
+      .order('total_score', { ascending: true }).limit(DIGEST_TOP),
+    inClinic(inPeriod(supabase.from('call_scores')
+      .select('client_info, call:calls!inner(call_date, clinic_id)'), 'call.call_date'), 'call.clinic_id'),
+    inClinic(inPeriod(supabase.from('call_list').select('id', { count: 'exact', head: true })
+      .is('score_id', null).eq('has_audio', true))),
+    inClinic(inPeriod(supabase.from('analysis_jobs')
+      .select('id, call_id, last_error, call:calls!inner(call_date, clinic_id, client_name, crm_link)', { count: 'exact' })
+      .eq('status', 'failed'), 'call.call_date'), 'call.clinic_id')
+      .order('updated_at', { ascending: false }).limit(DIGEST_TOP),
+    // Просроченные перезвоны — на момент отправки, не за период
+    inClinic(supabase.from('follow_ups').select('id', { count: 'exact', head: true })
+      .in('status', FOLLOW_UP_ACTIVE).lt('due_at', new Date().toISOString()))
+  ]);
+  const firstError = [stats, ranking, worst, scores, unanalyzed, failed, overdue].find(r => r.error);
+  if (firstError) throw new Error(firstError.error.message);
+
+  const clinic = clinicId ? await getClinic(clinicId) : null;
+  return {
+    kind,
+    from,
+    to,
+    clinic: clinic ? clinic.name : null,
+    stats: stats.data,
+    managers: ranking.data.filter(m => m.total_calls > 0),
+    worstCalls: worst.data,
+    objections: topObjections(scores.data),
+    unanalyzedCount: unanalyzed.count || 0,
+    failedCount: failed.count || 0,
+    overdueFollowUps: overdue.count || 0,
+    failedCalls: failed.data.map(j => ({ id: j.call_id, client_name: j.call.client_name, crm_link: j.call.crm_link, last_error: j.last_error }))
+  };
+}
+
+/**
+ * Текст дайджеста: HTML из тегов, которые понимает Telegram (b, i, a), для письма — то же с <br>
+ *
+ * @returns {{subject: string, html: string, text: string}}
+ */
+function renderDigest(digest) {
+  const dateFormat = { timeZone: REPORT_TIMEZONE, day: '2-digit', month: '2-digit' };
+  const lastDay = new Date(digest.to.getTime() - 1);
+  const periodText = digest.kind === 'daily'
+    ? lastDay.toLocaleDateString('ru-RU', dateFormat)
+    : `${digest.from.toLocaleDateString('ru-RU', dateFormat)}–${lastDay.toLocaleDateString('ru-RU', dateFormat)}`;
+  const subject = `CallMind: ${DIGEST_PERIODS[digest.kind].label.toLowerCase()} ${periodText} — ${digest.clinic || 'все клиники'}`;
+  const link = (call, text) => {
+    const url = callLink(call);
+    return url ? `<a href="${escapeHtml(url)}">${escapeHtml(text)}</a>` : escapeHtml(text);
+  };
+
+  const { stats } = digest;
+  const lines = [
+    `<b>${escapeHtml(subject)}</b>`,
+    '',
+    `📞 Звонков: <b>${stats.total_calls}</b>, проанализировано: ${stats.analyzed}`,
+    `⭐ Средний балл: <b>${stats.avg_score ?? '—'}</b>, успешных (80+): ${stats.successful}, проблемных (&lt;60): ${stats.problem}`
+  ];
+
+  if (digest.managers.length) {
+    lines.push('', '<b>Администраторы</b>');
+    digest.managers.slice(0, DIGEST_MANAGERS_MAX).forEach(m => {
+      lines.push(`• ${escapeHtml(m.name)}: ${m.avg_score ?? '—'} (звонков ${m.total_calls}, оценено ${m.analyzed_calls})`);
+    });
+    if (digest.managers.length > DIGEST_MANAGERS_MAX) lines.push(`<i>и ещё ${digest.managers.length - DIGEST_MANAGERS_MAX}</i>`);
+  }
+
+  if (digest.worstCalls.length) {
+    lines.push('', '<b>Худшие звонки</b>');
+    digest.worstCalls.forEach(c => {
+      lines.push(`• ${link(c, `${c.total_score} — ${c.manager_name || 'Администратор'}${c.client_name ? `, ${c.client_name}` : ''}`)}`);
+      if (c.ai_summary) lines.push(`  <i>${escapeHtml(c.ai_summary.slice(0, DIGEST_SUMMARY_MAX))}</i>`);
+    });
+  }
+
+  if (digest.objections.length) {
+    lines.push('', '<b>Частые возражения</b>');
+    digest.objections.forEach(o => lines.push(`• ${escapeHtml(o.text)} — ${o.count}`));
+  }
+
+  if (digest.unanalyzedCount || digest.failedCount || digest.overdueFollowUps) {
+    lines.push('', '<b>Требует внимания</b>');
+    if (digest.overdueFollowUps) lines.push(`• Просроченные перезвоны: ${digest.overdueFollowUps}`);
+    if (digest.unanalyzedCount) lines.push(`• Без анализа: ${digest.unanalyzedCount}`);
+    if (digest.failedCount) {
+      lines.push(`• Ошибка анализа: ${digest.failedCount}`);
+      digest.failedCalls.forEach(c => {
+        lines.push(`  ${link(c, `#${c.id}${c.client_name ? ` ${c.client_name}` : ''}`)}: ${escapeHtml((c.last_error || '').slice(0, 120))}`);
+      });
+    }
+  }
+
+  const html = lines.join('\n');
+  const text = html.replace(/<a href="([^"]*)">([^<]*)<\/a>/g, '$2 ($1)').replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+  return { subject, html, text };
+}
+
+// Telegram режет сообщения длиннее 4096 символов — делим по строкам, теги внутри строки не рвутся
+function splitTelegramMessage(html) {
+  const parts = [];
+  let current = '';
+  for (const line of html.split('\n')) {
+    if (current && current.length + 1 + line.length > TELEGRAM_MESSAGE_MAX) {
+      parts.push(current);
+      current = line;
+    } else {
+      current = current ? `${current}\n${line}` : line;
+    }
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+let mailTransport = null;
+function getMailTransport() {
+  if (!mailTransport) {
+    mailTransport = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: SMTP_PORT,
+      secure: SMTP_SECURE,
+      auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined
+    });
+  }
+  return mailTransport;
+}
+
+// Каналы доставки; адрес получателя в канале — target(recipient)
+const DIGEST_CHANNELS = {
+  telegram: {
+    isConfigured: () => !!TELEGRAM_BOT_TOKEN,
+    target: recipient => recipient.telegram_chat_id,
+    async send(chatId, message) {
+      for (const text of splitTelegramMessage(message.html)) {
+        await axios.post(`${TELEGRAM_API_URL}/bot${TELEGRAM_BOT_TOKEN}/sendMessage`, {
+          chat_id: chatId,
+          text,
+          parse_mode: 'HTML',
+          disable_web_page_preview: true
+        }, { timeout: 15000 });
+      }
+    }
+  },
+
+  email: {
+    isConfigured: () => !!SMTP_HOST,
+    target: recipient => recipient.email,
+    async send(to, message) {
+      await getMailTransport().sendMail({
+        from: SMTP_FROM,
+        to,
+        subject: message.subject,
+        text: message.text,
+        html: `<div style="font-family:Arial,sans-serif;font-size:14px;line-height:1.5">${message.html.replace(/\n/g, '<br>')}</div>`
+      });
+    }
+  }
+};
+
+/**
+ * Отправляет сообщение во все каналы получателя
+ *
+ * @returns {Promise<string[]>} каналы, куда доставлено; ошибки каналов логируются
+ */
+async function deliverDigest(recipient, message) {
+  const delivered = [];
+  for (const [name, channel] of Object.entries(DIGEST_CHANNELS)) {
+    const target = channel.target(recipient);
+    if (!target) continue;
+    if (!channel.isConfigured()) {
+      logger.warn(`Digest channel ${name} not configured`, { recipientId: recipient.id });
+      continue;
+    }
+    try {
+      await channel.send(target, message);
+      delivered.push(name);
+    } catch (error) {
+      logger.error(`Digest delivery via ${name} failed`, {
+        recipientId: recipient.id,
+        error: error.response?.data?.description || error.message
+      });
+    }
+  }
+  return delivered;
+}
+
+let digestScheduleRunning = false;
+
+// Планировщик: дневной (и в DIGEST_WEEKDAY недельный) дайджест получателям, кому ещё не отправлен
+async function runDigestSchedule(now = new Date()) {
+  const local = zonedParts(now);
+  if (local.hour < DIGEST_HOUR || digestScheduleRunning) return;
+  digestScheduleRunning = true;
+  try {
+    await sendDueDigests(now, local);
+  } finally {
+    digestScheduleRunning = false;
+  }
+}
+
+async function sendDueDigests(now, local) {
+  const kinds = local.weekday === DIGEST_WEEKDAY ? ['daily', 'weekly'] : ['daily'];
+
+  const { data: recipients, error } = await supabase.from('digest_recipients').select('*').eq('is_active', true);
+  if (error) throw new Error(error.message);
+
+  for (const kind of kinds) {
+    const period = digestPeriod(kind, now);
+    const { flag, sentColumn } = DIGEST_PERIODS[kind];
+    const due = recipients.filter(r => r[flag] && (!r[sentColumn] || new Date(r[sentColumn]) < period.to));
+    const messages = new Map(); // clinic_id → сообщение, считаем один раз на клинику
+
+    for (const recipient of due) {
+      try {
+        const clinicKey = recipient.clinic_id ?? 'all';
+        if (!messages.has(clinicKey)) messages.set(clinicKey, renderDigest(await buildDigest(recipient.clinic_id, period)));
+        const delivered = await deliverDigest(recipient, messages.get(clinicKey));
+        if (!delivered.length) continue;
+        await supabase.from('digest_recipients').update({ [sentColumn]: period.to.toISOString() }).eq('id', recipient.id);
+        logger.info(`📨 Digest sent`, { kind, recipientId: recipient.id, channels: delivered });
+      } catch (error) {
+        logger.error('Digest failed', { kind, recipientId: recipient.id, error: error.message });
+      }
+    }
+  }
+}
+
+// ==================== DIGESTS API ====================
+
+const DIGEST_RECIPIENT_FIELDS = ['name', 'email', 'telegram_chat_id', 'daily', 'weekly', 'is_active', 'clinic_id'];
+
+function pickDigestRecipientFields(body) {
+  return Object.fromEntries(DIGEST_RECIPIENT_FIELDS.filter(f => body?.[f] !== undefined).map(f => [f, body[f]]));
+}
+
+function validateDigestRecipient(fields) {
+  if (fields.email && !/^[^\s@]+@[^\s@]+$/.test(fields.email)) return 'email: некорректный адрес';
+  if (fields.telegram_chat_id && !/^-?\d+$|^@\w+$/.test(String(fields.telegram_chat_id))) {
+    return 'telegram_chat_id: числовой ID чата или @канал';
+  }
+  return null;
+}
+
+// Получатель в пределах клиники пользователя / выбранной клиники; null — нет доступа
+async function findScopedRecipient(req, id) {
+  const { data: recipient } = await supabase.from('digest_recipients').select('*').eq('id', id).maybeSingle();
+  if (!recipient) return null;
+  if (req.user.clinic_id && recipient.clinic_id !== req.user.clinic_id) return null;
+  if (req.clinicId && recipient.clinic_id && recipient.clinic_id !== req.clinicId) return null;
+  return recipient;
+}
+
+app.get('/api/digests/recipients', requireRole('admin', 'head'), async (req, res) => {
+  const { data, error } = await scopeToClinic(supabase.from('digest_recipients').select('*').order('name'), req);
+  res.json(error ? { error: error.message } : data);
+});
+
+app.post('/api/digests/recipients', requireRole('admin', 'head'), async (req, res) => {
+  const fields = pickDigestRecipientFields(req.body);
+  if (!fields.name) return res.status(400).json({ error: 'name обязателен' });
+  if (!fields.email && !fields.telegram_chat_id) return res.status(400).json({ error: 'Нужен email или telegram_chat_id' });
+  const validationError = validateDigestRecipient(fields);
+  if (validationError) return res.status(400).json({ error: validationError });
+  // Сотрудник клиники — только для своей клиники; сетевой — для выбранной или всех (clinic_id: null)
+  if (req.user.clinic_id) fields.clinic_id = req.user.clinic_id;
+  else if (fields.clinic_id === undefined) fields.clinic_id = req.clinicId;
+  try {
+    const { data, error } = await supabase.from('digest_recipients')
+      .insert({ ...fields, created_by: req.user.id }).select().single();
+    if (error) return res.status(400).json({ error: error.message });
+    logger.info('Digest recipient created', { recipientId: data.id, by: req.user.id });
+    res.status(201).json(data);
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+app.put('/api/digests/recipients/:id', requireRole('admin', 'head'), async (req, res) => {
+  const fields = pickDigestRecipientFields(req.body);
+  if (req.user.clinic_id) delete fields.clinic_id;
+  const validationError = validateDigestRecipient(fields);
+  if (validationError) return res.status(400).json({ error: validationError });
+  try {
+    if (!await findScopedRecipient(req, req.params.id)) return res.status(404).json({ error: 'Получатель не найден' });
+    const { data, error } = await supabase.from('digest_recipients')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id).select().single();
+    if (error) return res.status(400).json({ error: error.message });
+    logger.info('Digest recipient updated', { recipientId: data.id, fields: Object.keys(fields), by: req.user.id });
+    res.json(data);
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+app.delete('/api/digests/recipients/:id', requireRole('admin', 'head'), async (req, res) => {
+  try {
+    if (!await findScopedRecipient(req, req.params.id)) return res.status(404).json({ error: 'Получатель не найден' });
+    await supabase.from('digest_recipients').delete().eq('id', req.params.id);
+    logger.info('Digest recipient deleted', { recipientId: req.params.id, by: req.user.id });
+    res.json({ success: true });
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+// Предпросмотр дайджеста выбранной клиники: ?period=daily|weekly
+app.get('/api/digests/preview', requireRole('admin', 'head'), async (req, res) => {
+  const kind = req.query.period || 'daily';
+  if (!DIGEST_PERIODS[kind]) return res.status(400).json({ error: `period: ${Object.keys(DIGEST_PERIODS).join(' | ')}` });
+  try {
+    const digest = await buildDigest(req.clinicId, digestPeriod(kind));
+    res.json({ digest, message: renderDigest(digest) });
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+// Тестовая отправка получателю прямо сейчас (отметка об отправке периода не ставится)
+app.post('/api/digests/recipients/:id/send', requireRole('admin', 'head'), async (req, res) => {
+  const kind = req.body?.period || 'daily';
+  if (!DIGEST_PERIODS[kind]) return res.status(400).json({ error: `period: ${Object.keys(DIGEST_PERIODS).join(' | ')}` });
+  try {
+    const recipient = await findScopedRecipient(req, req.params.id);
+    if (!recipient) return res.status(404).json({ error: 'Получатель не найден' });
+    const message = renderDigest(await buildDigest(recipient.clinic_id, digestPeriod(kind)));
+    const delivered = await deliverDigest(recipient, message);
+    if (!delivered.length) return res.status(502).json({ error: 'Не удалось доставить ни в один канал, подробности в логах' });
+    res.json({ success: true, channels: delivered });
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+// ==================== КОУЧИНГ АДМИНИСТРАТОРОВ ====================
+// Профиль: динамика блоков по неделям, повторяющиеся слабые места (кластеры пояснений
+// к слабым блокам), лучшие/худшие звонки и план коучинга от LLM (coaching_plans).
+
+const COACHING_WEEKS_DEFAULT = 8;
+const COACHING_WEEKS_MAX = 26;
+const COACHING_WEAK_SCORE = 60;        // блок ниже — слабое место звонка
+const COACHING_SIMILARITY = 0.3;       // Жаккар по основам слов: порог попадания в кластер
+const COACHING_WEAKNESSES_MAX = 8;
+const COACHING_EXAMPLES = 3;
+const COACHING_PLAN_CALLS = 20;
+const COACHING_PLAN_CALLS_MAX = 50;
+const COACHING_PLAN_MIN_CALLS = 3;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Частые слова пояснений, которые не говорят о сути ошибки
+const COACHING_STOPWORDS = new Set([
+  'администратор', 'администратора', 'пациент', 'пациента', 'пациенту', 'клиент', 'клиента',
+  'этап', 'этапе', 'звонок', 'звонке', 'было', 'была', 'были', 'этого', 'этом', 'того', 'также',
+  'только', 'очень', 'который', 'которая', 'когда', 'чтобы', 'после', 'перед', 'более', 'через'
+]);
+
+// Понедельник 00:00 (REPORT_TIMEZONE) недели, в которую попадает date
+function weekStart(date) {
+  const midnight = zonedMidnight(date);
+  const daysBack = (zonedParts(midnight).weekday + 6) % 7;
+  // +12 ч — чтобы смена смещения пояса не увела в соседние сутки
+  return zonedMidnight(new Date(midnight.getTime() - daysBack * 24 * 60 * 60 * 1000 + 12 * 60 * 60 * 1000));
+}
+
+function localDateLabel(date) {
+  const p = zonedParts(date);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+function average(values) {
+  const present = values.filter(v => typeof v === 'number');
+  return present.length ? Math.round(present.reduce((sum, v) => sum + v, 0) / present.length) : null;
+}
+
+/**
+ * Средний балл и по блокам за каждую неделю периода (пустые недели — null)
+ * delta — изменение блока между двумя последними неделями, где он оценивался
+ */
+function blockTrend(calls, from, weeks) {
+  const starts = [];
+  for (let i = 0, start = from; i < weeks; i++) {
+    starts.push(start);
+    start = weekStart(new Date(start.getTime() + WEEK_MS + 12 * 60 * 60 * 1000));
+  }
+  const index = new Map(starts.map((s, i) => [s.getTime(), i]));
+  const buckets = starts.map(() => ({ totals: [], blocks: {} }));
+  const blockNames = new Map();
+
+  for (const call of calls) {
+    const bucket = buckets[index.get(weekStart(new Date(call.call_date)).getTime())];
+    if (!bucket) continue;
+    bucket.totals.push(call.total_score);
+    for (const block of callScoreBlocks(call.score)) {
+      if (!blockNames.has(block.key)) blockNames.set(block.key, block.name);
+      (bucket.blocks[block.key] ||= []).push(block.score);
+    }
+  }
+
+  return {
+    weeks: starts.map((start, i) => ({
+      start: localDateLabel(start),
+      calls: buckets[i].totals.length,
+      avg_score: average(buckets[i].totals)
+    })),
+    blocks: [...blockNames].map(([key, name]) => {
+      const scores = buckets.map(b => average(b.blocks[key] || []));
+      const scored = scores.filter(s => s !== null);
+      return {
+        key,
+        name,
+        scores,
+        delta: scored.length >= 2 ? scored[scored.length - 1] - scored[scored.length - 2] : null
+      };
+    })
+  };
+}
+
+// Основы значимых слов пояснения: нижний регистр, без стоп-слов, первые 6 букв
+function explanationStems(text) {
+  return new Set(String(text).toLowerCase().replace(/ё/g, 'е')
+    .split(/[^a-zа-я0-9]+/)
+    .filter(w => w.length >= 4 && !COACHING_STOPWORDS.has(w))
+    .map(w => w.slice(0, 6)));
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let common = 0;
+  for (const w of a) if (b.has(w)) common++;
+  return common / (a.size + b.size - common);
+}
+
+/**
+ * Повторяющиеся слабые места: пояснения к блокам ниже COACHING_WEAK_SCORE,
+ * сгруппированные внутри блока по сходству слов (жадно, от новых звонков к старым).
+ * Кластер из одного звонка — не повторяющееся, в ответ не попадает.
+ */
+function recurringWeaknesses(calls) {
+  const clusters = [];
+  for (const call of calls) {
+    for (const block of callScoreBlocks(call.score)) {
+      if (typeof block.score !== 'number' || block.score >= COACHING_WEAK_SCORE) continue;
+      const text = String(block.explanation || '').trim();
+      if (!text || text === 'не используется') continue;
+      const stems = explanationStems(text);
+      let best = null;
+      let bestSimilarity = COACHING_SIMILARITY;
+      for (const cluster of clusters) {
+        if (cluster.block_key !== block.key) continue;
+        const similarity = jaccard(stems, cluster.stems);
+        if (similarity >= bestSimilarity) { best = cluster; bestSimilarity = similarity; }
+      }
+      if (!best) {
+        best = { block_key: block.key, block_name: block.name, example: text, stems, scores: [], call_ids: [] };
+        clusters.push(best);
+      }
+      best.scores.push(block.score);
+      best.call_ids.push(call.id);
+    }
+  }
+
+  return clusters
+    .filter(c => c.call_ids.length >= 2)
+    .map(({ stems, scores, ...c }) => ({
+      ...c,
+      count: c.call_ids.length,
+      share: Math.round(c.call_ids.length / calls.length * 100),
+      avg_score: average(scores)
+    }))
+    .sort((a, b) => b.count - a.count || a.avg_score - b.avg_score)
+    .slice(0, COACHING_WEAKNESSES_MAX);
+}
+
+function exampleCall(call) {
+  return {
+    id: call.id,
+    call_date: call.call_date,
+    client_name: call.client_name,
+    total_score: call.total_score,
+    has_critical_error: call.has_critical_error,
+    ai_summary: call.ai_summary
+  };
+}
+
+// Менеджер в пределах клиники; администратор (manager) — только свой профиль
+async function findScopedManager(req, id) {
+  const { data: manager } = await supabase.from('managers').select('id, name, clinic_id').eq('id', id).maybeSingle();
+  if (!manager) return null;
+  if (req.user.clinic_id && manager.clinic_id !== req.user.clinic_id) return null;
+  if (req.clinicId && manager.clinic_id !== req.clinicId) return null;
+  if (req.user.role === 'manager' && manager.id !== req.user.manager_id) return null;
+  return manager;
+}
+
+function coachingPlanSchema(blockKeys, callIds) {
+  return {
+    type: 'object',
+    required: ['summary', 'strengths', 'focus_areas', 'goals'],
+    properties: {
+      summary: { type: 'string' },
+      strengths: { type: 'array', items: { type: 'string' } },
+      focus_areas: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 3,
+        items: {
+          type: 'object',
+          required: ['title', 'block_key', 'why', 'exercises'],
+          properties: {
+            title: { type: 'string' },
+            block_key: { enum: blockKeys },
+            why: { type: 'string' },
+            example_call_ids: { type: 'array', items: { enum: callIds } },
+            exercises: { type: 'array', minItems: 1, items: { type: 'string' } }
+          }
+        }
+      },
+      goals: { type: 'array', items: { type: 'string' } }
+    }
+  };
+}
+
+const COACHING_SYSTEM_PROMPT = `Ты — РОП (руководитель отдела продаж) медицинской клиники и наставник администраторов.
+По оценкам последних звонков одного администратора составь план коучинга на 2 недели.
+Опирайся только на данные звонков: повторяющиеся ошибки важнее единичных.
+Не больше 3 зон роста, начиная с самой влияющей на запись пациентов. Упражнения — конкретные:
+фразы для отработки, ролевые игры, что слушать в записях. Цели — измеримые (балл блока, доля записей).`;
+
+function buildCoachingPrompt(manager, calls) {
+  const blocks = new Map();
+  for (const call of calls) {
+    for (const block of callScoreBlocks(call.score)) {
+      const entry = blocks.get(block.key) || { name: block.name, scores: [] };
+      entry.scores.push(block.score);
+      blocks.set(block.key, entry);
+    }
+  }
+
+  const callsText = calls.map(call => {
+    const weak = callScoreBlocks(call.score)
+      .filter(b => typeof b.score === 'number' && b.score < 80 && b.explanation)
+      .map(b => `  - ${b.name} [${b.key}] ${b.score}: ${String(b.explanation).substring(0, 300)}`);
+    return [
+      `Звонок ${call.id} (${formatReportDate(call.call_date)}), балл ${call.total_score ?? '—'}` +
+        `${call.call_type ? `, тип: ${call.call_type}` : ''}${call.has_critical_error ? ', КРИТИЧЕСКАЯ ОШИБКА' : ''}`,
+      call.ai_summary ? `  Резюме: ${call.ai_summary}` : null,
+      ...weak
+    ].filter(Boolean).join('\n');
+  }).join('\n\n');
+
+  return `Администратор: ${manager.name}
+Оценённых звонков: ${calls.length}, средний балл: ${average(calls.map(c => c.total_score)) ?? '—'}
+
+Средние по блокам:
+${[...blocks].map(([key, b]) => `- ${b.name} [${key}]: ${average(b.scores) ?? '—'}`).join('\n')}
+
+Звонки (от новых к старым, у каждого — блоки ниже 80):
+${callsText}
+
+JSON (СТРОГО):
+{
+  "summary": "2-3 предложения: общий уровень и главная проблема",
+  "strengths": ["что получается стабильно"],
+  "focus_areas": [
+    {
+      "title": "зона роста",
+      "block_key": "${[...blocks.keys()].join('|')}",
+      "why": "что повторяется и как это мешает записи",
+      "example_call_ids": [ID звонков из списка выше],
+      "exercises": ["упражнение"]
+    }
+  ],
+  "goals": ["измеримая цель на 2 недели"]
+}`;
+}
+
+// Профиль администратора: ?weeks=8 (недели с понедельника, текущая — последняя)
+app.get('/api/managers/:id/profile', async (req, res) => {
+  const weeks = req.query.weeks === undefined ? COACHING_WEEKS_DEFAULT : Number(req.query.weeks);
+  if (!Number.isInteger(weeks) || weeks < 1 || weeks > COACHING_WEEKS_MAX) {
+    return res.status(400).json({ error: `weeks: 1..${COACHING_WEEKS_MAX}` });
+  }
+  try {
+    const manager = await findScopedManager(req, req.params.id);
+    if (!manager) return res.status(404).json({ error: 'Администратор не найден' });
+
+    const from = weekStart(new Date(weekStart(new Date()).getTime() - (weeks - 1) * WEEK_MS + 12 * 60 * 60 * 1000));
+    const calls = await loadReportCalls(req, {
+      from: from.toISOString(), to: null, managerIds: [manager.id], scoreMin: null, scoreMax: null,
+      callType: null, direction: null, successful: null, status: 'analyzed'
+    });
+    const byScore = [...calls].sort((a, b) => b.total_score - a.total_score);
+    const best = byScore.slice(0, COACHING_EXAMPLES);
+    const worst = byScore.slice(Math.max(best.length, byScore.length - COACHING_EXAMPLES)).reverse();
+
+    const { data: plan } = await supabase.from('coaching_plans')
+      .select('id, calls_count, period_from, period_to, plan, llm_model, created_at')
+      .eq('manager_id', manager.id).order('created_at', { ascending: false }).limit(1).maybeSingle();
+
+    res.json({
+      manager: { id: manager.id, name: manager.name },
+      period: { from: from.toISOString(), weeks },
+      summary: {
+        analyzed: calls.length,
+        avg_score: average(calls.map(c => c.total_score)),
+        successful: calls.filter(c => c.total_score >= 80).length,
+        problem: calls.filter(c => c.total_score < 60).length
+      },
+      trend: blockTrend(calls, from, weeks),
+      weaknesses: recurringWeaknesses(calls),
+      best_calls: best.map(exampleCall),
+      worst_calls: worst.map(exampleCall),
+      coaching_plan: plan || null
+    });
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+// План коучинга по последним N оценённым звонкам: { calls: 20 }
+app.post('/api/managers/:id/coaching-plan', requireRole('admin', 'head'), async (req, res) => {
+  const limit = req.body?.calls === undefined ? COACHING_PLAN_CALLS : Number(req.body.calls);
+  if (!Number.isInteger(limit) || limit < COACHING_PLAN_MIN_CALLS || limit > COACHING_PLAN_CALLS_MAX) {
+    return res.status(400).json({ error: `calls: ${COACHING_PLAN_MIN_CALLS}..${COACHING_PLAN_CALLS_MAX}` });
+  }
+  try {
+    const manager = await findScopedManager(req, req.params.id);
+    if (!manager) return res.status(404).json({ error: 'Администратор не найден' });
+
+    const { data: rows, error } = await supabase.from('call_list')
+      .select('id, call_date, total_score, call_type, has_critical_error, ai_summary, score_id')
+      .eq('manager_id', manager.id).not('score_id', 'is', null)
+      .order('call_date', { ascending: false }).limit(limit);
+    if (error) throw new Error(error.message);
+    if (rows.length < COACHING_PLAN_MIN_CALLS) {
+      return res.status(400).json({ error: `Недостаточно оценённых звонков: ${rows.length} (нужно от ${COACHING_PLAN_MIN_CALLS})` });
+    }
+    const calls = await attachCallScores(rows);
+    const blockKeys = [...new Set(calls.flatMap(c => callScoreBlocks(c.score).map(b => b.key)))];
+
+    const usage = createUsageMeter();
+    const plan = await llmJson({
+      stage: 'coaching',
+      usage,
+      schema: coachingPlanSchema(blockKeys, calls.map(c => c.id)),
+      maxTokens: 2000,
+      messages: [
+        { role: 'system', content: COACHING_SYSTEM_PROMPT },
+        { role: 'user', content: buildCoachingPrompt(manager, calls) }
+      ]
+    }).finally(() => saveUsage(usage, { clinicId: manager.clinic_id, managerId: manager.id }).catch(err => {
+      logger.error('Usage save failed', { managerId: manager.id, error: err.message });
+    }));
+
+    const { data: saved, error: saveError } = await supabase.from('coaching_plans').insert({
+      manager_id: manager.id,
+      clinic_id: manager.clinic_id,
+      calls_count: calls.length,
+      period_from: calls[calls.length - 1].call_date,
+      period_to: calls[0].call_date,
+      plan,
+      llm_model: LLM_PROVIDER === 'local' ? LLM_LOCAL_MODEL : LLM_MODEL,
+      created_by: req.user.id
+    }).select('id, calls_count, period_from, period_to, plan, llm_model, created_at').single();
+    if (saveError) throw new Error(saveError.message);
+    logger.info('🎯 Coaching plan created', { managerId: manager.id, calls: calls.length, by: req.user.id });
+    res.status(201).json(saved);
+  } catch (error) {
+    if (error instanceof LLMError) return res.status(502).json({ error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== ПАЦИЕНТЫ ====================
+// Звонки одного номера → пациент (migrations/016_patients.sql). Сводка client_info
+// собирается из оценок звонков при чтении — переоценка и ручная правка сразу видны в карточке.
+
+const PHONE_COUNTRY_CODE = '7';           // Казахстан/Россия: 8 701… → 7701…
+const PATIENT_HISTORY_MAX = 100;          // звонков в карточке пациента
+const PATIENT_CONTEXT_CALLS = 5;          // прошлых звонков в промпте анализа
+const PATIENT_PROFILE_ITEMS = 10;         // пунктов в каждом списке сводки (последние)
+const PATIENT_SEARCH_LIMIT = 20;
+
+/**
+ * Номер к виду "7XXXXXXXXXX" (цифры с кодом страны); внутренние и скрытые номера → null
+ */
+function normalizePhone(raw) {
+  const digits = String(raw || '').replace(/\D/g, '');
+  if (digits.length === 11 && digits.startsWith('8')) return PHONE_COUNTRY_CODE + digits.slice(1);
+  if (digits.length === 10) return PHONE_COUNTRY_CODE + digits;
+  if (digits.length >= 11 && digits.length <= 15) return digits;
+  return null;
+}
+
+// Пациент клиники по номеру (создаётся при первом звонке); ошибка не мешает загрузке звонка
+async function findOrCreatePatient(clinicId, phone) {
+  if (!phone) return null;
+  try {
+    const { data: created, error } = await supabase.from('patients')
+      .upsert({ clinic_id: clinicId, phone }, { onConflict: 'clinic_id,phone', ignoreDuplicates: true })
+      .select('id');
+    if (error) throw new Error(error.message);
+    if (created.length) return created[0].id;
+    const { data: existing } = await supabase.from('patients')
+      .select('id').eq('clinic_id', clinicId).eq('phone', phone).single();
+    return existing.id;
+  } catch (error) {
+    logger.warn('⚠️ Patient link failed', { clinicId, phone, error: error.message });
+    return null;
+  }
+}
+
+// Звонки пациента из call_list + client_info их оценок, по убыванию даты
+async function loadPatientCalls(patientId, { before = null, limit = PATIENT_HISTORY_MAX } = {}) {
+  let query = supabase.from('call_list')
+    .select('id, manager_id, manager_name, call_date, call_direction, duration, crm_link, score_id, total_score, call_type, is_successful, has_critical_error, ai_summary')
+    .eq('patient_id', patientId);
+  if (before) query = query.lt('call_date', before);
+  const { data: calls, error } = await query.order('call_date', { ascending: false }).limit(limit);
+  if (error) throw new Error(error.message);
+
+  const scoredIds = calls.filter(c => c.score_id).map(c => c.id);
+  const { data: infos, error: infoError } = scoredIds.length
+    ? await supabase.from('call_scores').select('call_id, client_info').in('call_id', scoredIds)
+    : { data: [] };
+  if (infoError) throw new Error(infoError.message);
+  const infoByCall = new Map(infos.map(s => [s.call_id, s.client_info]));
+  return calls.map(c => ({ ...c, client_info: infoByCall.get(c.id) || null }));
+}
+
+/**
+ * Сводка client_info по звонкам: факты, потребности, боли, возражения без повторов,
+ * от старых к новым; в каждом списке — последние PATIENT_PROFILE_ITEMS
+ */
+function mergePatientProfile(calls) {
+  const profile = { facts: [], needs: [], pains: [], objections: [] };
+  const chronological = [...calls].sort((a, b) => new Date(a.call_date) - new Date(b.call_date));
+  for (const key of Object.keys(profile)) {
+    const byText = new Map();
+    for (const call of chronological) {
+      for (const item of call.client_info?.[key] || []) {
+        const text = String(item).trim();
+        const norm = text.toLowerCase().replace(/[.,!?;:]+$/, '');
+        if (!norm) continue;
+        byText.delete(norm); // повтор переносится в конец — упоминался недавно
+        byText.set(norm, text);
+      }
+    }
+    profile[key] = [...byText.values()].slice(-PATIENT_PROFILE_ITEMS);
+  }
+  return profile;
+}
+
+/**
+ * Контекст прошлых обращений для промпта анализа (null — звонок первый или номер неизвестен)
+ */
+async function buildPatientContext(call) {
+  if (!call.patient_id) return null;
+  const previous = await loadPatientCalls(call.patient_id, { before: call.call_date, limit: PATIENT_HISTORY_MAX });
+  if (!previous.length) return null;
+
+  const profile = mergePatientProfile(previous);
+  const lines = previous.slice(0, PATIENT_CONTEXT_CALLS).reverse().map(c =>
+    `- ${formatReportDate(c.call_date)}: ` + (c.score_id
+      ? `${c.call_type || 'тип не определён'}, ${c.is_successful ? 'записался' : 'не записался'}${c.ai_summary ? ` — ${c.ai_summary}` : ''}`
+      : 'не проанализирован')
+  );
+  const known = [
+    ['Факты', profile.facts], ['Потребности', profile.needs], ['Боли', profile.pains], ['Возражения', profile.objections]
+  ].filter(([, items]) => items.length).map(([label, items]) => `${label}: ${items.join('; ')}`);
+
+  return [
+    `ИСТОРИЯ ПАЦИЕНТА (звонков до этого: ${previous.length}, последние ${lines.length}):`,
+    ...lines,
+    ...(known.length ? ['Известно из прошлых звонков:', ...known] : []),
+    'Пациент уже обращался: учитывай это в call_type; администратор не обязан заново выяснять известное.'
+  ].join('\n');
+}
+
+// Пациент в пределах клиники; администратор (manager) — только со своими звонками
+async function findScopedPatient(req, id) {
+  const { data: patient } = await supabase.from('patients').select('*').eq('id', id).maybeSingle();
+  if (!patient) return null;
+  if (req.user.clinic_id && patient.clinic_id !== req.user.clinic_id) return null;
+  if (req.clinicId && patient.clinic_id !== req.clinicId) return null;
+  if (req.user.role === 'manager') {
+    if (!req.user.manager_id) return null;
+    const { count } = await supabase.from('calls').select('id', { count: 'exact', head: true })
+      .eq('patient_id', patient.id).eq('manager_id', req.user.manager_id);
+    if (!count) return null;
+  }
+  return patient;
+}
+
+// Поиск по номеру (любая часть цифр) или имени: ?q=
+app.get('/api/patients', requireRole('admin', 'head'), async (req, res) => {
+  const q = String(req.query.q || '').trim();
+  if (q.length < 3) return res.status(400).json({ error: 'q: минимум 3 символа' });
+  try {
+    const digits = q.replace(/\D/g, '');
+    const pattern = `%${q.replace(/[%_,()]/g, '')}%`;
+    const { data, error } = await scopeToClinic(supabase.from('patients').select('id, phone, name, created_at'), req)
+      .or(digits.length >= 3 ? `phone.like.%${digits}%,name.ilike.${pattern}` : `name.ilike.${pattern}`)
+      .order('updated_at', { ascending: false }).limit(PATIENT_SEARCH_LIMIT);
+    if (error) throw new Error(error.message);
+    res.json({ patients: data });
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+// Карточка: все звонки пациента с оценками и сводка client_info за всё время
+app.get('/api/patients/:id', async (req, res) => {
+  try {
+    const patient = await findScopedPatient(req, req.params.id);
+    if (!patient) return res.status(404).json({ error: 'Пациент не найден' });
+    const calls = await loadPatientCalls(patient.id);
+    const scored = calls.filter(c => c.score_id);
+    const booked = scored.filter(c => c.is_successful).map(c => c.call_date).sort();
+
+    res.json({
+      patient,
+      summary: {
+        calls: calls.length,
+        analyzed: scored.length,
+        first_call_at: calls.length ? calls[calls.length - 1].call_date : null,
+        last_call_at: calls.length ? calls[0].call_date : null,
+        avg_score: average(scored.map(c => c.total_score)),
+        // Сколько звонков понадобилось до первой записи
+        calls_to_booking: booked.length ? calls.filter(c => c.call_date <= booked[0]).length : null
+      },
+      profile: mergePatientProfile(scored),
+      calls: calls.map(({ client_info, ...c }) => c)
+    });
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+// Имя пациента (в Битрикс приходит только номер): { name }
+app.put('/api/patients/:id', requireRole('admin', 'head'), async (req, res) => {
+  const name = req.body?.name === null ? null : String(req.body?.name ?? '').trim() || null;
+  try {
+    const patient = await findScopedPatient(req, req.params.id);
+    if (!patient) return res.status(404).json({ error: 'Пациент не найден' });
+    const { data, error } = await supabase.from('patients')
+      .update({ name, updated_at: new Date().toISOString() }).eq('id', patient.id).select().single();
+    if (error) throw new Error(error.message);
+    res.json(data);
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+// ==================== ПЕРЕЗВОНЫ ====================
+// Потерянные лиды (migrations/017_follow_ups.sql): первичный звонок без записи, где у пациента
+// была боль и интерес, → задача перезвонить администратору звонка. Приоритет — по client_info.
+
+const FOLLOW_UP_CALL_TYPES = ['ПЕРВИЧНЫЙ'];
+const FOLLOW_UP_DUE_HOURS = 24;           // первый перезвон — в течение суток
+const FOLLOW_UP_RETRY_HOURS = 4;          // следующая попытка после недозвона, если не договорились о времени
+const FOLLOW_UP_MAX_ATTEMPTS = 3;         // недозвонов до закрытия как потерянного
+const FOLLOW_UP_ACTIVE = ['open', 'in_progress'];
+const FOLLOW_UP_QUEUES = ['active', 'overdue', 'won', 'lost', 'all'];
+const FOLLOW_UP_PAGE_MAX = 200;
+
+// Исход попытки → статус задачи (null — остаётся в работе)
+const FOLLOW_UP_OUTCOMES = {
+  no_answer: null,
+  callback_later: null,
+  booked: 'won',
+  refused: 'lost',
+  wrong_number: 'lost'
+};
+
+// Возражения, которые снимаются повторным звонком (цена, время, «подумаю»), и явный отказ
+const FOLLOW_UP_SOFT_OBJECTION = /дорог|цен|стоим|скидк|подума|посовет|врем|некогда|далеко|қымбат|ойлан/i;
+const FOLLOW_UP_HARD_OBJECTION = /не нужн|не интерес|друг(ой|ую|ая) клиник|уже леч|не звонит/i;
+
+/**
+ * Приоритет перезвона 0-100 по анализу звонка; null — не потерянный лид
+ * (записался, не первичный, нет боли или интереса)
+ * @returns {{ priority: number, reasons: string[] } | null}
+ */
+function followUpPriority(analysis, scored) {
+  if (analysis.is_successful || !FOLLOW_UP_CALL_TYPES.includes(analysis.call_type)) return null;
+  const info = analysis.client_info || {};
+  const pains = info.pains || [];
+  const needs = info.needs || [];
+  const objections = info.objections || [];
+  if (!pains.length || !(needs.length || objections.length)) return null;
+
+  let priority = 40;
+  const reasons = [`Боль: ${pains.slice(0, 2).join('; ')}`];
+  priority += Math.min(pains.length, 3) * 10;
+  priority += Math.min(needs.length, 2) * 5;
+  const soft = objections.filter(o => FOLLOW_UP_SOFT_OBJECTION.test(o));
+  const hard = objections.filter(o => FOLLOW_UP_HARD_OBJECTION.test(o));
+  if (soft.length) {
+    priority += Math.min(soft.length, 2) * 10;
+    reasons.push(`Снимаемое возражение: ${soft[0]}`);
+  }
+  if (hard.length) {
+    priority -= 30;
+    reasons.push(`Отказ: ${hard[0]}`);
+  }
+  if (scored.criticalErrorType === 'слив_инициативы') {
+    priority += 10;
+    reasons.push('Администратор упустил инициативу');
+  }
+  return { priority: Math.max(0, Math.min(100, priority)), reasons };
+}
+
+/**
+ * После анализа: потерянный лид → в очередь (у пациента — одна активная задача),
+ * запись пациента закрывает его активные перезвоны как возвращённые
+ */
+async function syncFollowUps(call, analysis, scored) {
+  if (analysis.is_successful && call.patient_id) {
+    const { data: won, error } = await supabase.from('follow_ups').update({
+      status: 'won', outcome: 'booked', won_call_id: call.id,
+      closed_at: new Date().toISOString(), updated_at: new Date().toISOString()
+    }).eq('patient_id', call.patient_id).in('status', FOLLOW_UP_ACTIVE).neq('call_id', call.id).select('id');
+    if (error) throw new Error(error.message);
+    if (won.length) logger.info('🎯 Lost lead won back', { callId: call.id, followUps: won.map(f => f.id) });
+    return;
+  }
+
+  const lead = followUpPriority(analysis, scored);
+  if (!lead) return;
+  if (call.patient_id) {
+    const { data: active } = await supabase.from('follow_ups')
+      .select('id').eq('patient_id', call.patient_id).in('status', FOLLOW_UP_ACTIVE).limit(1);
+    if (active?.length) return;
+  }
+  const { data: created, error } = await supabase.from('follow_ups').upsert({
+    clinic_id: call.clinic_id,
+    call_id: call.id,
+    patient_id: call.patient_id,
+    manager_id: call.manager_id,
+    priority: lead.priority,
+    priority_reasons: lead.reasons,
+    due_at: new Date(Date.now() + FOLLOW_UP_DUE_HOURS * 60 * 60 * 1000).toISOString()
+  }, { onConflict: 'call_id', ignoreDuplicates: true }).select('id');
+  if (error) throw new Error(error.message);
+  if (created.length) logger.info('📲 Follow-up created', { callId: call.id, followUpId: created[0].id, priority: lead.priority });
+}
+
+// Задача в пределах клиники; администратор (manager) — только назначенные ему
+async function findScopedFollowUp(req, id) {
+  const { data: followUp } = await supabase.from('follow_ups').select('*').eq('id', id).maybeSingle();
+  if (!followUp || (req.clinicId && followUp.clinic_id !== req.clinicId) || !canAccessCall(req.user, followUp)) return null;
+  return followUp;
+}
+
+function isFollowUpOverdue(followUp, now = Date.now()) {
+  return FOLLOW_UP_ACTIVE.includes(followUp.status) && new Date(followUp.due_at).getTime() < now;
+}
+
+/**
+ * Очередь: ?queue=active|overdue|won|lost|all (по умолчанию active), manager_ids, from/to — по созданию.
+ * Активные — по приоритету и сроку, закрытые — последние сначала.
+ */
+app.get('/api/follow-ups', async (req, res) => {
+  const queue = req.query.queue || 'active';
+  if (!FOLLOW_UP_QUEUES.includes(queue)) return res.status(400).json({ error: `queue: ${FOLLOW_UP_QUEUES.join(' | ')}` });
+  try {
+    const { filters, error: filterError } = parseCallFilters(req);
+    if (filterError) return res.status(400).json({ error: filterError });
+    if (filters.managerIds?.length === 0) return res.json({ follow_ups: [] });
+
+    let query = scopeToClinic(supabase.from('follow_ups').select(`*, manager:managers(name),
+      call:calls!follow_ups_call_id_fkey(call_date, client_name, crm_link), patient:patients(phone, name)`), req);
+    if (filters.from) query = query.gte('created_at', filters.from);
+    if (filters.to) query = query.lte('created_at', filters.to);
+    if (filters.managerIds) query = query.in('manager_id', filters.managerIds);
+    if (queue === 'active' || queue === 'overdue') query = query.in('status', FOLLOW_UP_ACTIVE);
+    if (queue === 'overdue') query = query.lt('due_at', new Date().toISOString());
+    if (queue === 'won' || queue === 'lost') query = query.eq('status', queue);
+    query = queue === 'active' || queue === 'overdue'
+      ? query.order('priority', { ascending: false }).order('due_at')
+      : query.order('updated_at', { ascending: false });
+
+    const { data, error } = await query.limit(Math.min(parseInt(req.query.limit) || FOLLOW_UP_PAGE_MAX, FOLLOW_UP_PAGE_MAX));
+    if (error) throw new Error(error.message);
+
+    const { data: scores, error: scoreError } = data.length
+      ? await supabase.from('call_list').select('id, total_score, ai_summary').in('id', data.map(f => f.call_id))
+      : { data: [] };
+    if (scoreError) throw new Error(scoreError.message);
+    const scoreByCall = new Map(scores.map(s => [s.id, s]));
+    const now = Date.now();
+    res.json({
+      follow_ups: data.map(f => ({
+        ...f,
+        total_score: scoreByCall.get(f.call_id)?.total_score ?? null,
+        ai_summary: scoreByCall.get(f.call_id)?.ai_summary || null,
+        overdue: isFollowUpOverdue(f, now)
+      }))
+    });
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+// Назначение и срок: { manager_id, due_at, priority }
+app.put('/api/follow-ups/:id', requireRole('admin', 'head'), async (req, res) => {
+  const body = req.body || {};
+  const update = {};
+  if (body.manager_id !== undefined) {
+    const managerId = body.manager_id === null ? null : Number(body.manager_id);
+    if (managerId !== null && !Number.isInteger(managerId)) return res.status(400).json({ error: 'manager_id: ID менеджера или null' });
+    update.manager_id = managerId;
+  }
+  if (body.due_at !== undefined) {
+    const due = parseDateParam(body.due_at, 'due_at');
+    if (due.error || !due.value) return res.status(400).json({ error: due.error || 'due_at: дата обязательна' });
+    update.due_at = due.value;
+  }
+  if (body.priority !== undefined) {
+    const priority = parseScoreParam(body.priority, 'priority');
+    if (priority.error || priority.value === null) return res.status(400).json({ error: priority.error || 'priority: число 0..100' });
+    update.priority = Math.round(priority.value);
+  }
+  if (!Object.keys(update).length) return res.status(400).json({ error: 'Нечего менять: manager_id, due_at, priority' });
+
+  try {
+    const followUp = await findScopedFollowUp(req, req.params.id);
+    if (!followUp) return res.status(404).json({ error: 'Перезвон не найден' });
+    if (update.manager_id) {
+      const { data: manager } = await supabase.from('managers').select('id, clinic_id').eq('id', update.manager_id).maybeSingle();
+      if (!manager || manager.clinic_id !== followUp.clinic_id) return res.status(400).json({ error: 'manager_id: менеджер не найден в клинике' });
+    }
+    const { data, error } = await supabase.from('follow_ups')
+      .update({ ...update, updated_at: new Date().toISOString() }).eq('id', followUp.id).select().single();
+    if (error) throw new Error(error.message);
+    res.json(data);
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+/**
+ * Попытка перезвона: { outcome, comment, next_at }
+ * booked → возвращён, refused / wrong_number → потерян; недозвон и «перезвонить позже» переносят срок
+ * на next_at (или +FOLLOW_UP_RETRY_HOURS); FOLLOW_UP_MAX_ATTEMPTS недозвонов подряд → потерян.
+ */
+app.post('/api/follow-ups/:id/attempts', async (req, res) => {
+  const { outcome, comment } = req.body || {};
+  if (!Object.prototype.hasOwnProperty.call(FOLLOW_UP_OUTCOMES, outcome)) {
+    return res.status(400).json({ error: `outcome: ${Object.keys(FOLLOW_UP_OUTCOMES).join(' | ')}` });
+  }
+  const next = parseDateParam(req.body.next_at ?? undefined, 'next_at');
+  if (next.error) return res.status(400).json({ error: next.error });
+  try {
+    const followUp = await findScopedFollowUp(req, req.params.id);
+    if (!followUp) return res.status(404).json({ error: 'Перезвон не найден' });
+    if (!FOLLOW_UP_ACTIVE.includes(followUp.status)) return res.status(409).json({ error: 'Перезвон уже закрыт' });
+
+    const { data: attempt, error } = await supabase.from('follow_up_attempts').insert({
+      follow_up_id: followUp.id,
+      user_id: req.user.id,
+      manager_id: req.user.manager_id || followUp.manager_id,
+      outcome,
+      comment: comment ? String(comment) : null,
+      next_at: next.value
+    }).select().single();
+    if (error) throw new Error(error.message);
+
+    const now = new Date();
+    const attempts = followUp.attempts + 1;
+    let status = FOLLOW_UP_OUTCOMES[outcome];
+    if (!status && outcome === 'no_answer') {
+      const { data: recent } = await supabase.from('follow_up_attempts')
+        .select('outcome').eq('follow_up_id', followUp.id).order('created_at', { ascending: false }).limit(FOLLOW_UP_MAX_ATTEMPTS);
+      if (recent.length >= FOLLOW_UP_MAX_ATTEMPTS && recent.every(a => a.outcome === 'no_answer')) status = 'lost';
+    }
+    const { data: updated, error: updateError } = await supabase.from('follow_ups').update({
+      status: status || 'in_progress',
+      attempts,
+      last_attempt_at: now.toISOString(),
+      outcome,
+      due_at: status ? followUp.due_at : (next.value || new Date(now.getTime() + FOLLOW_UP_RETRY_HOURS * 60 * 60 * 1000).toISOString()),
+      closed_at: status ? now.toISOString() : null,
+      updated_at: now.toISOString()
+    }).eq('id', followUp.id).select().single();
+    if (updateError) throw new Error(updateError.message);
+
+    logger.info('📲 Follow-up attempt', { followUpId: followUp.id, outcome, status: updated.status, by: req.user.id });
+    res.status(201).json({ attempt, follow_up: updated });
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+app.get('/api/follow-ups/:id/attempts', async (req, res) => {
+  try {
+    const followUp = await findScopedFollowUp(req, req.params.id);
+    if (!followUp) return res.status(404).json({ error: 'Перезвон не найден' });
+    const { data, error } = await supabase.from('follow_up_attempts')
+      .select('id, outcome, comment, next_at, created_at, user:app_users(id, name, email)')
+      .eq('follow_up_id', followUp.id).order('created_at', { ascending: false });
+    if (error) throw new Error(error.message);
+    res.json({ attempts: data });
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+// Сколько потерянных лидов вернули: from/to — по созданию задачи, manager_ids
+app.get('/api/stats/follow-ups', async (req, res) => {
+  try {
+    const { filters, error: filterError } = parseCallFilters(req);
+    if (filterError) return res.status(400).json({ error: filterError });
+    const { data, error } = await supabase.rpc('follow_up_stats', statsRpcArgs(req, filters));
+    if (error) throw new Error(error.message);
+    res.json(data);
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+// ==================== WHATSAPP ====================
+// Переписка пациентов с администраторами: вебхук WhatsApp Business (Cloud API) и импорт
+// экспорта чата (.txt). Оценка — активной рубрикой клиники, адаптированной под текст,
+// плюс блок «Скорость ответа», который считается по времени сообщений, а не моделью.
+
+const WHATSAPP_MAX_MESSAGES = 300;        // последних сообщений чата в анализ
+const WHATSAPP_ANALYZE_BATCH = 10;        // чатов за проход фоновой оценки
+const WHATSAPP_CHECK_INTERVAL_MS = 10 * 60 * 1000;
+const WHATSAPP_IMPORT_MAX_BYTES = '5mb';
+const WHATSAPP_RESPONSE_WEIGHT = 20;      // вес скорости ответа; блоки рубрики — пропорционально оставшимся 80%
+// Медиана ответа (сек) → балл блока «Скорость ответа»
+const WHATSAPP_RESPONSE_SCORES = [[5 * 60, 100], [15 * 60, 80], [60 * 60, 60], [4 * 60 * 60, 30]];
+
+const WHATSAPP_INSTRUCTIONS = `ЭТО ПЕРЕПИСКА В WHATSAPP, А НЕ ЗВОНОК. Критерии этапов применяй к тексту:
+- Запись = администратор предложил КОНКРЕТНЫЙ слот (дата + время, лучше выбор из двух) и пациент подтвердил; "приходите когда удобно" — не запись
+- Возражение без письменного ответа = не отработано
+- Ответ справкой без встречного вопроса пациенту = потеря инициативы
+- Скорость ответа считается отдельно по времени сообщений — в этапах её НЕ учитывай
+- [audio], [image] и т.п. — вложения, содержание неизвестно, не додумывай`;
+
+let whatsappAnalysisRunning = false;
+
+// Рубрика клиники для переписки: те же этапы и веса, инструкции для текста
+function whatsappRubric(rubric) {
+  const def = rubric.definition;
+  return {
+    ...rubric,
+    definition: { ...def, instructions: [def.instructions, WHATSAPP_INSTRUCTIONS].filter(Boolean).join('\n\n') }
+  };
+}
+
+// Местное время (REPORT_TIMEZONE) → UTC-момент
+function zonedTime(year, month, day, hour = 0, minute = 0, second = 0) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const p = zonedParts(new Date(guess));
+  const offsetMs = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - guess;
+  return new Date(guess - offsetMs);
+}
+
+// Сообщение вне рабочих часов ждёт ответа с начала следующего рабочего дня
+function workingStart(date) {
+  const p = zonedParts(date);
+  if (p.hour < WHATSAPP_WORK_HOURS[0]) return zonedTime(p.year, p.month, p.day, WHATSAPP_WORK_HOURS[0]);
+  if (p.hour < WHATSAPP_WORK_HOURS[1]) return date;
+  const next = zonedParts(new Date(zonedTime(p.year, p.month, p.day, 12).getTime() + 24 * 60 * 60 * 1000));
+  return zonedTime(next.year, next.month, next.day, WHATSAPP_WORK_HOURS[0]);
+}
+
+/**
+ * Время ответа администратора по сообщениям чата (по возрастанию sent_at)
+ * Ожидание начинается с первого сообщения пациента после ответа администратора.
+ * @returns {{ firstSeconds: number|null, medianSeconds: number|null, unanswered: number }}
+ */
+function whatsappResponseMetrics(messages) {
+  const delays = [];
+  let waitingSince = null;
+  let unanswered = 0;
+  for (const message of messages) {
+    if (message.author === 'client') {
+      if (!waitingSince) waitingSince = new Date(message.sent_at);
+      unanswered++;
+    } else if (waitingSince) {
+      delays.push(Math.max(0, Math.round((new Date(message.sent_at) - workingStart(waitingSince)) / 1000)));
+      waitingSince = null;
+      unanswered = 0;
+    }
+  }
+  const sorted = [...delays].sort((a, b) => a - b);
+  return {
+    firstSeconds: delays.length ? delays[0] : null,
+    medianSeconds: sorted.length ? sorted[Math.floor((sorted.length - 1) / 2)] : null,
+    unanswered
+  };
+}
+
+function formatWaitMinutes(seconds) {
+  return seconds === null ? '—' : `${Math.round(seconds / 60)} мин`;
+}
+
+function responseTimeBlock(metrics) {
+  let score;
+  if (metrics.medianSeconds === null) score = metrics.unanswered ? 0 : 100;
+  else score = WHATSAPP_RESPONSE_SCORES.find(([limit]) => metrics.medianSeconds <= limit)?.[1] ?? 0;
+  return {
+    key: 'response_time',
+    name: 'Скорость ответа',
+    weight: WHATSAPP_RESPONSE_WEIGHT,
+    score,
+    explanation: `Первый ответ: ${formatWaitMinutes(metrics.firstSeconds)}, медиана: ${formatWaitMinutes(metrics.medianSeconds)}` +
+      (metrics.unanswered ? `, без ответа сообщений пациента: ${metrics.unanswered}` : '')
+  };
+}
+
+/**
+ * Оценка чата: активная рубрика клиники по тексту + скорость ответа → whatsapp_analyses
+ * @throws {LLMError|Error}
+ */
+async function analyzeWhatsappChat(chatId) {
+  const { data: chat } = await supabase.from('whatsapp_chats').select('*').eq('id', chatId).single();
+  const { data: recent, error } = await supabase.from('whatsapp_messages')
+    .select('author, message_type, text, sent_at')
+    .eq('chat_id', chatId).order('sent_at', { ascending: false }).limit(WHATSAPP_MAX_MESSAGES);
+  if (error) throw new Error(error.message);
+  const messages = recent.reverse();
+  if (!messages.some(m => m.author === 'client')) throw new Error('В чате нет сообщений пациента');
+
+  const rubric = whatsappRubric(await getActiveRubric(chat.clinic_id));
+  const metrics = whatsappResponseMetrics(messages);
+  // Сообщения в БД как есть, в LLM — без персональных данных
+  const turns = redactTurns(messages.map(m => ({ role: m.author, text: m.text || `[${m.message_type}]` })), createPiiVault());
+  const dialogText = messages.map((m, i) =>
+    `[${formatReportDate(m.sent_at)}] ${m.author === 'manager' ? 'АДМИНИСТРАТОР' : 'ПАЦИЕНТ'}: ${turns[i].text}`
+  ).join('\n');
+
+  logger.info('🤖 LLM: analyzing WhatsApp chat...', { chatId, messages: messages.length, rubric: rubric.code });
+  const { systemPrompt, buildUserPrompt } = buildAnalysisPrompts(rubric, { subject: 'переписку WhatsApp' });
+  const usage = createUsageMeter();
+  const analysis = await llmJson({
+    stage: 'whatsapp',
+    usage,
+    schema: buildAnalysisSchema(rubric),
+    maxTokens: 3000,
+    messages: [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: buildUserPrompt(dialogText) }
+    ]
+  }).finally(() => saveUsage(usage, { clinicId: chat.clinic_id, chatId: chat.id, managerId: chat.manager_id }).catch(err => {
+    logger.error('Usage save failed', { chatId: chat.id, error: err.message });
+  }));
+  const scored = scoreAnalysis(analysis, rubric);
+  const blockScores = [
+    ...scored.blockScores.map(b => ({ ...b, weight: b.weight * (100 - WHATSAPP_RESPONSE_WEIGHT) / 100 })),
+    responseTimeBlock(metrics)
+  ];
+
+  const { data: saved, error: saveError } = await supabase.from('whatsapp_analyses').upsert({
+    chat_id: chat.id, clinic_id: chat.clinic_id, manager_id: chat.manager_id,
+    rubric_id: rubric.id, rubric_version: rubric.version,
+    total_score: scored.hasCriticalError ? 0 : blocksTotal(blockScores),
+    block_scores: blockScores,
+    has_critical_error: scored.hasCriticalError,
+    critical_error_type: scored.criticalErrorType,
+    is_successful: analysis.is_successful,
+    client_info: analysis.client_info,
+    ai_summary: analysis.ai_summary,
+    first_response_seconds: metrics.firstSeconds,
+    median_response_seconds: metrics.medianSeconds,
+    unanswered: metrics.unanswered,
+    messages_analyzed: messages.length,
+    analyzed_at: new Date().toISOString()
+  }, { onConflict: 'chat_id' }).select().single();
+  if (saveError) throw new Error(saveError.message);
+
+  await supabase.from('whatsapp_chats')
+    .update({ needs_analysis: false, analyzed_at: saved.analyzed_at, analysis_error: null })
+    .eq('id', chat.id);
+  logger.info('✅ WhatsApp chat analyzed', { chatId, totalScore: saved.total_score });
+  return saved;
+}
+
+// Фоновая оценка затихших чатов с новыми сообщениями; ошибка не повторяется до новых сообщений
+async function analyzeIdleWhatsappChats() {
+  if (whatsappAnalysisRunning) return;
+  whatsappAnalysisRunning = true;
+  try {
+    const idleBefore = new Date(Date.now() - WHATSAPP_IDLE_MINUTES * 60 * 1000).toISOString();
+    const { data: chats, error } = await supabase.from('whatsapp_chats')
+      .select('id, clinic_id').eq('needs_analysis', true).lte('last_message_at', idleBefore)
+      .order('last_message_at').limit(WHATSAPP_ANALYZE_BATCH);
+    if (error) throw new Error(error.message);
+    for (const chat of chats) {
+      // Бюджет клиники исчерпан — чат ждёт следующего прохода с needs_analysis
+      if (!await autoAnalysisAllowed(await getClinic(chat.clinic_id))) continue;
+      try {
+        await analyzeWhatsappChat(chat.id);
+      } catch (err) {
+        logger.error('WhatsApp chat analysis failed', { chatId: chat.id, error: err.message });
+        await supabase.from('whatsapp_chats').update({ needs_analysis: false, analysis_error: err.message }).eq('id', chat.id);
+      }
+    }
+  } finally {
+    whatsappAnalysisRunning = false;
+  }
+}
+
+/**
+ * Сохраняет сообщения одного чата (повторы по wa_message_id пропускаются) и пересчитывает счётчики
+ *
+ * @param {Object} chatFields - clinic_id, wa_chat_id, source и известные поля чата (undefined не перезаписывает)
+ * @param {Array<{wa_message_id, author, author_name, message_type, text, sent_at}>} messages
+ * @returns {Promise<{chat: Object, added: number}>}
+ */
+async function saveWhatsappMessages(chatFields, messages) {
+  const fields = Object.fromEntries(Object.entries(chatFields).filter(([, v]) => v !== undefined && v !== null));
+  const { data: chat, error } = await supabase.from('whatsapp_chats')
+    .upsert({ ...fields, updated_at: new Date().toISOString() }, { onConflict: 'clinic_id,wa_chat_id' })
+    .select().single();
+  if (error) throw new Error(error.message);
+
+  let added = 0;
+  for (let i = 0; i < messages.length; i += 500) {
+    const { data: inserted, error: insertError } = await supabase.from('whatsapp_messages')
+      .upsert(messages.slice(i, i + 500).map(m => ({ ...m, chat_id: chat.id })), { onConflict: 'wa_message_id', ignoreDuplicates: true })
+      .select('id');
+    if (insertError) throw new Error(insertError.message);
+    added += inserted.length;
+  }
+  if (!added) return { chat, added };
+
+  const [first, last, total] = await Promise.all([
+    supabase.from('whatsapp_messages').select('sent_at').eq('chat_id', chat.id).order('sent_at').limit(1).single(),
+    supabase.from('whatsapp_messages').select('sent_at').eq('chat_id', chat.id).order('sent_at', { ascending: false }).limit(1).single(),
+    supabase.from('whatsapp_messages').select('id', { count: 'exact', head: true }).eq('chat_id', chat.id)
+  ]);
+  const { data: updated } = await supabase.from('whatsapp_chats').update({
+    first_message_at: first.data.sent_at,
+    last_message_at: last.data.sent_at,
+    message_count: total.count,
+    needs_analysis: true,
+    updated_at: new Date().toISOString()
+  }).eq('id', chat.id).select().single();
+  return { chat: updated || chat, added };
+}
+
+// Текст сообщения Cloud API; вложения без подписи — [тип]
+function whatsappMessageText(message) {
+  return message.text?.body
+    || message.button?.text
+    || message.interactive?.button_reply?.title
+    || message.interactive?.list_reply?.title
+    || message[message.type]?.caption
+    || `[${message.type}]`;
+}
+
+/**
+ * Сообщения из value вебхука: входящие (messages) и отправленные из приложения WhatsApp Business
+ * (message_echoes, поле smb_message_echoes) → по чатам пациентов
+ */
+function whatsappEventChats(value) {
+  const chats = new Map();
+  const add = (waChatId, message, author) => {
+    if (!waChatId || !message.id) return;
+    const chat = chats.get(waChatId) || { waChatId, clientName: null, messages: [] };
+    if (author === 'client') {
+      chat.clientName = value.contacts?.find(c => c.wa_id === waChatId)?.profile?.name || chat.clientName;
+    }
+    chat.messages.push({
+      wa_message_id: message.id,
+      author,
+      author_name: author === 'client' ? chat.clientName : null,
+      message_type: message.type || 'text',
+      text: whatsappMessageText(message),
+      sent_at: new Date(Number(message.timestamp) * 1000).toISOString()
+    });
+    chats.set(waChatId, chat);
+  };
+  for (const message of value.messages || []) add(message.from, message, 'client');
+  for (const message of value.message_echoes || []) add(message.to, message, 'manager');
+  return [...chats.values()];
+}
+
+async function getClinicByWhatsappPhone(phoneNumberId) {
+  if (!phoneNumberId) return null;
+  const find = () => [...clinicsCache.values()].find(c => c.whatsapp_phone_number_id === String(phoneNumberId));
+  return find() || (await loadClinics(), find()) || null;
+}
+
+async function ingestWhatsappEvent(body) {
+  for (const entry of body.entry || []) {
+    for (const change of entry.changes || []) {
+      if (!['messages', 'smb_message_echoes'].includes(change.field)) continue;
+      const value = change.value || {};
+      const clinic = await getClinicByWhatsappPhone(value.metadata?.phone_number_id);
+      if (!clinic) {
+        logger.warn('WhatsApp event for unknown phone_number_id', { phoneNumberId: value.metadata?.phone_number_id });
+        continue;
+      }
+      for (const chat of whatsappEventChats(value)) {
+        const { added } = await saveWhatsappMessages({
+          clinic_id: clinic.id, wa_chat_id: chat.waChatId, source: 'webhook',
+          client_phone: chat.waChatId, client_name: chat.clientName
+        }, chat.messages);
+        if (added) logger.info('💬 WhatsApp messages saved', { clinicId: clinic.id, waChatId: chat.waChatId, added });
+      }
+    }
+  }
+}
+
+// Строка экспорта: "19.10.2026, 14:03 - Имя: текст" (Android) или "[19.10.2026, 14:03:15] Имя: текст" (iOS)
+const WHATSAPP_EXPORT_LINE = /^\[?(\d{1,2})[./](\d{1,2})[./](\d{2,4}),?\s(\d{1,2}):(\d{2})(?::(\d{2}))?\]?(?:\s[-–])?\s([^:]+?):\s?(.*)$/;
+const WHATSAPP_EXPORT_MEDIA = /^<.*(опущен|omitted).*>$|^‎?(image|video|audio|sticker|document) omitted$/i;
+
+/**
+ * Разбор экспорта чата WhatsApp (.txt). Даты — день первым, время — REPORT_TIMEZONE.
+ * Строки без даты — продолжение предыдущего сообщения; системные строки (без "Имя:") пропускаются.
+ * @returns {Array<{authorName, text, sentAt: Date, media: boolean}>}
+ */
+function parseWhatsappExport(text) {
+  const messages = [];
+  for (const rawLine of String(text).replace(/\r/g, '').split('\n')) {
+    const line = rawLine.replace(/[‎‏‪-‮]/g, '');
+    const match = line.match(WHATSAPP_EXPORT_LINE);
+    if (match) {
+      const [, day, month, year, hour, minute, second, authorName, body] = match;
+      const fullYear = year.length === 2 ? 2000 + Number(year) : Number(year);
+      messages.push({
+        authorName: authorName.trim(),
+        text: body,
+        sentAt: zonedTime(fullYear, Number(month), Number(day), Number(hour), Number(minute), Number(second || 0)),
+        media: WHATSAPP_EXPORT_MEDIA.test(body.trim())
+      });
+    } else if (messages.length && line.trim() && !/^\[?\d{1,2}[./]\d{1,2}[./]\d{2,4}/.test(line)) {
+      messages[messages.length - 1].text += `\n${line}`;
+    }
+  }
+  return messages;
+}
+
+// Автор-администратор экспорта: указан явно или совпал с именем менеджера клиники
+function matchManagerAuthor(authors, managers) {
+  for (const author of authors) {
+    const name = author.toLowerCase();
+    const manager = managers.find(m => m.name && (m.name.toLowerCase().includes(name) || name.includes(m.name.toLowerCase())));
+    if (manager) return { author, manager };
+  }
+  return null;
+}
+
+// Чат в пределах клиники; администратор (manager) — только свои
+async function findScopedChat(req, id) {
+  const { data: chat } = await supabase.from('whatsapp_chats').select('*').eq('id', id).maybeSingle();
+  if (!chat || (req.clinicId && chat.clinic_id !== req.clinicId) || !canAccessCall(req.user, chat)) return null;
+  return chat;
+}
+
+// Подтверждение подписки вебхука в Meta: hub.verify_token = WHATSAPP_VERIFY_TOKEN
+app.get('/api/whatsapp/webhook', (req, res) => {
+  const token = req.query['hub.verify_token'];
+  if (req.query['hub.mode'] === 'subscribe' && WHATSAPP_VERIFY_TOKEN && token && safeEqual(token, WHATSAPP_VERIFY_TOKEN)) {
+    return res.send(String(req.query['hub.challenge'] || ''));
+  }
+  logger.warn('WhatsApp webhook verification failed', { ip: req.ip });
+  res.sendStatus(403);
+});
+
+// Подпись X-Hub-Signature-256 = HMAC-SHA256(сырое тело, App Secret); ответ сразу, обработка — после
+app.post('/api/whatsapp/webhook', (req, res) => {
+  if (!WHATSAPP_APP_SECRET) {
+    logger.warn('WhatsApp webhook rejected: WHATSAPP_APP_SECRET не задан');
+    return res.sendStatus(503);
+  }
+  const signature = req.get('X-Hub-Signature-256') || '';
+  const expected = `sha256=${crypto.createHmac('sha256', WHATSAPP_APP_SECRET).update(req.rawBody || '').digest('hex')}`;
+  if (!safeEqual(signature, expected)) {
+    logger.warn('WhatsApp webhook with invalid signature', { ip: req.ip });
+    return res.sendStatus(401);
+  }
+  res.sendStatus(200);
+  ingestWhatsappEvent(req.body).catch(err => logger.error('WhatsApp webhook failed', { error: err.message }));
+});
+
+/**
+ * Импорт экспорта чата: тело — текст .txt (Content-Type: text/plain)
+ * ?manager_author=имя администратора в экспорте (иначе — по совпадению с менеджерами клиники),
+ * &manager_id, &client_name, &client_phone. Повторная загрузка дописывает только новые сообщения.
+ */
+app.post('/api/whatsapp/import', requireRole('admin', 'head'),
+  express.text({ type: 'text/plain', limit: WHATSAPP_IMPORT_MAX_BYTES }), async (req, res) => {
+    const parsed = typeof req.body === 'string' ? parseWhatsappExport(req.body) : [];
+    if (!parsed.length) return res.status(400).json({ error: 'Не найдено ни одного сообщения: нужен .txt экспорт чата WhatsApp' });
+    try {
+      const clinic = await requireClinic(req, res);
+      if (!clinic) return;
+      const authors = [...new Set(parsed.map(m => m.authorName))];
+      const { data: managers } = await supabase.from('managers').select('id, name').eq('clinic_id', clinic.id);
+      let managerAuthor = req.query.manager_author ? String(req.query.manager_author) : null;
+      let managerId = req.query.manager_id ? Number(req.query.manager_id) : null;
+      if (!managerAuthor) {
+        const matched = matchManagerAuthor(authors, managers || []);
+        if (matched) {
+          managerAuthor = matched.author;
+          managerId = managerId || matched.manager.id;
+        }
+      }
+      if (!managerAuthor || !authors.includes(managerAuthor)) {
+        return res.status(400).json({ error: 'Укажите manager_author — кто из авторов экспорта администратор', authors });
+      }
+      if (managerId && !(managers || []).some(m => m.id === managerId)) {
+        return res.status(400).json({ error: 'manager_id: менеджер не найден в клинике' });
+      }
+
+      const clientName = req.query.client_name ? String(req.query.client_name) : authors.find(a => a !== managerAuthor) || null;
+      // Как у звонков и пациентов (7701…): по этому номеру чат находит удаление данных пациента
+      const clientPhone = normalizePhone(req.query.client_phone);
+      const waChatId = clientPhone || `export:${crypto.createHash('sha1')
+        .update(`${clientName}|${parsed[0].sentAt.toISOString()}`).digest('hex').slice(0, 16)}`;
+
+      const { chat, added } = await saveWhatsappMessages({
+        clinic_id: clinic.id, wa_chat_id: waChatId, source: 'export',
+        client_name: clientName, client_phone: clientPhone, manager_id: managerId
+      }, parsed.map(m => ({
+        wa_message_id: `export:${crypto.createHash('sha1')
+          .update(`${waChatId}|${m.sentAt.toISOString()}|${m.authorName}|${m.text}`).digest('hex')}`,
+        author: m.authorName === managerAuthor ? 'manager' : 'client',
+        author_name: m.authorName,
+        message_type: m.media ? 'media' : 'text',
+        text: m.media ? null : m.text,
+        sent_at: m.sentAt.toISOString()
+      })));
+
+      logger.info('💬 WhatsApp export imported', { chatId: chat.id, messages: parsed.length, added, by: req.user.id });
+      // Экспорт — законченная переписка: оцениваем сразу, не дожидаясь паузы
+      if (added) {
+        analyzeWhatsappChat(chat.id).catch(async err => {
+          logger.error('WhatsApp chat analysis failed', { chatId: chat.id, error: err.message });
+          await supabase.from('whatsapp_chats').update({ needs_analysis: false, analysis_error: err.message }).eq('id', chat.id);
+        });
+      }
+      res.status(201).json({ chat, messages: parsed.length, added });
+    } catch (error) { res.status(500).json({ error: error.message }); }
+  });
+
+// Чаты: from/to — по последнему сообщению, manager_ids, status (как у звонков), ?before= — курсор, limit
+app.get('/api/whatsapp/chats', async (req, res) => {
+  try {
+    const { filters, error: filterError } = parseCallFilters(req);
+    if (filterError) return res.status(400).json({ error: filterError });
+    const limit = Math.min(parseInt(req.query.limit) || CALLS_PAGE_SIZE, CALLS_PAGE_MAX);
+    if (filters.managerIds?.length === 0) return res.json({ chats: [], next_before: null });
+
+    const embed = ['problem', 'success'].includes(filters.status) ? 'analysis:whatsapp_analyses!inner' : 'analysis:whatsapp_analyses';
+    let query = scopeToClinic(supabase.from('whatsapp_chats').select(`id, source, client_name, client_phone, manager_id,
+      message_count, first_message_at, last_message_at, analyzed_at, analysis_error, manager:managers(name),
+      ${embed}(total_score, is_successful, has_critical_error, ai_summary, first_response_seconds, unanswered)`), req);
+    if (filters.from) query = query.gte('last_message_at', filters.from);
+    if (filters.to) query = query.lte('last_message_at', filters.to);
+    if (filters.managerIds) query = query.in('manager_id', filters.managerIds);
+    if (filters.status === 'analyzed') query = query.not('analyzed_at', 'is', null);
+    if (filters.status === 'unanalyzed') query = query.is('analyzed_at', null);
+    if (filters.status === 'problem') query = query.lt('analysis.total_score', 60);
+    if (filters.status === 'success') query = query.gte('analysis.total_score', 80);
+    if (req.query.before) {
+      const before = parseDateParam(req.query.before, 'before');
+      if (before.error) return res.status(400).json({ error: before.error });
+      query = query.lt('last_message_at', before.value);
+    }
+
+    const { data, error } = await query.order('last_message_at', { ascending: false }).limit(limit);
+    if (error) throw new Error(error.message);
+    res.json({ chats: data, next_before: data.length === limit ? data[data.length - 1].last_message_at : null });
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+app.get('/api/whatsapp/chats/:id', async (req, res) => {
+  try {
+    const chat = await findScopedChat(req, req.params.id);
+    if (!chat) return res.status(404).json({ error: 'Чат не найден' });
+    const [messages, analysis, manager] = await Promise.all([
+      supabase.from('whatsapp_messages').select('id, author, author_name, message_type, text, sent_at')
+        .eq('chat_id', chat.id).order('sent_at').limit(WHATSAPP_MAX_MESSAGES * 2),
+      supabase.from('whatsapp_analyses').select('*').eq('chat_id', chat.id).maybeSingle(),
+      chat.manager_id ? supabase.from('managers').select('name').eq('id', chat.manager_id).maybeSingle() : { data: null }
+    ]);
+    if (messages.error) throw new Error(messages.error.message);
+    res.json({ ...chat, manager: manager.data, messages: messages.data, analysis: analysis.data });
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+// Привязка чата к администратору (у вебхука автор ответов неизвестен): { manager_id }
+app.put('/api/whatsapp/chats/:id', requireRole('admin', 'head'), async (req, res) => {
+  const managerId = req.body?.manager_id === null ? null : Number(req.body?.manager_id);
+  if (managerId !== null && !Number.isInteger(managerId)) return res.status(400).json({ error: 'manager_id: ID менеджера или null' });
+  try {
+    const chat = await findScopedChat(req, req.params.id);
+    if (!chat) return res.status(404).json({ error: 'Чат не найден' });
+    if (managerId) {
+      const { data: manager } = await supabase.from('managers').select('id, clinic_id').eq('id', managerId).maybeSingle();
+      if (!manager || manager.clinic_id !== chat.clinic_id) return res.status(400).json({ error: 'manager_id: менеджер не найден в клинике чата' });
+    }
+    const { data, error } = await supabase.from('whatsapp_chats')
+      .update({ manager_id: managerId, updated_at: new Date().toISOString() }).eq('id', chat.id).select().single();
+    if (error) throw new Error(error.message);
+    await supabase.from('whatsapp_analyses').update({ manager_id: managerId }).eq('chat_id', chat.id);
+    res.json(data);
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+// Оценить чат сейчас (повтор после ошибки или после смены рубрики)
+app.post('/api/whatsapp/chats/:id/analyze', requireRole('admin', 'head'), async (req, res) => {
+  try {
+    const chat = await findScopedChat(req, req.params.id);
+    if (!chat) return res.status(404).json({ error: 'Чат не найден' });
+    res.json(await analyzeWhatsappChat(chat.id));
+  } catch (error) {
+    await supabase.from('whatsapp_chats').update({ analysis_error: error.message }).eq('id', req.params.id);
+    if (error instanceof LLMError) return res.status(502).json({ error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Последние оценки переписок (from/to — по дате оценки)
+app.get('/api/whatsapp/analyses', async (req, res) => {
+  try {
+    const { filters, error: filterError } = parseCallFilters(req);
+    if (filterError) return res.status(400).json({ error: filterError });
+    if (filters.managerIds?.length === 0) return res.json({ analyses: [] });
+    let query = scopeToClinic(supabase.from('whatsapp_analyses')
+      .select('*, chat:whatsapp_chats(client_name, client_phone, last_message_at), manager:managers(name)'), req);
+    if (filters.from) query = query.gte('analyzed_at', filters.from);
+    if (filters.to) query = query.lte('analyzed_at', filters.to);
+    if (filters.managerIds) query = query.in('manager_id', filters.managerIds);
+    const { data, error } = await query.order('analyzed_at', { ascending: false })
+      .limit(Math.min(parseInt(req.query.limit) || CALLS_PAGE_SIZE, CALLS_PAGE_MAX));
+    if (error) throw new Error(error.message);
+    res.json({ analyses: data });
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+// Рейтинг администраторов по переписке — рядом с рейтингом по звонкам
+app.get('/api/stats/whatsapp/managers', requireRole('admin', 'head'), async (req, res) => {
+  try {
+    const { filters, error: filterError } = parseCallFilters(req);
+    if (filterError) return res.status(400).json({ error: filterError });
+    const { data, error } = await supabase.rpc('whatsapp_manager_ranking', {
+      p_clinic_id: req.clinicId, p_from: filters.from, p_to: filters.to
+    });
+    if (error) throw new Error(error.message);
+    res.json({ managers: data });
+  } catch (error) { res.status(500).json({ error: error.message }); }
+});
+
+// ==================== START ====================
+
+const PORT = process.env.PORT || 3000;
+
+// Для офлайн-оценки (eval/run.js) модуль подключается без запуска сервера и фоновых задач
+module.exports = { app, llmJson, translateTurns, analyzeCall, scoreAnalysis, validateRubricDefinition, DEFAULT_RUBRIC, mockLLM };
+
+if (require.main === module) {
+  app.listen(PORT, async () => {
+    logger.info(`🏥 CallMind v5.3 запущен`, {
+      port: PORT,
+      environment: process.env.NODE_ENV || 'development',
+      ffmpeg: FFMPEG_AVAILABLE,
+      stt: { default: STT_PROVIDER, fallback: STT_FALLBACK, configured: Object.keys(STT_PROVIDERS).filter(n => STT_PROVIDERS[n].isConfigured()) },
+      pipeline: FFMPEG_AVAILABLE
+        ? 'Stereo split → STT×2 → LLM translate → LLM analyze'
+        : 'Mono: STT → LLM translate+roles → LLM analyze'
+    });
+
+    logger.info(`📋 Формат вывода: реплики с таймкодами (стерео), 2 блока (моно)`);
+
+    // Очередь анализа: поднимаем прерванные рестартом задачи и запускаем воркеры
+    await recoverStaleJobs(true);
+    setInterval(() => {
+      processJobQueue();
+    }, JOB_POLL_INTERVAL_MS);
+    setInterval(() => recoverStaleJobs(), 5 * 60 * 1000);
+    enqueueUnscoredCalls().catch(err => {
+      logger.error('Enqueue unscored calls failed', { error: err.message });
+    });
+    logger.info(`⚙️ Очередь анализа запущена`, { concurrency: ANALYSIS_CONCURRENCY, maxAttempts: ANALYSIS_MAX_ATTEMPTS });
+
+    await ensureBootstrapAdmin();
+    await ensureDefaultRubric();
+
+    // Архив записей: bucket/папка + догоняем звонки без копии
+    try {
+      await recordingStore.init();
+      logger.info('🗄️ Архив записей готов', { storage: RECORDINGS_STORAGE });
+    } catch (error) {
+      logger.error('Recordings storage init failed', { storage: RECORDINGS_STORAGE, error: error.message });
+    }
+    setInterval(() => archivePendingRecordings().catch(err => {
+      logger.error('Archive pending recordings failed', { error: err.message });
+    }), 10 * 60 * 1000);
+
+    // Дайджесты РОПу в Telegram / на почту
+    setInterval(() => runDigestSchedule().catch(err => {
+      logger.error('Digest schedule failed', { error: err.message });
+    }), DIGEST_CHECK_INTERVAL_MS);
+    logger.info('📨 Дайджесты', {
+      hour: DIGEST_HOUR,
+      weekday: DIGEST_WEEKDAY,
+      channels: Object.keys(DIGEST_CHANNELS).filter(n => DIGEST_CHANNELS[n].isConfigured())
+    });
+
+    // Сроки хранения данных: первый проход после старта, дальше по расписанию
+    const purgeRetention = () => runRetentionPurge().catch(err => {
+      logger.error('Retention purge failed', { error: err.message });
+    });
+    setTimeout(purgeRetention, 60 * 1000);
+    setInterval(purgeRetention, RETENTION_CHECK_INTERVAL_MS);
+    logger.info('🧹 Сроки хранения по умолчанию', RETENTION_DEFAULTS);
+
+    // Оценка затихших чатов WhatsApp
+    setInterval(() => analyzeIdleWhatsappChats().catch(err => {
+      logger.error('WhatsApp analysis failed', { error: err.message });
+    }), WHATSAPP_CHECK_INTERVAL_MS);
+    if (!WHATSAPP_APP_SECRET) logger.warn('⚠️ WHATSAPP_APP_SECRET не задан — вебхук WhatsApp отклоняет события');
+
+    if (PII_ENCRYPTION_KEY && !piiKey()) logger.error('❌ PII_ENCRYPTION_KEY должен быть 32 байта в base64 — оригиналы персональных данных не сохраняются');
+    else if (PII_REDACTION && !piiKey()) logger.warn('⚠️ PII_ENCRYPTION_KEY не задан — персональные данные скрываются без возможности просмотра');
+
+    // Клиники и их токены Bitrix из БД (первый старт — клиника по умолчанию из env)
+    await ensureDefaultClinic();
+    const clinics = await loadClinics();
+    const connected = clinics.filter(c => c.is_active && c.bitrix_tokens?.access_token);
+    logger.info(`🏥 Клиник: ${clinics.length}, подключено к Bitrix: ${connected.length}`);
+    if (!connected.length) logger.warn('⚠️ Bitrix не авторизован ни в одной клинике - синхронизация ждёт подключения');
+
+    const unverified = clinics.filter(c => c.is_active && !bitrixCredentials(c).applicationToken);
+    if (unverified.length) {
+      logger.warn('⚠️ Нет application_token — события Битрикс отклоняются до переустановки приложения или ручной настройки', {
+        clinics: unverified.map(c => c.code)
+      });
+    }
+
+    // Сверка с Битрикс на случай пропущенных событий (клиники, подключённые позже, подхватываются сами)
+    setInterval(() => {
+      syncAllClinics().catch(err => {
+        logger.error('Sync failed', { error: err.message });
+      });
+    }, BITRIX_RECONCILE_MINUTES * 60 * 1000);
+
+    // Догрузки истории, прерванные рестартом, продолжаются с сохранённой страницы
+    processBackfillQueue();
+
+    // Первая синхронизация через 30 секунд
+    setTimeout(() => syncAllClinics().catch(err => logger.error('Sync failed', { error: err.message })), 30000);
+
+    // ==================== KEEP-ALIVE МЕХАНИЗМ ====================
+    // Предотвращает засыпание на Railway
+    if (process.env.NODE_ENV === 'production' || process.env.RAILWAY_ENVIRONMENT) {
+      const KEEP_ALIVE_URL = process.env.RAILWAY_PUBLIC_DOMAIN
+        ? `https://${process.env.RAILWAY_PUBLIC_DOMAIN}/health`
+        : `http://localhost:${PORT}/health`;
+
+      logger.info('🔄 Keep-alive механизм активирован', { url: KEEP_ALIVE_URL });
+
+      // Пингуем себя каждые 5 минут чтобы Railway не усыпил сервис
+      setInterval(async () => {
+        try {
+          await axios.get(KEEP_ALIVE_URL, { timeout: 10000 });
+          logger.debug('✅ Keep-alive ping successful');
+        } catch (error) {
+          logger.warn('⚠️ Keep-alive ping failed', { error: error.message });
+        }
+      }, 5 * 60 * 1000); // Каждые 5 минут
+    }
+  });
+}
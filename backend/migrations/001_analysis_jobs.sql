@@ -0,0 +1,26 @@
+-- Очередь анализа звонков
+-- Переживает рестарты Railway: задачи хранятся в БД, воркеры забирают их по next_run_at
+
+create table if not exists analysis_jobs (
+  id bigserial primary key,
+  call_id bigint not null references calls(id) on delete cascade,
+  status text not null default 'queued'
+    check (status in ('queued', 'transcribing', 'analyzing', 'done', 'failed')),
+  source text not null default 'auto',          -- auto | manual | reanalyze | requeue
+  attempts int not null default 0,
+  max_attempts int not null default 5,
+  next_run_at timestamptz not null default now(),
+  locked_at timestamptz,
+  last_error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  finished_at timestamptz
+);
+
+-- Не больше одной активной задачи на звонок
+create unique index if not exists analysis_jobs_active_call_idx
+  on analysis_jobs (call_id)
+  where status in ('queued', 'transcribing', 'analyzing');
+
+create index if not exists analysis_jobs_status_next_run_idx
+  on analysis_jobs (status, next_run_at);
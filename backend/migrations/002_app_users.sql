@@ -0,0 +1,17 @@
+-- Пользователи дашборда и роли
+--   admin   — интеграции (Битрикс), пользователи, настройки
+--   head    — РОП: все звонки, анализ/переанализ, очередь
+--   manager — администратор: только свои звонки (manager_id)
+
+create table if not exists app_users (
+  id bigserial primary key,
+  email text not null unique,
+  name text,
+  password_hash text not null,
+  role text not null default 'manager' check (role in ('admin', 'head', 'manager')),
+  manager_id bigint references managers(id) on delete set null,
+  is_active boolean not null default true,
+  last_login_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
@@ -0,0 +1,24 @@
+-- Рубрики оценки (скрипт продаж) с версиями
+-- Каждая правка = новая строка с тем же code и version + 1; старые версии не меняются,
+-- чтобы call_scores всегда указывал на ту рубрику, которой был оценён звонок.
+
+create table if not exists rubrics (
+  id bigserial primary key,
+  code text not null,
+  version int not null,
+  name text not null,
+  definition jsonb not null,
+  is_active boolean not null default false,
+  created_by bigint references app_users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  unique (code, version)
+);
+
+create index if not exists rubrics_active_idx on rubrics (is_active) where is_active;
+
+alter table call_scores
+  add column if not exists rubric_id bigint references rubrics(id) on delete set null,
+  add column if not exists rubric_version int,
+  add column if not exists block_scores jsonb,
+  add column if not exists has_critical_error boolean not null default false,
+  add column if not exists critical_error_type text;
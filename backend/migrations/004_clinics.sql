@@ -0,0 +1,37 @@
+-- Несколько клиник (филиалов) в одном деплое
+-- У каждой клиники свой портал Битрикс24 (OAuth токены), менеджеры, рубрика и словарь.
+-- Строки без clinic_id при первом старте привязываются к клинике по умолчанию
+-- (создаётся из BITRIX_DOMAIN / BITRIX_CLIENT_ID / BITRIX_CLIENT_SECRET).
+
+create table if not exists clinics (
+  id bigserial primary key,
+  code text not null unique,
+  name text not null,
+  city text,
+  specialty text,                 -- профиль для переводчика: "суставы"
+  offer text,                     -- акция для переводчика: "консультация+УЗИ 2+повтор=9900₸"
+  glossary text,                  -- словарь каз→рус: "буын=сустав, тізе=колено, ..."
+  bitrix_domain text unique,
+  bitrix_client_id text,
+  bitrix_client_secret text,
+  bitrix_tokens jsonb,            -- { access_token, refresh_token }
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table calls add column if not exists clinic_id bigint references clinics(id);
+alter table call_scores add column if not exists clinic_id bigint references clinics(id);
+alter table managers add column if not exists clinic_id bigint references clinics(id);
+alter table rubrics add column if not exists clinic_id bigint references clinics(id); -- null = общая для сети
+alter table app_users add column if not exists clinic_id bigint references clinics(id); -- null = все клиники
+
+create index if not exists calls_clinic_date_idx on calls (clinic_id, call_date desc);
+create index if not exists call_scores_clinic_idx on call_scores (clinic_id);
+
+-- ID звонков и пользователей уникальны только внутри своего портала
+alter table calls drop constraint if exists calls_bitrix_call_id_key;
+create unique index if not exists calls_clinic_bitrix_call_idx on calls (clinic_id, bitrix_call_id);
+
+alter table managers drop constraint if exists managers_bitrix_id_key;
+create unique index if not exists managers_clinic_bitrix_idx on managers (clinic_id, bitrix_id);
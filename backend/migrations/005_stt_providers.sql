@@ -0,0 +1,11 @@
+-- Выбор STT провайдера: yandex | openai | whisper_local
+-- Приоритет: задача (ручной переанализ) → клиника → STT_PROVIDER из env.
+-- При ошибке провайдера — fallback по STT_FALLBACK; в calls пишется, кто реально распознал.
+
+alter table clinics
+  add column if not exists stt_provider text,
+  add column if not exists stt_prompt text;      -- подсказка для Whisper/OpenAI: начало типичного разговора
+
+alter table analysis_jobs add column if not exists stt_provider text;
+
+alter table calls add column if not exists stt_provider text;
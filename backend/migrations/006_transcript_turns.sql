@@ -0,0 +1,5 @@
+-- Реплики с таймкодами (v6)
+-- transcript_formatted: стерео — [{ role, start, end, text }] (перевод), старые/моно — [{ role, text }]
+-- transcript_raw: те же реплики до перевода (что реально распознал STT)
+
+alter table calls add column if not exists transcript_raw jsonb;
@@ -0,0 +1,13 @@
+-- Архив записей звонков
+-- audio_url — исходная ссылка Битрикс (протухает), audio_path — наша копия
+-- в Supabase Storage (bucket RECORDINGS_BUCKET, приватный) или на диске (RECORDINGS_DIR).
+-- Bucket создаётся сервером при старте.
+
+alter table calls
+  add column if not exists audio_path text,
+  add column if not exists audio_size bigint,
+  add column if not exists audio_content_type text,
+  add column if not exists audio_archived_at timestamptz;
+
+create index if not exists calls_unarchived_idx on calls (call_date desc)
+  where audio_url is not null and audio_path is null;
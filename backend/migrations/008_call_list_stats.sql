@@ -0,0 +1,122 @@
+-- Серверные фильтры, пагинация и агрегаты для дашборда
+-- call_list — плоская строка звонка с оценкой и именем менеджера (без транскриптов):
+-- по ней /api/calls фильтрует и листает курсором (call_date desc, id desc).
+-- Функции считают KPI, разбивку по блокам и рейтинг в БД, а не в браузере.
+-- Пустой фильтр (null) = без ограничения; p_manager_ids = '{}' = ни одного менеджера.
+
+create or replace view call_list as
+select
+  c.id,
+  c.clinic_id,
+  c.bitrix_call_id,
+  c.manager_id,
+  m.name as manager_name,
+  c.client_name,
+  c.duration,
+  c.call_date,
+  c.call_direction,
+  c.crm_link,
+  c.audio_url,
+  c.audio_path,
+  c.stt_provider,
+  (c.audio_url is not null or c.audio_path is not null) as has_audio,
+  s.id as score_id,
+  s.total_score,
+  s.call_type,
+  s.is_successful,
+  s.has_critical_error,
+  s.ai_summary
+from calls c
+left join call_scores s on s.call_id = c.id
+left join managers m on m.id = c.manager_id;
+
+create index if not exists calls_date_id_idx on calls (call_date desc, id desc);
+create index if not exists calls_manager_date_idx on calls (manager_id, call_date desc);
+create index if not exists call_scores_total_idx on call_scores (total_score);
+
+-- KPI дашборда: всего, проанализировано, средний балл, успешные (80+), проблемные (<60), средняя длительность
+create or replace function call_stats(
+  p_clinic_id bigint default null,
+  p_from timestamptz default null,
+  p_to timestamptz default null,
+  p_manager_ids bigint[] default null
+) returns json
+language sql stable as $$
+  select json_build_object(
+    'total_calls', count(*),
+    'analyzed', count(total_score),
+    'avg_score', round(avg(total_score)),
+    'successful', count(*) filter (where total_score >= 80),
+    'problem', count(*) filter (where total_score < 60),
+    'avg_duration', round(avg(duration) filter (where duration > 0))
+  )
+  from call_list
+  where (p_clinic_id is null or clinic_id = p_clinic_id)
+    and (p_from is null or call_date >= p_from)
+    and (p_to is null or call_date <= p_to)
+    and (p_manager_ids is null or manager_id = any(p_manager_ids));
+$$;
+
+-- Средний балл по блокам рубрики; старые оценки без block_scores — по block1..block6
+create or replace function criteria_breakdown(
+  p_clinic_id bigint default null,
+  p_from timestamptz default null,
+  p_to timestamptz default null,
+  p_manager_ids bigint[] default null
+) returns table (key text, name text, avg_score numeric, scored_calls bigint)
+language sql stable as $$
+  with scoped as (
+    select s.*
+    from call_scores s
+    join calls c on c.id = s.call_id
+    where (p_clinic_id is null or c.clinic_id = p_clinic_id)
+      and (p_from is null or c.call_date >= p_from)
+      and (p_to is null or c.call_date <= p_to)
+      and (p_manager_ids is null or c.manager_id = any(p_manager_ids))
+  ),
+  blocks as (
+    select b.value->>'key' as key, b.value->>'name' as name, (b.value->>'score')::numeric as score, b.ord
+    from scoped, jsonb_array_elements(scoped.block_scores) with ordinality as b(value, ord)
+    where scoped.block_scores is not null
+    union all
+    select l.key, l.name, l.score, l.ord
+    from scoped
+    cross join lateral (values
+      ('block1', 'Контакт', scoped.block1_score::numeric, 1),
+      ('block2', 'Боль', scoped.block2_score::numeric, 2),
+      ('block3', 'Презентация', scoped.block3_score::numeric, 3),
+      ('block4', 'Запись', scoped.block4_score::numeric, 4),
+      ('block5', 'Возражения', scoped.block5_score::numeric, 5),
+      ('block6', 'Финал', scoped.block6_score::numeric, 6)
+    ) as l(key, name, score, ord)
+    where scoped.block_scores is null
+  )
+  select key, min(name), round(avg(score)), count(*)
+  from blocks
+  where score is not null
+  group by key
+  order by min(ord), key;
+$$;
+
+-- Рейтинг администраторов за период
+create or replace function manager_ranking(
+  p_clinic_id bigint default null,
+  p_from timestamptz default null,
+  p_to timestamptz default null
+) returns table (manager_id bigint, name text, total_calls bigint, analyzed_calls bigint, avg_score numeric, successful bigint)
+language sql stable as $$
+  select
+    m.id::bigint,
+    m.name::text,
+    count(l.id),
+    count(l.total_score),
+    round(avg(l.total_score)),
+    count(l.id) filter (where l.total_score >= 80)
+  from managers m
+  left join call_list l on l.manager_id = m.id
+    and (p_from is null or l.call_date >= p_from)
+    and (p_to is null or l.call_date <= p_to)
+  where (p_clinic_id is null or m.clinic_id = p_clinic_id)
+  group by m.id, m.name
+  order by round(avg(l.total_score)) desc nulls last, m.name;
+$$;
@@ -0,0 +1,23 @@
+-- Дайджесты для РОПа: ежедневный и еженедельный отчёт в Telegram и/или на почту
+-- Получатель настраивает каналы сам: заполнен email — письмо, telegram_chat_id — сообщение в Telegram.
+-- last_*_period_end — конец последнего отправленного периода: рестарт или второй инстанс
+-- не отправят тот же дайджест повторно.
+
+create table if not exists digest_recipients (
+  id bigserial primary key,
+  clinic_id bigint references clinics(id) on delete cascade,   -- null = сводка по всем клиникам
+  name text not null,
+  email text,
+  telegram_chat_id text,
+  daily boolean not null default true,
+  weekly boolean not null default true,
+  is_active boolean not null default true,
+  last_daily_period_end timestamptz,
+  last_weekly_period_end timestamptz,
+  created_by bigint references app_users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (email is not null or telegram_chat_id is not null)
+);
+
+create index if not exists digest_recipients_active_idx on digest_recipients (is_active) where is_active;
@@ -0,0 +1,22 @@
+-- Результаты анализа обратно в Битрикс24
+-- Комментарий в таймлайне привязанной сущности CRM (контакт/лид/сделка/компания) после каждой оценки;
+-- при балле ниже clinics.bitrix_task_threshold или критической ошибке — задача ответственному менеджеру.
+-- Приложению Битрикс24 нужны права crm и task.
+
+alter table calls
+  add column if not exists crm_entity_type text,          -- CONTACT | LEAD | DEAL | COMPANY (как в voximplant.statistic)
+  add column if not exists crm_entity_id text,
+  add column if not exists bitrix_comment_id bigint,      -- комментарий обновляется при переанализе, а не дублируется
+  add column if not exists bitrix_task_id bigint,         -- задача создаётся один раз на звонок
+  add column if not exists bitrix_synced_at timestamptz,
+  add column if not exists bitrix_sync_error text;
+
+-- Старые звонки: сущность из crm_link (https://<portal>/crm/<type>/details/<id>/)
+update calls set
+  crm_entity_type = upper((regexp_match(crm_link, '/crm/([a-z]+)/details/(\d+)/'))[1]),
+  crm_entity_id = (regexp_match(crm_link, '/crm/([a-z]+)/details/(\d+)/'))[2]
+where crm_link is not null and crm_entity_id is null;
+
+alter table clinics
+  add column if not exists bitrix_writeback boolean not null default false,
+  add column if not exists bitrix_task_threshold int;    -- null = задачи не создавать
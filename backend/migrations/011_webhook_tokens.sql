@@ -0,0 +1,6 @@
+-- Проверка входящих событий Битрикс24
+-- Каждое событие приходит с auth[application_token] — секретом установки приложения на портал.
+-- Токен сохраняется из события ONAPPINSTALL (после проверки access_token через app.info)
+-- или задаётся админом вручную; события без совпадающего токена отклоняются.
+
+alter table clinics add column if not exists bitrix_application_token text;
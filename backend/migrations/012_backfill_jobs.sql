@@ -0,0 +1,25 @@
+-- Догрузка истории звонков из Битрикс24 за произвольный период
+-- Задача листает voximplant.statistic.get постранично (по 50) и после каждой страницы сохраняет
+-- next_start и счётчики: прогресс виден в API, после рестарта задача продолжается с той же страницы.
+-- Обычная сверка хранит high-water mark в settings (key = bitrix_sync_cursor:<clinic_id>).
+
+create table if not exists backfill_jobs (
+  id bigserial primary key,
+  clinic_id bigint not null references clinics(id) on delete cascade,
+  date_from timestamptz not null,
+  date_to timestamptz not null,
+  analyze boolean not null default false,        -- ставить догруженные звонки в очередь анализа
+  status text not null default 'queued'
+    check (status in ('queued', 'running', 'done', 'failed')),
+  next_start int not null default 0,
+  total int,
+  fetched int not null default 0,
+  added int not null default 0,
+  last_error text,
+  created_by bigint references app_users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  finished_at timestamptz
+);
+
+create index if not exists backfill_jobs_status_idx on backfill_jobs (status, created_at);
@@ -0,0 +1,18 @@
+-- Планы коучинга администраторов
+-- План генерирует LLM по последним N оценённым звонкам; хранится, чтобы РОП открывал его
+-- на one-on-one без повторной генерации, и чтобы было видно, как план менялся.
+
+create table if not exists coaching_plans (
+  id bigserial primary key,
+  manager_id bigint not null references managers(id) on delete cascade,
+  clinic_id bigint references clinics(id),
+  calls_count int not null,
+  period_from timestamptz,
+  period_to timestamptz,
+  plan jsonb not null,
+  llm_model text,
+  created_by bigint references app_users(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists coaching_plans_manager_idx on coaching_plans (manager_id, created_at desc);
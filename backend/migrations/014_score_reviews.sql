@@ -0,0 +1,82 @@
+-- Ручная проверка оценок ИИ и калибровка
+-- РОП исправляет баллы блоков, флаги успеха и критической ошибки с комментарием.
+-- call_scores хранит действующую (исправленную) оценку, ai_original — снимок ответа ИИ
+-- до первой правки; каждая правка — строка score_reviews (кто, что, с какого на какое).
+
+alter table call_scores
+  add column if not exists ai_original jsonb,   -- { total_score, block_scores, is_successful, has_critical_error, critical_error_type }
+  add column if not exists reviewed_at timestamptz,
+  add column if not exists reviewed_by bigint references app_users(id) on delete set null;
+
+create table if not exists score_reviews (
+  id bigserial primary key,
+  call_id bigint not null references calls(id) on delete cascade,
+  clinic_id bigint references clinics(id),
+  reviewer_id bigint references app_users(id) on delete set null,
+  changes jsonb not null,                       -- [{ field, key?, name?, from, to }]
+  comment text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists score_reviews_call_idx on score_reviews (call_id, created_at desc);
+create index if not exists call_scores_reviewed_idx on call_scores (reviewed_at) where ai_original is not null;
+
+-- Расхождения ИИ и проверяющих по исправленным оценкам за период (по дате звонка):
+-- по блокам и по администраторам; diff = человек − ИИ (минус — ИИ завышает)
+create or replace function score_calibration(
+  p_clinic_id bigint default null,
+  p_from timestamptz default null,
+  p_to timestamptz default null
+) returns json
+language sql stable as $$
+  with reviewed as (
+    select s.*, c.manager_id, (s.ai_original->>'total_score')::numeric as ai_total
+    from call_scores s
+    join calls c on c.id = s.call_id
+    where s.ai_original is not null
+      and (p_clinic_id is null or c.clinic_id = p_clinic_id)
+      and (p_from is null or c.call_date >= p_from)
+      and (p_to is null or c.call_date <= p_to)
+  ),
+  pairs as (
+    select r.manager_id, h.value->>'key' as key, h.value->>'name' as name, h.ord,
+      (h.value->>'score')::numeric as human, (a.value->>'score')::numeric as ai
+    from reviewed r
+    cross join lateral jsonb_array_elements(r.block_scores) with ordinality as h(value, ord)
+    join lateral jsonb_array_elements(r.ai_original->'block_scores') as a(value) on a.value->>'key' = h.value->>'key'
+  )
+  select json_build_object(
+    'reviewed', (select count(*) from reviewed),
+    'total', (
+      select json_build_object(
+        'changed', count(*) filter (where total_score <> ai_total),
+        'avg_diff', round(avg(total_score - ai_total), 1),
+        'avg_abs_diff', round(avg(abs(total_score - ai_total)), 1),
+        'successful_changed', count(*) filter (where is_successful is distinct from (ai_original->>'is_successful')::boolean),
+        'critical_changed', count(*) filter (where has_critical_error is distinct from (ai_original->>'has_critical_error')::boolean)
+      ) from reviewed
+    ),
+    'blocks', (
+      select coalesce(json_agg(b order by b.avg_abs_diff desc, b.ord), '[]'::json) from (
+        select key, min(name) as name, min(ord) as ord, count(*) as reviewed,
+          count(*) filter (where human <> ai) as changed,
+          round(avg(human - ai), 1) as avg_diff,
+          round(avg(abs(human - ai)), 1) as avg_abs_diff
+        from pairs
+        where human is not null and ai is not null
+        group by key
+      ) b
+    ),
+    'managers', (
+      select coalesce(json_agg(m order by m.avg_abs_diff desc, m.name), '[]'::json) from (
+        select r.manager_id, coalesce(mg.name, '—') as name, count(*) as reviewed,
+          count(*) filter (where r.total_score <> r.ai_total) as changed,
+          round(avg(r.total_score - r.ai_total), 1) as avg_diff,
+          round(avg(abs(r.total_score - r.ai_total)), 1) as avg_abs_diff
+        from reviewed r
+        left join managers mg on mg.id = r.manager_id
+        group by r.manager_id, mg.name
+      ) m
+    )
+  );
+$$;
@@ -0,0 +1,94 @@
+-- Переписка WhatsApp: чаты, сообщения, оценка по рубрике продаж
+-- Источники: вебхук WhatsApp Business (Cloud API) и загрузка экспорта чата (.txt из приложения).
+-- Клиника вебхука определяется по clinics.whatsapp_phone_number_id (metadata.phone_number_id).
+-- Чат оценивается, когда переписка затихла (WHATSAPP_IDLE_MINUTES) и есть новые сообщения.
+
+alter table clinics add column if not exists whatsapp_phone_number_id text unique;
+
+create table if not exists whatsapp_chats (
+  id bigserial primary key,
+  clinic_id bigint references clinics(id),
+  source text not null default 'webhook',        -- webhook | export
+  wa_chat_id text not null,                      -- wa_id пациента или ключ импортированного чата
+  client_phone text,
+  client_name text,
+  manager_id bigint references managers(id) on delete set null,
+  message_count int not null default 0,
+  first_message_at timestamptz,
+  last_message_at timestamptz,
+  needs_analysis boolean not null default false, -- пришли новые сообщения после последней оценки
+  analyzed_at timestamptz,
+  analysis_error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists whatsapp_chats_clinic_chat_idx on whatsapp_chats (clinic_id, wa_chat_id);
+create index if not exists whatsapp_chats_last_message_idx on whatsapp_chats (last_message_at desc);
+create index if not exists whatsapp_chats_pending_idx on whatsapp_chats (last_message_at) where needs_analysis;
+
+create table if not exists whatsapp_messages (
+  id bigserial primary key,
+  chat_id bigint not null references whatsapp_chats(id) on delete cascade,
+  wa_message_id text not null unique,            -- id Cloud API; у импорта — хэш (повторная загрузка не дублирует)
+  author text not null,                          -- client | manager
+  author_name text,
+  message_type text not null default 'text',
+  text text,
+  sent_at timestamptz not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists whatsapp_messages_chat_idx on whatsapp_messages (chat_id, sent_at);
+
+-- Последняя оценка чата (как call_scores для звонка)
+create table if not exists whatsapp_analyses (
+  id bigserial primary key,
+  chat_id bigint not null unique references whatsapp_chats(id) on delete cascade,
+  clinic_id bigint references clinics(id),
+  manager_id bigint references managers(id) on delete set null,
+  rubric_id bigint references rubrics(id),
+  rubric_version int,
+  total_score int,
+  block_scores jsonb,
+  has_critical_error boolean not null default false,
+  critical_error_type text,
+  is_successful boolean,
+  client_info jsonb,
+  ai_summary text,
+  first_response_seconds int,                    -- от первого сообщения пациента до ответа (в рабочие часы)
+  median_response_seconds int,
+  unanswered int not null default 0,             -- сообщения пациента без ответа
+  messages_analyzed int,
+  analyzed_at timestamptz not null default now()
+);
+
+create index if not exists whatsapp_analyses_manager_idx on whatsapp_analyses (manager_id);
+
+-- Рейтинг администраторов по WhatsApp за период (по последнему сообщению чата)
+create or replace function whatsapp_manager_ranking(
+  p_clinic_id bigint default null,
+  p_from timestamptz default null,
+  p_to timestamptz default null
+) returns table (
+  manager_id bigint, name text, chats bigint, analyzed_chats bigint, avg_score numeric,
+  successful bigint, median_first_response_seconds numeric
+)
+language sql stable as $$
+  select
+    m.id::bigint,
+    m.name::text,
+    count(c.id),
+    count(a.id),
+    round(avg(a.total_score)),
+    count(a.id) filter (where a.is_successful),
+    round((percentile_cont(0.5) within group (order by a.first_response_seconds))::numeric)
+  from managers m
+  join whatsapp_chats c on c.manager_id = m.id
+    and (p_from is null or c.last_message_at >= p_from)
+    and (p_to is null or c.last_message_at <= p_to)
+  left join whatsapp_analyses a on a.chat_id = c.id
+  where (p_clinic_id is null or m.clinic_id = p_clinic_id)
+  group by m.id, m.name
+  order by round(avg(a.total_score)) desc nulls last, m.name;
+$$;
@@ -0,0 +1,64 @@
+-- Пациенты: звонки одного номера связываются в историю обращений
+-- Номер нормализуется до цифр с кодом страны (8 701 … → 7701…, 10 цифр → 7 + номер), как normalizePhone в index.js.
+-- Сводка client_info (факты, боли, возражения) собирается из оценок звонков при чтении, отдельно не хранится.
+
+create table if not exists patients (
+  id bigserial primary key,
+  clinic_id bigint references clinics(id),
+  phone text not null,
+  name text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists patients_clinic_phone_idx on patients (clinic_id, phone);
+
+alter table calls add column if not exists client_phone text;
+alter table calls add column if not exists patient_id bigint references patients(id) on delete set null;
+
+create index if not exists calls_patient_date_idx on calls (patient_id, call_date desc);
+
+-- Уже загруженные звонки: client_name — это PHONE_NUMBER из Битрикс
+update calls set client_phone = case
+    when length(d) = 11 and d like '8%' then '7' || substr(d, 2)
+    when length(d) = 10 then '7' || d
+    when length(d) between 11 and 15 then d
+  end
+from (select id as call_id, regexp_replace(coalesce(client_name, ''), '\D', '', 'g') as d from calls) digits
+where calls.id = digits.call_id and calls.client_phone is null;
+
+insert into patients (clinic_id, phone)
+select distinct clinic_id, client_phone from calls where client_phone is not null
+on conflict (clinic_id, phone) do nothing;
+
+update calls c set patient_id = p.id
+from patients p
+where c.patient_id is null and c.client_phone = p.phone and c.clinic_id is not distinct from p.clinic_id;
+
+-- patient_id — в конце списка колонок (create or replace view не меняет порядок существующих)
+create or replace view call_list as
+select
+  c.id,
+  c.clinic_id,
+  c.bitrix_call_id,
+  c.manager_id,
+  m.name as manager_name,
+  c.client_name,
+  c.duration,
+  c.call_date,
+  c.call_direction,
+  c.crm_link,
+  c.audio_url,
+  c.audio_path,
+  c.stt_provider,
+  (c.audio_url is not null or c.audio_path is not null) as has_audio,
+  s.id as score_id,
+  s.total_score,
+  s.call_type,
+  s.is_successful,
+  s.has_critical_error,
+  s.ai_summary,
+  c.patient_id
+from calls c
+left join call_scores s on s.call_id = c.id
+left join managers m on m.id = c.manager_id;
@@ -0,0 +1,66 @@
+-- Перезвоны потерянным лидам: первичный звонок без записи, где у пациента была боль и интерес.
+-- Задача создаётся после анализа (одна на звонок), назначается администратору звонка,
+-- закрывается попыткой с исходом или сама — когда пациент записался в другом звонке.
+
+create table if not exists follow_ups (
+  id bigserial primary key,
+  clinic_id bigint references clinics(id),
+  call_id bigint not null unique references calls(id) on delete cascade,
+  patient_id bigint references patients(id) on delete set null,
+  manager_id bigint references managers(id) on delete set null,  -- кто перезванивает
+  status text not null default 'open',                            -- open | in_progress | won | lost
+  priority int not null default 0,                                -- 0-100, выше — раньше
+  priority_reasons jsonb not null default '[]',
+  due_at timestamptz not null,                                    -- перезвонить до; позже — просрочено
+  attempts int not null default 0,
+  last_attempt_at timestamptz,
+  outcome text,                                                   -- исход последней попытки
+  won_call_id bigint references calls(id) on delete set null,     -- звонок, в котором пациент записался
+  closed_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists follow_ups_queue_idx on follow_ups (clinic_id, status, priority desc, due_at);
+create index if not exists follow_ups_patient_idx on follow_ups (patient_id) where status in ('open', 'in_progress');
+
+create table if not exists follow_up_attempts (
+  id bigserial primary key,
+  follow_up_id bigint not null references follow_ups(id) on delete cascade,
+  user_id bigint references app_users(id) on delete set null,
+  manager_id bigint references managers(id) on delete set null,
+  outcome text not null,             -- no_answer | callback_later | booked | refused | wrong_number
+  comment text,
+  next_at timestamptz,               -- договорились перезвонить
+  created_at timestamptz not null default now()
+);
+
+create index if not exists follow_up_attempts_follow_up_idx on follow_up_attempts (follow_up_id, created_at);
+
+-- Возврат потерянных лидов за период (по дате создания задачи)
+create or replace function follow_up_stats(
+  p_clinic_id bigint default null,
+  p_from timestamptz default null,
+  p_to timestamptz default null,
+  p_manager_ids bigint[] default null
+) returns json
+language sql stable as $$
+  with f as (
+    select fu.*, (select min(a.created_at) from follow_up_attempts a where a.follow_up_id = fu.id) as first_attempt_at
+    from follow_ups fu
+    where (p_clinic_id is null or clinic_id = p_clinic_id)
+      and (p_from is null or created_at >= p_from)
+      and (p_to is null or created_at <= p_to)
+      and (p_manager_ids is null or manager_id = any(p_manager_ids))
+  )
+  select json_build_object(
+    'total', count(*),
+    'open', count(*) filter (where status in ('open', 'in_progress')),
+    'overdue', count(*) filter (where status in ('open', 'in_progress') and due_at < now()),
+    'won', count(*) filter (where status = 'won'),
+    'lost', count(*) filter (where status = 'lost'),
+    'win_rate', round(100.0 * count(*) filter (where status = 'won') / nullif(count(*) filter (where status in ('won', 'lost')), 0)),
+    'avg_attempts', round(avg(attempts) filter (where status in ('won', 'lost')), 1),
+    'avg_hours_to_first_attempt', round((avg(extract(epoch from first_attempt_at - created_at)) / 3600)::numeric, 1)
+  ) from f;
+$$;
@@ -0,0 +1,26 @@
+-- Персональные данные в звонках: имена, даты рождения, ИИН/документы, телефоны заменяются
+-- плейсхолдерами ([ИМЯ_1], [ИИН_1]...) до отправки в LLM и в calls.transcript*.
+-- Оригиналы — в call_pii, зашифрованы на бэкенде (AES-256-GCM, PII_ENCRYPTION_KEY); каждый просмотр — в pii_access_log.
+
+alter table calls add column if not exists pii_redacted_at timestamptz;
+
+create table if not exists call_pii (
+  call_id bigint primary key references calls(id) on delete cascade,
+  clinic_id bigint references clinics(id),
+  payload text not null,                 -- v1:iv:tag:ciphertext (base64) — JSON { "[ИМЯ_1]": "..." }
+  entities jsonb not null default '{}',  -- сколько значений каждого типа, без самих значений
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists pii_access_log (
+  id bigserial primary key,
+  call_id bigint references calls(id) on delete set null,
+  clinic_id bigint references clinics(id),
+  user_id bigint references app_users(id) on delete set null,
+  reason text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists pii_access_log_call_idx on pii_access_log (call_id, created_at desc);
+create index if not exists calls_pii_pending_idx on calls (id) where pii_redacted_at is null and transcript is not null;
@@ -0,0 +1,27 @@
+-- Сроки хранения данных и удаление по запросу пациента.
+-- retention_*_days клиники: null — по умолчанию из env (RETENTION_*_DAYS), 0 — хранить бессрочно.
+-- Строки звонков не удаляются: запись, транскрипты и тексты оценки очищаются, баллы остаются для дашбордов.
+
+alter table clinics add column if not exists retention_audio_days int;
+alter table clinics add column if not exists retention_transcript_raw_days int;   -- исходный STT (calls.transcript_raw)
+alter table clinics add column if not exists retention_transcript_days int;       -- перевод, реплики, call_pii, сообщения WhatsApp
+alter table clinics add column if not exists retention_scores_days int;           -- тексты оценки и номер пациента
+
+alter table calls add column if not exists audio_purged_at timestamptz;       -- запись удалена: Битрикс не подтягивает её заново
+alter table calls add column if not exists transcript_purged_at timestamptz;
+alter table calls add column if not exists anonymized_at timestamptz;         -- client_info, резюме, пояснения и номер очищены
+
+create index if not exists calls_clinic_date_idx on calls (clinic_id, call_date);
+
+-- Журнал удалений: проходы по срокам хранения и удаление данных пациента (отчёт без самих данных)
+create table if not exists data_deletions (
+  id bigserial primary key,
+  clinic_id bigint references clinics(id),
+  kind text not null,                    -- retention | erasure
+  subject_hash text,                     -- erasure: sha256 нормализованного номера, сам номер не хранится
+  requested_by bigint references app_users(id) on delete set null,
+  report jsonb not null default '{}',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists data_deletions_clinic_idx on data_deletions (clinic_id, created_at desc);
@@ -0,0 +1,96 @@
+-- Расходы на STT и LLM: каждый этап pipeline пишет, сколько потратил (секунды аудио, токены),
+-- стоимость считается на бэкенде по таблице цен (settings.ai_prices поверх цен по умолчанию).
+-- Бюджеты клиники: при превышении дневного или месячного автоматический анализ новых звонков ставится на паузу.
+
+create table if not exists ai_usage (
+  id bigserial primary key,
+  clinic_id bigint references clinics(id),
+  call_id bigint references calls(id) on delete set null,
+  chat_id bigint references whatsapp_chats(id) on delete set null,
+  manager_id bigint references managers(id) on delete set null,
+  stage text not null,                   -- stt | translate | translate_mono | analyze | whatsapp | coaching
+  provider text not null,
+  model text,
+  channel text,                          -- stt: администратор | пациент | моно
+  audio_seconds numeric,
+  billed_seconds numeric,                -- с округлением провайдера (Yandex — по 15 с на запрос)
+  prompt_tokens int,
+  completion_tokens int,
+  requests int not null default 1,
+  cost numeric(12, 6) not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists ai_usage_clinic_date_idx on ai_usage (clinic_id, created_at);
+create index if not exists ai_usage_call_idx on ai_usage (call_id);
+
+-- null — бюджет по умолчанию из env (AI_BUDGET_DAILY / AI_BUDGET_MONTHLY), 0 — без ограничения
+alter table clinics add column if not exists budget_daily numeric;
+alter table clinics add column if not exists budget_monthly numeric;
+
+-- Потрачено клиникой с момента (начало суток / месяца в часовом поясе отчётов)
+create or replace function ai_spend(
+  p_clinic_id bigint,
+  p_since timestamptz
+) returns numeric
+language sql stable as $$
+  select coalesce(sum(cost), 0) from ai_usage
+  where clinic_id is not distinct from p_clinic_id and created_at >= p_since;
+$$;
+
+-- Расходы за период: итог, по клиникам, администраторам, этапам и дням (p_timezone — для дней)
+create or replace function ai_cost_report(
+  p_clinic_id bigint default null,
+  p_from timestamptz default null,
+  p_to timestamptz default null,
+  p_timezone text default 'UTC'
+) returns json
+language sql stable as $$
+  with u as (
+    select * from ai_usage
+    where (p_clinic_id is null or clinic_id = p_clinic_id)
+      and (p_from is null or created_at >= p_from)
+      and (p_to is null or created_at <= p_to)
+  )
+  select json_build_object(
+    'total', (
+      select json_build_object(
+        'cost', round(coalesce(sum(cost), 0), 4),
+        'calls', count(distinct call_id),
+        'cost_per_call', round(sum(cost) filter (where call_id is not null) / nullif(count(distinct call_id), 0), 4),
+        'audio_minutes', round(coalesce(sum(audio_seconds), 0) / 60, 1),
+        'prompt_tokens', coalesce(sum(prompt_tokens), 0),
+        'completion_tokens', coalesce(sum(completion_tokens), 0)
+      ) from u
+    ),
+    'clinics', (
+      select coalesce(json_agg(c order by c.cost desc), '[]'::json) from (
+        select u.clinic_id, coalesce(cl.name, '—') as name, round(sum(u.cost), 4) as cost, count(distinct u.call_id) as calls
+        from u left join clinics cl on cl.id = u.clinic_id
+        group by u.clinic_id, cl.name
+      ) c
+    ),
+    'managers', (
+      select coalesce(json_agg(m order by m.cost desc), '[]'::json) from (
+        select u.manager_id, coalesce(mg.name, '—') as name, round(sum(u.cost), 4) as cost, count(distinct u.call_id) as calls,
+          round(sum(u.cost) filter (where u.call_id is not null) / nullif(count(distinct u.call_id), 0), 4) as cost_per_call
+        from u left join managers mg on mg.id = u.manager_id
+        group by u.manager_id, mg.name
+      ) m
+    ),
+    'stages', (
+      select coalesce(json_agg(s order by s.cost desc), '[]'::json) from (
+        select stage, provider, model, round(sum(cost), 4) as cost, sum(requests) as requests,
+          round(coalesce(sum(audio_seconds), 0) / 60, 1) as audio_minutes,
+          coalesce(sum(prompt_tokens), 0) as prompt_tokens, coalesce(sum(completion_tokens), 0) as completion_tokens
+        from u group by stage, provider, model
+      ) s
+    ),
+    'days', (
+      select coalesce(json_agg(d order by d.day), '[]'::json) from (
+        select (created_at at time zone p_timezone)::date as day, round(sum(cost), 4) as cost
+        from u group by 1
+      ) d
+    )
+  );
+$$;
@@ -0,0 +1,140 @@
+-- Агрегаты дашборда с теми же фильтрами, что и список звонков (applyCallFilters в index.js):
+-- балл, тип звонка, направление, успешность, статус. Раньше KPI, блоки и рейтинг
+-- считались только по периоду и менеджерам, и итоги расходились с отфильтрованным списком.
+-- Старые сигнатуры удаляются: перегрузки с default-аргументами PostgREST не различает.
+
+drop function if exists call_stats(bigint, timestamptz, timestamptz, bigint[]);
+drop function if exists criteria_breakdown(bigint, timestamptz, timestamptz, bigint[]);
+drop function if exists manager_ranking(bigint, timestamptz, timestamptz);
+
+-- Звонки call_list по фильтрам; null = без ограничения, p_manager_ids = '{}' = ни одного менеджера
+-- p_status: analyzed | unanalyzed | problem (<60) | success (80+)
+create or replace function filtered_call_list(
+  p_clinic_id bigint default null,
+  p_from timestamptz default null,
+  p_to timestamptz default null,
+  p_manager_ids bigint[] default null,
+  p_score_min int default null,
+  p_score_max int default null,
+  p_call_type text default null,
+  p_direction text default null,
+  p_successful boolean default null,
+  p_status text default null
+) returns setof call_list
+language sql stable as $$
+  select * from call_list
+  where (p_clinic_id is null or clinic_id = p_clinic_id)
+    and (p_from is null or call_date >= p_from)
+    and (p_to is null or call_date <= p_to)
+    and (p_manager_ids is null or manager_id = any(p_manager_ids))
+    and (p_score_min is null or total_score >= p_score_min)
+    and (p_score_max is null or total_score <= p_score_max)
+    and (p_call_type is null or call_type = p_call_type)
+    and (p_direction is null or call_direction = p_direction)
+    and (p_successful is null or is_successful = p_successful)
+    and (p_status is null
+      or (p_status = 'analyzed' and score_id is not null)
+      or (p_status = 'unanalyzed' and score_id is null and has_audio)
+      or (p_status = 'problem' and total_score < 60)
+      or (p_status = 'success' and total_score >= 80));
+$$;
+
+-- KPI дашборда: всего, проанализировано, средний балл, успешные (80+), проблемные (<60), средняя длительность
+create or replace function call_stats(
+  p_clinic_id bigint default null,
+  p_from timestamptz default null,
+  p_to timestamptz default null,
+  p_manager_ids bigint[] default null,
+  p_score_min int default null,
+  p_score_max int default null,
+  p_call_type text default null,
+  p_direction text default null,
+  p_successful boolean default null,
+  p_status text default null
+) returns json
+language sql stable as $$
+  select json_build_object(
+    'total_calls', count(*),
+    'analyzed', count(total_score),
+    'avg_score', round(avg(total_score)),
+    'successful', count(*) filter (where total_score >= 80),
+    'problem', count(*) filter (where total_score < 60),
+    'avg_duration', round(avg(duration) filter (where duration > 0))
+  )
+  from filtered_call_list(p_clinic_id, p_from, p_to, p_manager_ids,
+    p_score_min, p_score_max, p_call_type, p_direction, p_successful, p_status);
+$$;
+
+-- Средний балл по блокам рубрики; старые оценки без block_scores — по block1..block6
+create or replace function criteria_breakdown(
+  p_clinic_id bigint default null,
+  p_from timestamptz default null,
+  p_to timestamptz default null,
+  p_manager_ids bigint[] default null,
+  p_score_min int default null,
+  p_score_max int default null,
+  p_call_type text default null,
+  p_direction text default null,
+  p_successful boolean default null,
+  p_status text default null
+) returns table (key text, name text, avg_score numeric, scored_calls bigint)
+language sql stable as $$
+  with scoped as (
+    select s.*
+    from call_scores s
+    join filtered_call_list(p_clinic_id, p_from, p_to, p_manager_ids,
+      p_score_min, p_score_max, p_call_type, p_direction, p_successful, p_status) l on l.id = s.call_id
+  ),
+  blocks as (
+    select b.value->>'key' as key, b.value->>'name' as name, (b.value->>'score')::numeric as score, b.ord
+    from scoped, jsonb_array_elements(scoped.block_scores) with ordinality as b(value, ord)
+    where scoped.block_scores is not null
+    union all
+    select l.key, l.name, l.score, l.ord
+    from scoped
+    cross join lateral (values
+      ('block1', 'Контакт', scoped.block1_score::numeric, 1),
+      ('block2', 'Боль', scoped.block2_score::numeric, 2),
+      ('block3', 'Презентация', scoped.block3_score::numeric, 3),
+      ('block4', 'Запись', scoped.block4_score::numeric, 4),
+      ('block5', 'Возражения', scoped.block5_score::numeric, 5),
+      ('block6', 'Финал', scoped.block6_score::numeric, 6)
+    ) as l(key, name, score, ord)
+    where scoped.block_scores is null
+  )
+  select key, min(name), round(avg(score)), count(*)
+  from blocks
+  where score is not null
+  group by key
+  order by min(ord), key;
+$$;
+
+-- Рейтинг администраторов за период (p_manager_ids — только эти администраторы)
+create or replace function manager_ranking(
+  p_clinic_id bigint default null,
+  p_from timestamptz default null,
+  p_to timestamptz default null,
+  p_manager_ids bigint[] default null,
+  p_score_min int default null,
+  p_score_max int default null,
+  p_call_type text default null,
+  p_direction text default null,
+  p_successful boolean default null,
+  p_status text default null
+) returns table (manager_id bigint, name text, total_calls bigint, analyzed_calls bigint, avg_score numeric, successful bigint)
+language sql stable as $$
+  select
+    m.id::bigint,
+    m.name::text,
+    count(l.id),
+    count(l.total_score),
+    round(avg(l.total_score)),
+    count(l.id) filter (where l.total_score >= 80)
+  from managers m
+  left join filtered_call_list(null, p_from, p_to, null,
+    p_score_min, p_score_max, p_call_type, p_direction, p_successful, p_status) l on l.manager_id = m.id
+  where (p_clinic_id is null or m.clinic_id = p_clinic_id)
+    and (p_manager_ids is null or m.id = any(p_manager_ids))
+  group by m.id, m.name
+  order by round(avg(l.total_score)) desc nulls last, m.name;
+$$;
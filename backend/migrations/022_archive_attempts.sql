@@ -0,0 +1,11 @@
+-- Повторы архивации записей: ссылка Битрикс, которая не скачивается (протухла, 404),
+-- больше не занимает каждую пачку догрузки архива. После ошибки — пауза с backoff,
+-- после RECORDINGS_ARCHIVE_MAX_ATTEMPTS попыток звонок из догрузки исключается.
+
+alter table calls
+  add column if not exists archive_attempts int not null default 0,
+  add column if not exists archive_error text,
+  add column if not exists archive_next_at timestamptz;
+
+create index if not exists calls_archive_retry_idx on calls (archive_next_at)
+  where audio_url is not null and audio_path is null;